@@ -1,29 +1,68 @@
 require('dotenv').config();
 
 const express = require('express');
-const multer = require('multer');
 
 const { processAudioRequest } = require('./lib/processAudio');
+const { initJobQueue, enqueueJob, handleFailedRequest, getJob, listJobs } = require('./lib/jobs');
+const { listDeadLetters, getDeadLetter } = require('./lib/deadLetter');
+const { listAnalysisTemplates } = require('./lib/analysisTemplates');
+const { parseBoolean, generateId } = require('./lib/utils');
+const { createWebhookAuth, createMetricsAuth, captureRawBody } = require('./lib/auth');
+const { getTenant } = require('./lib/tenants');
+const { runBackfill, countBackfillCandidates, getBackfillReport, isBackfillRunning, normalizeOptions } = require('./lib/backfill');
+const { createLogger, runWithLogContext } = require('./lib/logger');
+const { renderMetrics } = require('./lib/metrics');
+const { getReadiness } = require('./lib/readiness');
+const { ingestKnowlarityCall, initKnowlarityPending, listPendingCalls } = require('./lib/knowlarityWebhook');
+const { upload, receiveUpload, parseUploadRequest } = require('./lib/upload');
+
+const log = createLogger('http');
 
 const app = express();
 
-// Body parsing
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
-app.use(express.raw({ type: 'application/octet-stream', limit: '50mb' }));
-app.use(express.text({ type: 'text/plain', limit: '50mb' }));
+// Behind Azure's front end the client address is in X-Forwarded-For (needed for the IP allowlist)
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 
-const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: { fieldSize: 50 * 1024 * 1024, fileSize: 50 * 1024 * 1024 },
-});
+// Body parsing (raw bytes are kept for HMAC signature verification)
+app.use(express.json({ limit: '50mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '50mb', verify: captureRawBody }));
+app.use(express.raw({ type: ['application/octet-stream', 'audio/*'], limit: '50mb', verify: captureRawBody }));
+app.use(express.text({ type: 'text/plain', limit: '50mb', verify: captureRawBody }));
 
-// Debug middleware
+const webhookAuth = createWebhookAuth();
+
+// Request ID and access log. Everything logged while handling the request carries the requestId.
+// An incoming X-Request-Id is reused so the caller's logs can be correlated with ours.
 app.use((req, res, next) => {
-    console.log(`=== REQUEST DEBUG === Method: ${req.method} URL: ${req.url} ===`);
-    next();
+    const incoming = req.get('x-request-id');
+    req.requestId = incoming && /^[\w.:-]{1,100}$/.test(incoming) ? incoming : generateId('req');
+    res.set('X-Request-Id', req.requestId);
+    const startTime = Date.now();
+    runWithLogContext({ requestId: req.requestId }, () => {
+        // Path only - the query string may carry the webhook token
+        log.debug('Request received', { method: req.method, path: req.path });
+        res.on('finish', () => {
+            // Successful scrapes and health checks would drown everything else at info
+            const routine = res.statusCode < 400 && ['/metrics', '/health', '/ready'].includes(req.path);
+            const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : routine ? 'debug' : 'info';
+            log[level]('Request finished', { method: req.method, path: req.path, status: res.statusCode, durationMs: Date.now() - startTime });
+        });
+        next();
+    });
 });
 
+// Zoho org for the request: /process-audio/:tenant or the TENANT_HEADER header (default x-tenant); none = default tenant
+function selectTenant(req, res, next) {
+    const name = req.params.tenant || req.get(process.env.TENANT_HEADER || 'x-tenant');
+    try {
+        req.tenant = getTenant(name || undefined).name;
+        next();
+    } catch (error) {
+        log.warn('Unknown tenant', { reason: error.message });
+        res.status(404).json({ error: 'Not Found', message: error.message, requestId: req.requestId });
+    }
+}
+
 // Routes
 app.get('/hello', (req, res) => res.send('Hello World'));
 
@@ -32,15 +71,30 @@ app.get('/health', (req, res) =>
 );
 
 
-app.post('/process-audio', upload.none(), async (req, res) => {
-    console.log('🎯 Received new request to /process-audio');
-    console.log("req body", req.body);
-    const requestId = `req_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+// Deep check of Zoho, Knowlarity, OpenAI and temp storage (cached briefly). Point load balancer health checks here.
+app.get('/ready', async (req, res) => {
+    try {
+        const readiness = await getReadiness();
+        res.status(readiness.status === 'ready' ? 200 : 503).json(readiness);
+    } catch (error) {
+        log.error('Readiness check could not run', error);
+        res.status(503).json({ status: 'not_ready', error: error.message });
+    }
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', createMetricsAuth(), (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+app.post(['/process-audio', '/process-audio/:tenant'], webhookAuth, selectTenant, upload.none(), async (req, res) => {
+    const requestId = req.requestId;
+    log.info('Received /process-audio request', { tenant: req.tenant, fields: Object.keys(req.body || {}) });
    
     // Validate that Call_Record_ID is present (Call_Recording_URL is NOT required)
     const callRecordId = req.body?.Call_Record_ID || req.body?.call_record_id || req.body?.recordId;
     if (!callRecordId) {
-        console.error(`❌ Request ${requestId} rejected: Missing Call_Record_ID`);
+        log.warn('Request rejected: missing Call_Record_ID', { fields: Object.keys(req.body || {}) });
         return res.status(400).json({ 
             error: 'Bad Request', 
             message: 'Call_Record_ID is required. Call_Recording_URL is NOT required and will be fetched from Voice_Recording__s field.',
@@ -49,28 +103,154 @@ app.post('/process-audio', upload.none(), async (req, res) => {
         });
     }
     
+    // Async mode: accept the job and return immediately so Zoho's webhook doesn't time out and re-fire.
+    const asyncMode = parseBoolean(req.query.async ?? req.body?.async, parseBoolean(process.env.PROCESS_AUDIO_ASYNC));
+    if (asyncMode) {
+        const job = enqueueJob(req.body, requestId, { tenant: req.tenant });
+        return res.status(202).json({
+            message: 'Audio processing job accepted.',
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/jobs/${job.id}`,
+            recordId: callRecordId,
+            tenant: req.tenant,
+            requestId,
+        });
+    }
+
+    try {
+        const result = await processAudioRequest(req.body, requestId, { tenant: req.tenant });
+        log.info('Request completed', { recordId: result.recordId, processingTime: result.processingTime });
+        res.status(200).json(result);
+    } catch (error) {
+        log.error('Request failed', error);
+        const failure = await handleFailedRequest(req.body, requestId, error, { tenant: req.tenant });
+        res.status(500).json({ error: 'Internal server error', message: error.message, failure, requestId });
+    }
+});
+
+// Ad-hoc transcription of an uploaded recording (multipart, raw body or base64 JSON). With Call_Record_ID the
+// result is also written to that record.
+app.post(['/transcribe', '/transcribe/:tenant'], webhookAuth, selectTenant, receiveUpload, async (req, res) => {
+    const requestId = req.requestId;
+    let audio;
+    let fields;
     try {
-        const result = await processAudioRequest(req.body, requestId);
-        console.log(`🎉 Request ${requestId} completed successfully`);
+        ({ audio, fields } = parseUploadRequest(req));
+    } catch (error) {
+        log.warn('Request rejected: no usable audio', { reason: error.message });
+        return res.status(400).json({ error: 'Bad Request', message: error.message, requestId });
+    }
+    log.info('Received /transcribe request', { tenant: req.tenant, bytes: audio.buffer.length, fileName: audio.fileName, contentType: audio.contentType, fields: Object.keys(fields) });
+
+    try {
+        const result = await processAudioRequest(fields, requestId, { tenant: req.tenant, upload: audio });
+        log.info('Request completed', { recordId: result.recordId, processingTime: result.processingTime });
         res.status(200).json(result);
     } catch (error) {
-        console.error(`💥 Request ${requestId} failed:`, error.message);
+        log.error('Request failed', error);
+        // The upload isn't kept, so there is nothing to retry; the record still gets its status
+        const failure = await handleFailedRequest(fields, requestId, error, { tenant: req.tenant, retry: false });
+        // A file that isn't audio is the caller's problem, not ours
+        const status = error.originalError?.name === 'DownloadError' ? 400 : 500;
+        res.status(status).json({ error: status === 400 ? 'Bad Request' : 'Internal server error', message: error.message, failure, requestId });
+    }
+});
+
+// Knowlarity call-completed webhook: match the call to its Zoho record and queue it, or keep it until the record exists
+app.post(['/webhooks/knowlarity', '/webhooks/knowlarity/:tenant'], webhookAuth, selectTenant, upload.none(), async (req, res) => {
+    const requestId = req.requestId;
+    try {
+        const result = await ingestKnowlarityCall(req.body, requestId, { tenant: req.tenant });
+        res.status(result.status === 'ignored' ? 200 : 202).json({ ...result, tenant: req.tenant, requestId });
+    } catch (error) {
+        log.error('Knowlarity webhook failed', error);
         res.status(500).json({ error: 'Internal server error', message: error.message, requestId });
     }
 });
 
+app.get('/webhooks/knowlarity/pending', webhookAuth, (req, res) => {
+    const calls = listPendingCalls({ status: req.query.status });
+    res.status(200).json({ count: calls.length, calls });
+});
+
+app.get('/jobs', webhookAuth, (req, res) => {
+    try {
+        const jobs = listJobs({ status: req.query.status, recordId: req.query.recordId, tenant: req.query.tenant, limit: req.query.limit });
+        res.status(200).json({ count: jobs.length, jobs });
+    } catch (error) {
+        res.status(400).json({ error: 'Bad Request', message: error.message });
+    }
+});
+
+app.get('/jobs/:id', webhookAuth, (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Not Found', message: `Job ${req.params.id} not found` });
+    res.status(200).json(job);
+});
+
+// Records that failed for good (permanent failures and exhausted retries)
+app.get('/dead-letter', webhookAuth, (req, res) => {
+    const entries = listDeadLetters({ tenant: req.query.tenant, reason: req.query.reason, limit: req.query.limit });
+    res.status(200).json({ count: entries.length, entries });
+});
+
+app.get('/dead-letter/:id', webhookAuth, (req, res) => {
+    const entry = getDeadLetter(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'Not Found', message: `Dead-letter entry ${req.params.id} not found` });
+    res.status(200).json(entry);
+});
+
+// Analysis prompt templates available to requests and rules
+app.get('/analysis-templates', webhookAuth, (req, res) => {
+    const templates = listAnalysisTemplates();
+    res.status(200).json({ count: templates.length, templates });
+});
+
+// Bulk backfill of historic calls. Count-only requests answer right away; real runs continue in the background.
+app.post('/admin/backfill', webhookAuth, selectTenant, async (req, res) => {
+    const requestId = req.requestId;
+    let options;
+    try {
+        options = normalizeOptions({
+            ...req.body,
+            tenant: req.body?.tenant || req.tenant,
+            countOnly: parseBoolean(req.query.count ?? req.body?.countOnly),
+            dryRun: parseBoolean(req.query.dryRun ?? req.body?.dryRun),
+        });
+        if (options.countOnly) return res.status(200).json({ ...(await countBackfillCandidates(options, requestId)), requestId });
+    } catch (error) {
+        log.error('Backfill count failed', error);
+        return res.status(400).json({ error: 'Bad Request', message: error.message, requestId });
+    }
+
+    if (isBackfillRunning(options.name)) {
+        return res.status(409).json({ error: 'Conflict', message: `Backfill '${options.name}' is already running`, statusUrl: `/admin/backfill/${options.name}`, requestId });
+    }
+    runBackfill(options).catch((error) => log.error('Backfill failed', { backfill: options.name, err: error }));
+    res.status(202).json({ message: 'Backfill started', name: options.name, statusUrl: `/admin/backfill/${options.name}`, requestId });
+});
+
+app.get('/admin/backfill/:name', webhookAuth, (req, res) => {
+    const report = getBackfillReport(req.params.name);
+    if (!report) return res.status(404).json({ error: 'Not Found', message: `Backfill ${req.params.name} not found` });
+    res.status(200).json(report);
+});
+
 const PORT = process.env.PORT || 3000;
 
 const server = app.listen(PORT, () => {
-    console.log(`🚀 Server is running on http://localhost:${PORT}`);
+    log.info(`Server is running on http://localhost:${PORT}`, { port: Number(PORT) });
+    initJobQueue();
+    initKnowlarityPending();
 });
 
 server.on('error', (err) => {
-    console.error('❌ Server listen error:', err.message);
-    if (err.code === 'EADDRINUSE') console.error(`   Port ${PORT} is already in use. Stop the other process or set PORT in .env`);
+    log.error('Server listen error', err);
+    if (err.code === 'EADDRINUSE') log.error(`Port ${PORT} is already in use. Stop the other process or set PORT in .env`);
 });
 
 // Log if the process is about to exit (should NOT happen while server is running)
 process.on('beforeExit', (code) => {
-    console.log(`⚠️ Process about to exit with code ${code} (this usually means something closed the server)`);
+    log.warn('Process about to exit (this usually means something closed the server)', { code });
 });
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const OpenAI = require('openai');
+const { createLogger } = require('./logger');
+const { recordTokenUsage } = require('./metrics');
+const { callWithPolicy } = require('./http');
+const { getAnalysisTemplate } = require('./analysisTemplates');
+
+const log = createLogger('analysis');
+
+const SENTIMENTS = ['Negative', 'Neutral', 'Positive'];
+const OUTCOMES = ['No Decision', 'Follow-up Needed', 'Qualified', 'Unqualified', 'Closed Won', 'Closed Lost'];
+
+/**
+ * Shape of the structured call analysis. `enum` values are matched case-insensitively and
+ * `list` values also accept a comma/newline separated string.
+ */
+const ANALYSIS_SCHEMA = {
+    summary: { type: 'string', required: true },
+    customerSentiment: { type: 'enum', values: SENTIMENTS, required: true },
+    agentSentiment: { type: 'enum', values: SENTIMENTS, required: true },
+    topics: { type: 'list', required: true },
+    objections: { type: 'list', required: true },
+    nextSteps: { type: 'list', required: true },
+    outcome: { type: 'enum', values: OUTCOMES, required: true },
+    notes: { type: 'string', required: false },
+};
+
+// Only the text block is written by default (same as before); map the other keys to custom fields to enable them
+const DEFAULT_FIELD_MAP = { text: 'AI_Analysis' };
+
+// Created on first use so the service can start without OPENAI_API_KEY (e.g. mock provider, analysis disabled)
+let openai = null;
+function getOpenAIClient() {
+    // Retries come from the shared outbound policy (lib/http), not the SDK's own
+    if (!openai) openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
+    return openai;
+}
+
+/**
+ * ANALYSIS_SCHEMA with the template's outcome values, when it has its own.
+ */
+function getAnalysisSchema(template) {
+    if (!template?.outcomes) return ANALYSIS_SCHEMA;
+    return { ...ANALYSIS_SCHEMA, outcome: { ...ANALYSIS_SCHEMA.outcome, values: template.outcomes } };
+}
+
+/**
+ * Validate and normalize a parsed analysis object against `schema` (default ANALYSIS_SCHEMA). Returns { value, errors }.
+ */
+function validateAnalysis(input, schema = ANALYSIS_SCHEMA) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value: null, errors: ['Expected a JSON object'] };
+    }
+
+    const value = {};
+    for (const [key, rule] of Object.entries(schema)) {
+        const raw = input[key];
+        const missing = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+        if (missing) {
+            if (rule.required) errors.push(`"${key}" is required`);
+            continue;
+        }
+
+        if (rule.type === 'string') {
+            if (typeof raw !== 'string') errors.push(`"${key}" must be a string`);
+            else value[key] = raw.trim();
+        } else if (rule.type === 'enum') {
+            const match = rule.values.find((v) => v.toLowerCase() === String(raw).trim().toLowerCase());
+            if (!match) errors.push(`"${key}" must be one of: ${rule.values.join(', ')} (got "${raw}")`);
+            else value[key] = match;
+        } else if (rule.type === 'list') {
+            const list = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(/[,\n]/) : null;
+            if (!list || list.some((item) => typeof item !== 'string')) errors.push(`"${key}" must be an array of strings`);
+            else value[key] = list.map((item) => item.replace(/^[-•*\s]+/, '').trim()).filter(Boolean);
+        }
+    }
+    return { value: errors.length ? null : value, errors };
+}
+
+/**
+ * Render the structured analysis as the compact plain-text block written to AI_Analysis.
+ */
+function formatAnalysisText(analysis, maxLength = 1200) {
+    const list = (items) => (items && items.length ? items.join(', ') : 'None');
+    const lines = [
+        `Summary: ${analysis.summary}`,
+        `Customer Sentiment: ${analysis.customerSentiment}`,
+        `Agent Sentiment: ${analysis.agentSentiment}`,
+        `Key Topics: ${list(analysis.topics)}`,
+        `Objections: ${list(analysis.objections)}`,
+        `Next Steps: ${list(analysis.nextSteps)}`,
+        `Outcome: ${analysis.outcome}`,
+    ];
+    if (analysis.notes) lines.push(`Notes: ${analysis.notes}`);
+    const text = lines.join('\n');
+    return text.length > maxLength ? text.slice(0, maxLength - 10) + '…' : text;
+}
+
+function buildFormat(schema) {
+    return `{
+  "summary": "<2–4 sentence recap>",
+  "customerSentiment": "${schema.customerSentiment.values.join('|')}",
+  "agentSentiment": "${schema.agentSentiment.values.join('|')}",
+  "topics": ["<key topic>", ...],
+  "objections": ["<customer objection>", ...],
+  "nextSteps": ["<next step>", ...],
+  "outcome": "${schema.outcome.values.join('|')}",
+  "notes": "<optional short notes>"
+}`;
+}
+
+/**
+ * Fill in the template's prompt (see lib/analysisTemplates for the placeholders).
+ */
+function buildPrompt(template, transcript, speakerSeparated) {
+    const values = {
+        transcript,
+        format: buildFormat(getAnalysisSchema(template)),
+        speakerNote: speakerSeparated
+            ? ' Each line of the transcript is labelled with the speaker ("Agent:" is the agent, "Customer:" is the customer). Base customerSentiment only on Customer lines and agentSentiment only on Agent lines.'
+            : '',
+    };
+    // One pass, so text inside the transcript that looks like a placeholder is left alone
+    return template.prompt.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * Ask the analysis model for a structured JSON analysis of the transcript, using `template` (from
+ * lib/analysisTemplates; default: the built-in sales template). Output that doesn't parse or doesn't match
+ * the schema is sent back to the model with the validation errors for repair, up to ANALYSIS_MAX_ATTEMPTS
+ * (default 3) attempts in total.
+ * Returns { analysis, analysisText, attempts, template } where `template` is the template's name@version.
+ */
+async function analyzeTranscript(transcript, { requestId, speakerSeparated = false, template = getAnalysisTemplate('sales@1') } = {}) {
+    const model = template.model || process.env.OPENAI_ANALYSIS_MODEL || 'gpt-4o-mini';
+    const maxTranscriptChars = template.maxTranscriptChars || Number(process.env.ANALYSIS_MAX_CHARS || 16000);
+    const maxAttempts = Math.max(1, Number(process.env.ANALYSIS_MAX_ATTEMPTS || 3));
+    const schema = getAnalysisSchema(template);
+
+    const messages = [
+        { role: 'system', content: template.system },
+        { role: 'user', content: buildPrompt(template, (transcript || '').slice(0, maxTranscriptChars), speakerSeparated) },
+    ];
+
+    let lastErrors = [];
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const completion = await callWithPolicy('openai', () => getOpenAIClient().chat.completions.create({
+            model,
+            messages,
+            temperature: template.temperature ?? 0.3,
+            max_tokens: template.maxTokens || 800,
+            response_format: { type: 'json_object' },
+        }), { idempotent: true });
+        recordTokenUsage(model, completion.usage);
+        const content = (completion.choices?.[0]?.message?.content || '').trim();
+
+        let parsed = null;
+        try {
+            parsed = JSON.parse(content);
+        } catch (e) {
+            lastErrors = [`Response is not valid JSON: ${e.message}`];
+        }
+        if (parsed) {
+            const { value, errors } = validateAnalysis(parsed, schema);
+            if (value) {
+                log.info('Structured analysis generated', { attempt, template: template.id, outcome: value.outcome, customerSentiment: value.customerSentiment });
+                return { analysis: value, analysisText: formatAnalysisText(value, template.maxTextChars), attempts: attempt, template: template.id };
+            }
+            lastErrors = errors;
+        }
+
+        log.warn('Analysis attempt was invalid', { attempt, maxAttempts, errors: lastErrors });
+        messages.push(
+            { role: 'assistant', content },
+            { role: 'user', content: `That response was invalid: ${lastErrors.join('; ')}. Return the corrected JSON object only.` }
+        );
+    }
+    throw new Error(`Analysis output failed validation after ${maxAttempts} attempts: ${lastErrors.join('; ')}`);
+}
+
+/**
+ * Analysis key -> Zoho field mapping, from ANALYSIS_FIELD_MAP (inline JSON) or ANALYSIS_FIELD_MAP_FILE.
+ * Values are either an API name or { "field": "<api name>", "type": "text|multiselect", "values": { "<ours>": "<picklist value>" } }.
+ * The special key `text` is the formatted plain-text block.
+ */
+function getAnalysisFieldMap() {
+    let raw = null;
+    if (process.env.ANALYSIS_FIELD_MAP) raw = process.env.ANALYSIS_FIELD_MAP;
+    else if (process.env.ANALYSIS_FIELD_MAP_FILE) raw = fs.readFileSync(process.env.ANALYSIS_FIELD_MAP_FILE, 'utf8');
+    if (!raw) return DEFAULT_FIELD_MAP;
+
+    return validateAnalysisFieldMap(JSON.parse(raw), 'ANALYSIS_FIELD_MAP');
+}
+
+function validateAnalysisFieldMap(map, label) {
+    const unknown = Object.keys(map).filter((key) => key !== 'text' && !ANALYSIS_SCHEMA[key]);
+    if (unknown.length) {
+        throw new Error(`${label} has unknown key(s): ${unknown.join(', ')}. Expected: text, ${Object.keys(ANALYSIS_SCHEMA).join(', ')}`);
+    }
+    return map;
+}
+
+/**
+ * Turn an analysis into Zoho field values using the field map.
+ */
+function mapAnalysisToFields(analysis, analysisText, fieldMap = getAnalysisFieldMap()) {
+    const fields = {};
+    for (const [key, target] of Object.entries(fieldMap)) {
+        if (!target) continue;
+        const { field, type = 'text', values = {} } = typeof target === 'string' ? { field: target } : target;
+        let value = key === 'text' ? analysisText : analysis[key];
+        if (value === undefined || value === null || value === '') continue;
+
+        if (Array.isArray(value)) {
+            value = value.map((v) => values[v] || v);
+            if (type !== 'multiselect') value = value.join(', ');
+        } else {
+            value = values[value] || value;
+        }
+        fields[field] = value;
+    }
+    return fields;
+}
+
+module.exports = {
+    analyzeTranscript,
+    getOpenAIClient,
+    validateAnalysis,
+    formatAnalysisText,
+    getAnalysisFieldMap,
+    validateAnalysisFieldMap,
+    mapAnalysisToFields,
+    ANALYSIS_SCHEMA,
+};
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('analysisTemplates');
+
+/**
+ * Analysis prompt templates, versioned so results written by different prompts can be told apart.
+ *
+ * Every *.json file in ANALYSIS_TEMPLATES_DIR is one template:
+ *   {
+ *     "name": "collections", "version": 2, "description": "Collections follow-ups",
+ *     "model": "gpt-4o-mini", "temperature": 0.2, "maxTokens": 800, "maxTextChars": 1200, "maxTranscriptChars": 16000,
+ *     "outcomes": ["Promise to Pay", "Paid", "Dispute", "Refused", "Callback Requested", "No Contact"],
+ *     "system": "You analyze debt collection call transcripts. Respond with a single JSON object only.",
+ *     "prompt": ["You are a collections analyst.{{speakerNote}} Return a JSON object with exactly these keys:", "", "{{format}}", "",
+ *                "Transcript:", "\"\"\"{{transcript}}\"\"\""]
+ *   }
+ * `prompt` and `system` are strings or arrays of lines. In the prompt, {{transcript}} (required) is the transcript,
+ * {{format}} the JSON keys with their allowed values and {{speakerNote}} the Agent/Customer explanation for
+ * speaker-separated transcripts. The analysis keys are the same for every template, so field maps keep working;
+ * `outcomes` replaces the allowed outcome values. Unset settings fall back to the env (OPENAI_ANALYSIS_MODEL, ...).
+ *
+ * Templates are referred to as `name` (highest version) or `name@version`. The built-in `sales@1` is the prompt
+ * used before templates existed. Which one runs is decided by selectAnalysisTemplate.
+ */
+
+const PLACEHOLDERS = ['transcript', 'format', 'speakerNote'];
+const SETTINGS = { model: 'string', temperature: 'number', maxTokens: 'number', maxTextChars: 'number', maxTranscriptChars: 'number' };
+
+const BUILTIN_TEMPLATES = [
+    {
+        name: 'sales',
+        version: '1',
+        description: 'Sales call summary, sentiment, objections and next steps',
+        system: 'You analyze sales call transcripts. Respond with a single JSON object only, matching the requested keys and allowed values exactly.',
+        prompt: 'You are a sales call analyst. Summarize the call and extract key insights for a sales team.{{speakerNote}} Return a JSON object with exactly these keys:\n\n{{format}}\n\nUse empty arrays when there is nothing to list.\n\nTranscript:\n"""{{transcript}}"""',
+        temperature: 0.3,
+        maxTokens: 800,
+        maxTextChars: 1200,
+    },
+];
+
+let templates = null; // id -> template
+
+const joinLines = (value) => (Array.isArray(value) ? value.join('\n') : value);
+
+function buildTemplate(raw, source) {
+    const label = `Analysis template ${source}`;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${label} must be a JSON object`);
+    const name = String(raw.name ?? '').trim();
+    const version = String(raw.version ?? '').trim();
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) throw new Error(`${label} needs a "name" of letters, digits, "-" or "_"`);
+    if (!/^[A-Za-z0-9._-]+$/.test(version)) throw new Error(`${label} needs a "version" (e.g. 1 or "2.1")`);
+
+    const system = joinLines(raw.system);
+    const prompt = joinLines(raw.prompt);
+    if (typeof system !== 'string' || !system.trim()) throw new Error(`${label} needs a "system" message`);
+    if (typeof prompt !== 'string' || !prompt.includes('{{transcript}}')) throw new Error(`${label} needs a "prompt" containing {{transcript}}`);
+    const unknown = [...prompt.matchAll(/\{\{(\w+)\}\}/g)].map((m) => m[1]).filter((p) => !PLACEHOLDERS.includes(p));
+    if (unknown.length) throw new Error(`${label} has unknown placeholder(s): ${unknown.join(', ')}. Expected: ${PLACEHOLDERS.join(', ')}`);
+
+    for (const [key, type] of Object.entries(SETTINGS)) {
+        if (raw[key] !== undefined && typeof raw[key] !== type) throw new Error(`${label}: "${key}" must be a ${type}`);
+    }
+    if (raw.outcomes !== undefined && (!Array.isArray(raw.outcomes) || !raw.outcomes.length || raw.outcomes.some((o) => typeof o !== 'string' || !o.trim()))) {
+        throw new Error(`${label}: "outcomes" must be a non-empty array of strings`);
+    }
+
+    return {
+        id: `${name}@${version}`,
+        name,
+        version,
+        description: raw.description || '',
+        system,
+        prompt,
+        ...Object.fromEntries(Object.keys(SETTINGS).filter((key) => raw[key] !== undefined).map((key) => [key, raw[key]])),
+        outcomes: raw.outcomes || null,
+        source,
+    };
+}
+
+function loadTemplates() {
+    if (templates) return templates;
+    const loaded = new Map(BUILTIN_TEMPLATES.map((raw) => [`${raw.name}@${raw.version}`, buildTemplate(raw, 'built-in')]));
+
+    const dir = process.env.ANALYSIS_TEMPLATES_DIR;
+    if (dir) {
+        const files = fs.readdirSync(dir).filter((file) => file.endsWith('.json')).sort();
+        for (const file of files) {
+            let raw;
+            try {
+                raw = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            } catch (e) {
+                throw new Error(`Analysis template ${file} is not valid JSON: ${e.message}`);
+            }
+            const template = buildTemplate(raw, file);
+            // A directory copy of a built-in replaces it; two files with the same name and version are a mistake
+            if (loaded.has(template.id) && loaded.get(template.id).source !== 'built-in') {
+                throw new Error(`Analysis templates ${loaded.get(template.id).source} and ${file} are both ${template.id}`);
+            }
+            loaded.set(template.id, template);
+        }
+        log.info('Loaded analysis templates', { dir, templates: [...loaded.keys()] });
+    }
+    templates = loaded;
+    return templates;
+}
+
+const compareVersions = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+/**
+ * Resolve `name` (highest version) or `name@version`. Throws for unknown templates.
+ */
+function getAnalysisTemplate(ref) {
+    const all = loadTemplates();
+    const [name, version] = String(ref).trim().split('@');
+    const template = version
+        ? all.get(`${name}@${version}`)
+        : [...all.values()].filter((t) => t.name === name).sort((a, b) => compareVersions(b.version, a.version))[0];
+    if (!template) throw new Error(`Unknown analysis template '${ref}'. Available: ${[...all.keys()].join(', ')}`);
+    return template;
+}
+
+function listAnalysisTemplates() {
+    return [...loadTemplates().values()].map(({ id, name, version, description, model, source }) => ({ id, name, version, description, model: model || null, source }));
+}
+
+/**
+ * Check and compile template rules: [{ "when": { "<field>": <condition>, ... }, "template": "<name>[@version]" }].
+ * A condition is a value (case-insensitive match), a list of values (any of them) or { "matches": "<regex>" }.
+ * Field names may follow lookups with dots (`Owner.email`); a lookup on its own compares its name.
+ * A rule without `when` always matches, which makes it a catch-all when placed last.
+ */
+function parseTemplateRules(rules, label) {
+    if (!Array.isArray(rules)) throw new Error(`${label} must be a JSON array of rules`);
+    return rules.map((rule, i) => {
+        const where = `${label} rule ${i + 1}`;
+        if (!rule || typeof rule.template !== 'string') throw new Error(`${where} needs a "template"`);
+        try {
+            getAnalysisTemplate(rule.template);
+        } catch (e) {
+            throw new Error(`${where}: ${e.message}`);
+        }
+        const conditions = Object.entries(rule.when || {}).map(([field, expected]) => {
+            if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+                if (typeof expected.matches !== 'string') throw new Error(`${where}: the condition for ${field} must be a value, a list or { "matches": "<regex>" }`);
+                try {
+                    return { field, pattern: new RegExp(expected.matches, 'i') };
+                } catch (e) {
+                    throw new Error(`${where} has an invalid pattern for ${field}: ${e.message}`);
+                }
+            }
+            return { field, values: [].concat(expected).map((v) => String(v).toLowerCase()) };
+        });
+        return { template: rule.template, conditions };
+    });
+}
+
+/**
+ * Template rules from ANALYSIS_TEMPLATE_RULES (inline JSON) or ANALYSIS_TEMPLATE_RULES_FILE; a tenant's
+ * `analysisTemplateRules` replace them.
+ */
+function getTemplateRules(tenant) {
+    if (tenant?.analysisTemplateRules) return tenant.analysisTemplateRules;
+    let raw = null;
+    if (process.env.ANALYSIS_TEMPLATE_RULES) raw = process.env.ANALYSIS_TEMPLATE_RULES;
+    else if (process.env.ANALYSIS_TEMPLATE_RULES_FILE) raw = fs.readFileSync(process.env.ANALYSIS_TEMPLATE_RULES_FILE, 'utf8');
+    return raw ? parseTemplateRules(JSON.parse(raw), 'ANALYSIS_TEMPLATE_RULES') : [];
+}
+
+function readField(record, field) {
+    let value = field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), record);
+    if (value && typeof value === 'object' && !Array.isArray(value)) value = value.name;
+    return [].concat(value ?? []).map((v) => String(v && typeof v === 'object' ? v.name : v).toLowerCase());
+}
+
+const conditionHolds = (record, { field, pattern, values }) =>
+    readField(record, field).some((value) => (pattern ? pattern.test(value) : values.includes(value)));
+
+/**
+ * Whether selecting a template for `tenant` needs the record's field values.
+ */
+function templateRulesNeedRecord(tenant) {
+    return getTemplateRules(tenant).some((rule) => rule.conditions.length > 0);
+}
+
+/**
+ * Pick the template for a run: the one `requested` (a request parameter), else the first rule whose conditions
+ * hold on `record` (the Zoho record, when there is one), else ANALYSIS_TEMPLATE (default `sales`).
+ * Returns { template, source: 'request' | 'rule' | 'default', rule? } where `rule` is the 1-based rule number.
+ */
+function selectAnalysisTemplate({ requested, record, tenant } = {}) {
+    if (requested) return { template: getAnalysisTemplate(requested), source: 'request' };
+    const rules = getTemplateRules(tenant);
+    for (const [i, rule] of rules.entries()) {
+        if (rule.conditions.length && !record) continue;
+        if (rule.conditions.every((condition) => conditionHolds(record, condition))) {
+            return { template: getAnalysisTemplate(rule.template), source: 'rule', rule: i + 1 };
+        }
+    }
+    return { template: getAnalysisTemplate(process.env.ANALYSIS_TEMPLATE || 'sales'), source: 'default' };
+}
+
+module.exports = {
+    getAnalysisTemplate,
+    listAnalysisTemplates,
+    parseTemplateRules,
+    selectAnalysisTemplate,
+    templateRulesNeedRecord,
+};
@@ -0,0 +1,37 @@
+/**
+ * Detect the container from the file signature (magic numbers). Returns null if unknown.
+ */
+function sniffAudioFormat(buffer) {
+    if (!buffer || buffer.length <= 12) return null;
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+    if (buffer.toString('ascii', 0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return 'mp3';
+    if (buffer.toString('ascii', 0, 4) === 'OggS') return 'ogg';
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') return 'mp4';
+    if (buffer.toString('ascii', 0, 4) === 'fLaC') return 'flac';
+    if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'webm';
+    return null;
+}
+
+/**
+ * Pick a file extension Whisper will accept, using (in order):
+ * 1. Content-Type header
+ * 2. URL file extension
+ * 3. File signature
+ * Defaults to mp3.
+ */
+function detectAudioFormat(buffer, contentType = '', url = '') {
+    if (contentType.includes('audio/wav') || contentType.includes('audio/wave') || contentType.includes('audio/x-wav')) return 'wav';
+    if (contentType.includes('audio/mpeg') || contentType.includes('audio/mp3')) return 'mp3';
+    if (contentType.includes('audio/mp4') || contentType.includes('audio/m4a') || contentType.includes('audio/x-m4a')) return 'm4a';
+    if (contentType.includes('audio/ogg')) return 'ogg';
+    if (contentType.includes('audio/webm')) return 'webm';
+    if (contentType.includes('audio/flac')) return 'flac';
+    if (contentType.includes('video/mp4')) return 'mp4';
+
+    const urlExt = String(url).toLowerCase().match(/\.(mp3|wav|m4a|ogg|webm|flac|mp4|mpeg|mpga|oga)(\?|$)/);
+    if (urlExt) return urlExt[1];
+
+    return sniffAudioFormat(buffer) || 'mp3';
+}
+
+module.exports = { sniffAudioFormat, detectAudioFormat };
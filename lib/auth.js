@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const net = require('net');
+const { createLogger } = require('./logger');
+
+const log = createLogger('auth');
+
+/**
+ * Webhook authentication for /process-audio and the job API.
+ *
+ * Credentials (either one is enough when both are configured):
+ * - Shared secret: WEBHOOK_TOKEN (comma-separated to allow rotation), sent in the
+ *   WEBHOOK_TOKEN_HEADER header (default `x-webhook-token`) or the `token` query parameter.
+ * - HMAC: WEBHOOK_HMAC_SECRET. The caller sends `x-timestamp` (unix seconds) and
+ *   `x-signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">`. Requests without a body (GET /jobs, ...)
+ *   sign "<timestamp>.<METHOD> <path and query>" instead. Requests older than WEBHOOK_MAX_SKEW_SECONDS
+ *   (default 300) or reusing a signature are rejected.
+ * Network:
+ * - WEBHOOK_IP_ALLOWLIST: comma-separated IPs / CIDRs. Checked in addition to the credentials.
+ *
+ * With nothing configured requests are let through (a warning is logged at startup).
+ */
+
+// Query parameter carrying the shared secret for callers that can't set headers
+const TOKEN_QUERY_PARAM = 'token';
+
+const seenSignatures = new Map(); // signature -> expiry (ms), for replay protection inside the skew window
+
+function splitList(value) {
+    return String(value || '')
+        .split(',')
+        .map((v) => v.trim())
+        .filter(Boolean);
+}
+
+function getAuthConfig() {
+    return {
+        tokens: splitList(process.env.WEBHOOK_TOKEN),
+        tokenHeader: (process.env.WEBHOOK_TOKEN_HEADER || 'x-webhook-token').toLowerCase(),
+        hmacSecret: process.env.WEBHOOK_HMAC_SECRET || '',
+        maxSkewSeconds: Number(process.env.WEBHOOK_MAX_SKEW_SECONDS || 300),
+        ipAllowlist: splitList(process.env.WEBHOOK_IP_ALLOWLIST),
+    };
+}
+
+function safeEqual(a, b) {
+    // Hash first so inputs of different length can still be compared in constant time
+    const ha = crypto.createHash('sha256').update(String(a)).digest();
+    const hb = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(ha, hb);
+}
+
+function buildAllowlist(entries) {
+    const list = new net.BlockList();
+    for (const entry of entries) {
+        const [address, prefix] = entry.split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (!net.isIP(address)) throw new Error(`Invalid WEBHOOK_IP_ALLOWLIST entry: ${entry}`);
+        if (prefix !== undefined) list.addSubnet(address, Number(prefix), type);
+        else list.addAddress(address, type);
+    }
+    return list;
+}
+
+function normalizeIp(ip) {
+    const value = String(ip || '');
+    return value.startsWith('::ffff:') && net.isIPv4(value.slice(7)) ? value.slice(7) : value;
+}
+
+function isIpAllowed(ip, allowlist) {
+    const address = normalizeIp(ip);
+    if (!net.isIP(address)) return false;
+    return allowlist.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function checkToken(req, config) {
+    const provided = req.get(config.tokenHeader) || req.query?.[TOKEN_QUERY_PARAM];
+    if (!provided) return { ok: false, code: 'MISSING_CREDENTIALS' };
+    return config.tokens.some((token) => safeEqual(provided, token)) ? { ok: true, method: 'token' } : { ok: false, code: 'INVALID_TOKEN' };
+}
+
+const hasBody = (req) => req.get('transfer-encoding') !== undefined || Number(req.get('content-length')) > 0;
+
+/**
+ * What the HMAC covers: the raw body, or for a request without one the method and URL, so a signed
+ * GET /jobs can't be replayed against another endpoint. Null for bodies the parsers didn't keep (multipart).
+ */
+function getSignedPayload(req, timestampHeader) {
+    if (req.rawBody !== undefined) return [`${timestampHeader}.`, req.rawBody];
+    if (hasBody(req)) return null;
+    return [`${timestampHeader}.${req.method} ${req.originalUrl}`, Buffer.alloc(0)];
+}
+
+function checkSignature(req, config) {
+    const signatureHeader = req.get('x-signature');
+    const timestampHeader = req.get('x-timestamp');
+    if (!signatureHeader || !timestampHeader) return { ok: false, code: 'MISSING_CREDENTIALS' };
+
+    const timestamp = Number(timestampHeader);
+    const timestampMs = timestamp > 1e12 ? timestamp : timestamp * 1000;
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestampMs) > config.maxSkewSeconds * 1000) {
+        return { ok: false, code: 'STALE_TIMESTAMP' };
+    }
+    const payload = getSignedPayload(req, timestampHeader);
+    if (!payload) return { ok: false, code: 'UNSIGNABLE_BODY' };
+
+    const signature = signatureHeader.replace(/^sha256=/i, '').trim().toLowerCase();
+    const [prefix, body] = payload;
+    const expected = crypto.createHmac('sha256', config.hmacSecret).update(prefix).update(body).digest('hex');
+    if (!safeEqual(signature, expected)) return { ok: false, code: 'INVALID_SIGNATURE' };
+
+    const now = Date.now();
+    for (const [seen, expiresAt] of seenSignatures) if (expiresAt < now) seenSignatures.delete(seen);
+    if (seenSignatures.has(signature)) return { ok: false, code: 'REPLAYED_REQUEST' };
+    seenSignatures.set(signature, now + config.maxSkewSeconds * 2 * 1000);
+
+    return { ok: true, method: 'hmac' };
+}
+
+const REJECTION_MESSAGES = {
+    MISSING_CREDENTIALS: 'Authentication required. Send the webhook token or an HMAC signature.',
+    INVALID_TOKEN: 'Invalid webhook token.',
+    INVALID_SIGNATURE: 'Invalid request signature.',
+    STALE_TIMESTAMP: 'Request timestamp is missing, invalid or outside the allowed window.',
+    REPLAYED_REQUEST: 'This signed request has already been received.',
+    UNSIGNABLE_BODY: 'HMAC signatures are only supported for JSON, URL-encoded and text bodies.',
+    IP_NOT_ALLOWED: 'Requests from this address are not allowed.',
+    INVALID_METRICS_TOKEN: 'Send METRICS_TOKEN as a Bearer token.',
+};
+
+function reject(req, res, status, code) {
+    log.warn('Rejected unauthenticated request', { method: req.method, path: req.path, ip: normalizeIp(req.ip), reason: code });
+    return res.status(status).json({
+        error: status === 401 ? 'Unauthorized' : 'Forbidden',
+        code,
+        message: REJECTION_MESSAGES[code],
+        requestId: req.requestId,
+    });
+}
+
+/**
+ * Build the authentication middleware from the environment.
+ */
+function createWebhookAuth() {
+    const config = getAuthConfig();
+    const allowlist = config.ipAllowlist.length ? buildAllowlist(config.ipAllowlist) : null;
+    const methods = [config.tokens.length && 'token', config.hmacSecret && 'hmac'].filter(Boolean);
+
+    if (!methods.length && !allowlist) {
+        log.warn('Webhook authentication is disabled. Set WEBHOOK_TOKEN, WEBHOOK_HMAC_SECRET and/or WEBHOOK_IP_ALLOWLIST');
+    } else {
+        log.info('Webhook authentication enabled', { methods: [...methods, allowlist && 'ip-allowlist'].filter(Boolean) });
+    }
+
+    return function webhookAuth(req, res, next) {
+        if (allowlist && !isIpAllowed(req.ip, allowlist)) return reject(req, res, 403, 'IP_NOT_ALLOWED');
+        if (!methods.length) return next();
+
+        const results = [];
+        if (config.tokens.length) results.push(checkToken(req, config));
+        if (config.hmacSecret) results.push(checkSignature(req, config));
+
+        const success = results.find((r) => r.ok);
+        if (success) {
+            req.authMethod = success.method;
+            return next();
+        }
+        // Report the most specific failure (a bad signature is more useful than "missing token")
+        const failure = results.find((r) => r.code !== 'MISSING_CREDENTIALS') || results[0];
+        return reject(req, res, 401, failure.code);
+    };
+}
+
+/**
+ * Auth for GET /metrics. Prometheus can't sign requests, so it has its own Bearer token (METRICS_TOKEN);
+ * without one the endpoint is open. WEBHOOK_IP_ALLOWLIST applies as for the webhook.
+ */
+function createMetricsAuth() {
+    const config = getAuthConfig();
+    const allowlist = config.ipAllowlist.length ? buildAllowlist(config.ipAllowlist) : null;
+
+    return function metricsAuth(req, res, next) {
+        if (allowlist && !isIpAllowed(req.ip, allowlist)) return reject(req, res, 403, 'IP_NOT_ALLOWED');
+        const expected = process.env.METRICS_TOKEN;
+        if (!expected) return next();
+        const [scheme, token] = (req.get('authorization') || '').split(' ');
+        if (scheme === 'Bearer' && token && safeEqual(token, expected)) return next();
+        return reject(req, res, 401, 'INVALID_METRICS_TOKEN');
+    };
+}
+
+/**
+ * `verify` hook for the express body parsers: keeps the raw bytes for HMAC verification.
+ */
+function captureRawBody(req, res, buf) {
+    req.rawBody = buf;
+}
+
+module.exports = { createWebhookAuth, createMetricsAuth, captureRawBody, isIpAllowed, buildAllowlist, TOKEN_QUERY_PARAM };
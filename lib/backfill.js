@@ -0,0 +1,251 @@
+const { runCoqlQuery } = require('./zoho');
+const { getTenant } = require('./tenants');
+const { processAudioRequest } = require('./processAudio');
+const { getAnalysisTemplate } = require('./analysisTemplates');
+const { handleFailedRequest } = require('./jobs');
+const { readJson, writeJson } = require('./store');
+const { generateId, mapWithConcurrency, createRateLimiter } = require('./utils');
+const { createLogger, runWithLogContext } = require('./logger');
+
+const log = createLogger('backfill');
+
+/**
+ * Bulk backfill of historic Calls that have a recording but no transcript.
+ *
+ * Matching Calls are paged through with COQL in id order (keyset paging, so records that drop out
+ * of the result set once transcribed don't shift the pages). Each page is processed with bounded
+ * concurrency and a rate cap, then the last id is checkpointed to DATA_DIR/backfill/<name>.json
+ * so an interrupted run can resume where it stopped. Calls of a page that was interrupted part-way are
+ * kept in `pageDone`, so the resumed run skips them instead of counting them twice.
+ *
+ * With `dryRun` every call runs through the pipeline in dry-run mode: nothing is written to Zoho and the report
+ * lists, per call, the fields that would change. `analysisTemplate` runs every call with that template, e.g. to
+ * try a new prompt version on a sample before it is selected by the rules.
+ */
+
+const running = new Map(); // name -> promise
+
+function checkpointFile(name) {
+    return `backfill/${String(name).replace(/[^A-Za-z0-9_-]/g, '_')}.json`;
+}
+
+function toCoqlDateTime(value, endOfDay) {
+    if (!value) return null;
+    const s = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return `${s}T${endOfDay ? '23:59:59' : '00:00:00'}+00:00`;
+    const date = new Date(s);
+    if (Number.isNaN(date.getTime())) throw new Error(`Invalid date: ${value}`);
+    return date.toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+// Module and field names go into the query as they are, so only API-name shaped values are accepted
+const API_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+function checkApiName(option, value) {
+    if (value && !API_NAME.test(value)) throw new Error(`Invalid ${option} '${value}'. Expected a Zoho API name (letters, digits and underscores)`);
+    return value;
+}
+
+const quote = (value) => `'${String(value).replace(/'/g, "\\'")}'`;
+
+/**
+ * Build the COQL WHERE clause for the backfill options (without the paging condition).
+ */
+function buildBackfillCriteria(options) {
+    const tenantFields = getTenant(options.tenant || undefined).fields;
+    const recordingField = options.recordingField || 'Voice_Recording__s';
+    const transcriptField = options.transcriptField || tenantFields.transcript || process.env.ZOHO_TRANSCRIPT_FIELD || 'Description';
+    const dateField = options.dateField || 'Created_Time';
+
+    const conditions = [`${recordingField} is not null`];
+    if (!options.includeTranscribed) conditions.push(`${transcriptField} is null`);
+
+    const from = toCoqlDateTime(options.from, false);
+    const to = toCoqlDateTime(options.to, true);
+    if (from && to) conditions.push(`${dateField} between ${quote(from)} and ${quote(to)}`);
+    else if (from) conditions.push(`${dateField} >= ${quote(from)}`);
+    else if (to) conditions.push(`${dateField} <= ${quote(to)}`);
+
+    if (options.ownerId) conditions.push(`Owner = ${quote(options.ownerId)}`);
+    if (options.filter) conditions.push(`(${options.filter})`);
+    return conditions.join(' and ');
+}
+
+async function fetchPage({ criteria, module, tenant }, afterId, pageSize, requestId) {
+    const paging = afterId ? ` and id > ${quote(afterId)}` : '';
+    const query = `select id from ${module} where ${criteria}${paging} order by id asc limit ${pageSize}`;
+    const { data } = await runCoqlQuery(query, requestId, getTenant(tenant));
+    return data.map((row) => String(row.id));
+}
+
+function normalizeOptions(options = {}) {
+    const tenant = getTenant(options.tenant || undefined);
+    return {
+        name: options.name || generateId(options.dryRun ? 'dryrun' : 'backfill'),
+        tenant: tenant.name,
+        module: checkApiName('module', options.module || tenant.fields.module || process.env.ZOHO_MODULE || 'Calls'),
+        recordingField: checkApiName('recordingField', options.recordingField || tenant.fields.recordingField || process.env.ZOHO_RECORDING_FIELD || 'Voice_Recording__s'),
+        transcriptField: checkApiName('transcriptField', options.transcriptField || null),
+        from: options.from || null,
+        to: options.to || null,
+        ownerId: options.ownerId || null,
+        filter: options.filter || null,
+        dateField: checkApiName('dateField', options.dateField || null),
+        includeTranscribed: !!options.includeTranscribed,
+        concurrency: Math.max(1, Number(options.concurrency || process.env.BACKFILL_CONCURRENCY || 2)),
+        ratePerMinute: Number(options.ratePerMinute ?? process.env.BACKFILL_RATE_PER_MINUTE ?? 20), // 0 = no cap
+        pageSize: Math.min(2000, Math.max(1, Number(options.pageSize || 200))),
+        limit: options.limit ? Number(options.limit) : null,
+        countOnly: !!options.countOnly,
+        dryRun: !!options.dryRun,
+        // Validated here so a misspelt template is a bad request, not a failure on every call
+        analysisTemplate: options.analysisTemplate ? getAnalysisTemplate(options.analysisTemplate).id : null,
+        resume: options.resume !== false,
+    };
+}
+
+/**
+ * Count matching records without processing anything (dry-run count).
+ */
+async function countBackfillCandidates(options, requestId = generateId('req')) {
+    const opts = normalizeOptions(options);
+    const criteria = buildBackfillCriteria(opts);
+    let total = 0;
+    let afterId = null;
+    while (true) {
+        const ids = await fetchPage({ criteria, module: opts.module, tenant: opts.tenant }, afterId, 2000, requestId);
+        total += ids.length;
+        if (ids.length < 2000) break;
+        afterId = ids[ids.length - 1];
+    }
+    log.info('Backfill count finished', { total, criteria });
+    return { countOnly: true, total, criteria };
+}
+
+/**
+ * Run (or resume) a backfill. `onProgress(report)` is called after every page.
+ * Returns the final report: { name, status, counts, failures, skipped, lastId, ... }.
+ */
+async function runBackfill(options, { onProgress } = {}) {
+    const opts = normalizeOptions(options);
+    if (opts.countOnly) return countBackfillCandidates(opts);
+    if (running.has(opts.name)) throw new Error(`Backfill '${opts.name}' is already running`);
+
+    const previous = opts.resume ? readJson(checkpointFile(opts.name), null) : null;
+    if (previous?.status === 'completed') {
+        log.info('Backfill already completed. Use a new name to run it again', { backfill: opts.name, finishedAt: previous.finishedAt });
+        return previous;
+    }
+
+    const report = previous
+        ? { ...previous, status: 'running', resumedAt: new Date().toISOString() }
+        : {
+              name: opts.name,
+              status: 'running',
+              options: opts,
+              criteria: buildBackfillCriteria(opts),
+              lastId: null,
+              pageDone: [],
+              counts: { processed: 0, succeeded: 0, failed: 0, skipped: 0 },
+              failures: [],
+              skipped: [],
+              ...(opts.dryRun ? { previews: [] } : {}),
+              startedAt: new Date().toISOString(),
+              finishedAt: null,
+          };
+    if (previous) log.info('Resuming backfill', { backfill: opts.name, afterId: previous.lastId, processed: previous.counts.processed });
+
+    const save = () => {
+        report.updatedAt = new Date().toISOString();
+        writeJson(checkpointFile(opts.name), report);
+        if (typeof onProgress === 'function') onProgress(report);
+    };
+    // Options come from the report so a resumed run keeps the ones it was started with
+    const buildRequest = (id) => {
+        const { module, recordingField, dryRun, analysisTemplate } = report.options;
+        return { Call_Record_ID: id, module, recordingField, dryRun, ...(analysisTemplate ? { analysisTemplate } : {}) };
+    };
+
+    const run = runWithLogContext({ backfill: opts.name }, async () => {
+        const waitForSlot = createRateLimiter(opts.ratePerMinute);
+        const remaining = () => (opts.limit ? opts.limit - report.counts.processed : Infinity);
+        log.info('Backfill started', { criteria: report.criteria, concurrency: opts.concurrency, ratePerMinute: opts.ratePerMinute || null, dryRun: report.options.dryRun || undefined });
+
+        try {
+            while (remaining() > 0) {
+                const pageSize = Math.min(opts.pageSize, remaining());
+                const ids = await fetchPage({ ...report.options, criteria: report.criteria }, report.lastId, pageSize, report.name);
+                if (ids.length === 0) break;
+
+                // Calls settled before this page was interrupted are already in the counts
+                report.pageDone = report.pageDone || [];
+                const settled = new Set(report.pageDone);
+                await mapWithConcurrency(ids.filter((id) => !settled.has(id)), opts.concurrency, async (id) => {
+                    await waitForSlot();
+                    const requestId = generateId('req');
+                    try {
+                        const result = await runWithLogContext({ requestId }, () => processAudioRequest(buildRequest(id), requestId, { tenant: report.options.tenant }));
+                        if (result.dryRun) {
+                            report.counts.succeeded++;
+                            const diff = result.preview.update?.diff || [];
+                            report.previews.push({
+                                id,
+                                requestId,
+                                analysisTemplate: result.analysisTemplate,
+                                changed: diff.filter((d) => d.changed).map((d) => d.field),
+                                missingFields: diff.filter((d) => !d.inRecord).map((d) => d.field),
+                            });
+                        } else if (result.cached || result.deduplicated) {
+                            report.counts.skipped++;
+                            report.skipped.push({ id, reason: result.cached ? 'already transcribed (cached)' : 'already in progress' });
+                        } else {
+                            report.counts.succeeded++;
+                        }
+                    } catch (error) {
+                        report.counts.failed++;
+                        const { reason, nextAttemptAt } = await handleFailedRequest(buildRequest(id), requestId, error, { tenant: report.options.tenant });
+                        report.failures.push({ id, requestId, error: error.message, reason, ...(nextAttemptAt ? { nextAttemptAt } : {}) });
+                    } finally {
+                        report.counts.processed++;
+                        report.pageDone.push(id);
+                    }
+                });
+
+                report.lastId = ids[ids.length - 1];
+                report.pageDone = [];
+                save();
+                log.info('Backfill progress', { counts: report.counts, lastId: report.lastId });
+                if (ids.length < pageSize) break;
+            }
+            report.status = 'completed';
+            report.finishedAt = new Date().toISOString();
+        } catch (error) {
+            // The checkpoint still points at the last fully processed page, so the run can be resumed
+            report.status = 'interrupted';
+            report.error = error.message;
+            log.error('Backfill interrupted', error);
+        }
+        save();
+        log.info(`Backfill ${report.status}`, { counts: report.counts });
+        return report;
+    });
+
+    running.set(opts.name, run);
+    try {
+        return await run;
+    } finally {
+        running.delete(opts.name);
+    }
+}
+
+function isBackfillRunning(name) {
+    return running.has(name);
+}
+
+function getBackfillReport(name) {
+    const report = readJson(checkpointFile(name), null);
+    if (report && running.has(name)) report.status = 'running';
+    return report;
+}
+
+module.exports = { runBackfill, countBackfillCandidates, getBackfillReport, isBackfillRunning, buildBackfillCriteria, normalizeOptions };
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const { createFileSource, parseWav, wavHeader, parseMp3Frames } = require('./chunking');
+const { createLogger } = require('./logger');
+
+const log = createLogger('channels');
+
+/**
+ * Speaker separation for dual-channel call recordings (agent on one channel, customer on the other).
+ *
+ * WAV channels are de-interleaved in-process. MP3 has to be decoded, so it goes through ffmpeg
+ * (FFMPEG_PATH, default `ffmpeg` on the PATH); without ffmpeg MP3 falls back to a single mixed transcript.
+ * Recordings and channel files are read and written through file descriptors a window at a time,
+ * so a long call isn't held in memory (see lib/chunking).
+ */
+
+// PCM is de-interleaved and level-checked this many bytes at a time
+const WINDOW_BYTES = 1024 * 1024;
+
+function getSpeakerConfig() {
+    const agentChannel = Number(process.env.AGENT_CHANNEL || 0);
+    return {
+        agentChannel: agentChannel === 1 ? 1 : 0,
+        agentLabel: process.env.AGENT_LABEL || 'Agent',
+        customerLabel: process.env.CUSTOMER_LABEL || 'Customer',
+        ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    };
+}
+
+/**
+ * Number of audio channels, or null if the container isn't one we can inspect.
+ * Takes a Buffer or a file source (lib/chunking createFileSource).
+ */
+function detectChannelCount(input, format) {
+    if (format === 'wav') return parseWav(input)?.fmt.channels || null;
+    if (['mp3', 'mpeg', 'mpga'].includes(format)) {
+        const mp3 = parseMp3Frames(input);
+        return mp3 ? mp3.frames[0].channels : null;
+    }
+    return null;
+}
+
+function withFileSource(filePath, read) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        return read(createFileSource(fd, fs.fstatSync(fd).size));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function removeFiles(filePaths) {
+    for (const filePath of filePaths) {
+        try {
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        } catch (e) {
+            log.error('Failed to clean up channel file', { path: filePath, err: e });
+        }
+    }
+}
+
+/**
+ * De-interleave a WAV into one mono WAV file per channel (`outputs[channel]`).
+ */
+function writeWavChannels(source, outputs) {
+    const { fmt, dataOffset, dataSize } = parseWav(source);
+    const bytesPerSample = fmt.blockAlign / fmt.channels;
+    const frameCount = dataSize / fmt.blockAlign;
+    const framesPerWindow = Math.max(1, Math.floor(WINDOW_BYTES / fmt.blockAlign));
+
+    const monoFmt = Buffer.from(fmt.raw);
+    monoFmt.writeUInt16LE(1, 2); // channels
+    monoFmt.writeUInt32LE(fmt.sampleRate * bytesPerSample, 8); // byte rate
+    monoFmt.writeUInt16LE(bytesPerSample, 12); // block align
+    const header = wavHeader(monoFmt, frameCount * bytesPerSample);
+
+    const fds = outputs.map((output) => fs.openSync(output, 'w'));
+    try {
+        fds.forEach((fd) => fs.writeSync(fd, header));
+        for (let first = 0; first < frameCount; first += framesPerWindow) {
+            const count = Math.min(framesPerWindow, frameCount - first);
+            const block = source.read(dataOffset + first * fmt.blockAlign, count * fmt.blockAlign);
+            fds.forEach((fd, channel) => {
+                const pcm = Buffer.alloc(count * bytesPerSample);
+                for (let i = 0; i < count; i++) {
+                    const from = i * fmt.blockAlign + channel * bytesPerSample;
+                    block.copy(pcm, i * bytesPerSample, from, from + bytesPerSample);
+                }
+                fs.writeSync(fd, pcm);
+            });
+        }
+    } finally {
+        fds.forEach((fd) => fs.closeSync(fd));
+    }
+}
+
+function runFfmpeg(ffmpegPath, args) {
+    return new Promise((resolve, reject) => {
+        execFile(ffmpegPath, args, { timeout: 5 * 60 * 1000 }, (error, stdout, stderr) => {
+            if (error) {
+                error.message = `${error.message}${stderr ? ` - ${String(stderr).slice(-300)}` : ''}`;
+                return reject(error);
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Decode each channel of a compressed file to 16 kHz mono WAV (`outputs[channel]`) with ffmpeg.
+ */
+async function splitChannelsWithFfmpeg(filePath, outputs, ffmpegPath) {
+    const args = ['-hide_banner', '-loglevel', 'error', '-y', '-i', filePath];
+    outputs.forEach((output, c) => args.push('-map', '0:a:0', '-af', `pan=mono|c0=c${c}`, '-ar', '16000', '-c:a', 'pcm_s16le', output));
+    await runFfmpeg(ffmpegPath, args);
+}
+
+/**
+ * Mean absolute amplitude per channel and the mean absolute difference between the first two.
+ * Used to spot "stereo" files that are really mono (identical channels) or have one dead channel.
+ */
+function measureChannels([firstPath, secondPath]) {
+    return withFileSource(firstPath, (first) => withFileSource(secondPath, (second) => {
+        const parsed = [first, second].map((source) => ({ source, info: parseWav(source) }));
+        const isPcm16 = parsed.every(({ info }) => info && info.fmt.bitsPerSample === 16 && [1, 0xfffe].includes(info.fmt.audioFormat));
+        if (!isPcm16) return null;
+
+        const step = 2 * 8; // every 8th 16-bit sample is plenty for a level check
+        const length = Math.min(...parsed.map(({ info }) => info.dataSize));
+        const energy = [0, 0];
+        let difference = 0;
+        let count = 0;
+        for (let start = 0; start < length; start += WINDOW_BYTES) {
+            const size = Math.min(WINDOW_BYTES, length - start);
+            const [a, b] = parsed.map(({ source, info }) => source.read(info.dataOffset + start, size));
+            for (let o = 0; o + 2 <= size; o += step) {
+                const left = a.readInt16LE(o);
+                const right = b.readInt16LE(o);
+                energy[0] += Math.abs(left);
+                energy[1] += Math.abs(right);
+                difference += Math.abs(left - right);
+                count++;
+            }
+        }
+        return { energy: energy.map((e) => e / Math.max(1, count)), difference: difference / Math.max(1, count) };
+    }));
+}
+
+/**
+ * Split a two-channel recording into one mono WAV file per channel.
+ * Returns null (use the mixed file) when the recording is mono, the channels carry the same audio,
+ * one channel is silent, or the container can't be split here.
+ */
+async function splitSpeakerChannels(filePath, format, requestId) {
+    const config = getSpeakerConfig();
+    const channelCount = withFileSource(filePath, (source) => detectChannelCount(source, format));
+
+    if (channelCount !== 2) {
+        log.debug('Recording is not stereo. Skipping speaker separation', { channels: channelCount || null });
+        return null;
+    }
+
+    const { dir, name } = path.parse(filePath);
+    const channelPaths = [0, 1].map((channel) => path.join(dir, `${name}_channel${channel}.wav`));
+    let split = false;
+    try {
+        if (format === 'wav') {
+            withFileSource(filePath, (source) => writeWavChannels(source, channelPaths));
+        } else {
+            try {
+                await splitChannelsWithFfmpeg(filePath, channelPaths, config.ffmpegPath);
+            } catch (e) {
+                log.warn('Could not split channels with ffmpeg. Falling back to mixed transcript', { format, reason: e.code === 'ENOENT' ? `'${config.ffmpegPath}' not found` : e.message });
+                return null;
+            }
+        }
+
+        const levels = measureChannels(channelPaths);
+        if (levels) {
+            const [left, right] = levels.energy;
+            const louder = Math.max(left, right, 1);
+            if (Math.min(left, right) / louder < 0.01) {
+                log.info('One channel is silent. Treating recording as mono');
+                return null;
+            }
+            if (levels.difference / louder < 0.05) {
+                log.info('Both channels carry the same audio. Treating recording as mono');
+                return null;
+            }
+        }
+
+        split = true;
+        return channelPaths.map((channelPath, channel) => {
+            const role = channel === config.agentChannel ? 'agent' : 'customer';
+            const speaker = role === 'agent' ? config.agentLabel : config.customerLabel;
+            log.debug('Extracted channel', { channel, speaker, path: channelPath });
+            return { path: channelPath, channel, role, speaker };
+        });
+    } finally {
+        // Channel files only outlive this call when they are handed to the caller, which removes them
+        if (!split) removeFiles(channelPaths);
+    }
+}
+
+/**
+ * Interleave per-speaker segments by start time and collapse consecutive segments from the same
+ * speaker into one turn. Returns { text: "Agent: ...\nCustomer: ...", segments } with `speaker` on each segment.
+ */
+function mergeSpeakerSegments(perSpeaker) {
+    const segments = perSpeaker
+        .flatMap(({ speaker, segments: speakerSegments }) => (speakerSegments || []).map((s) => ({ ...s, text: (s.text || '').trim(), speaker })))
+        .filter((s) => s.text)
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+
+    const turns = [];
+    for (const segment of segments) {
+        const last = turns[turns.length - 1];
+        if (last && last.speaker === segment.speaker) last.text += ` ${segment.text}`;
+        else turns.push({ speaker: segment.speaker, text: segment.text });
+    }
+    return { text: turns.map((t) => `${t.speaker}: ${t.text}`).join('\n'), segments };
+}
+
+module.exports = { getSpeakerConfig, detectChannelCount, splitSpeakerChannels, mergeSpeakerSegments };
@@ -0,0 +1,443 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('chunking');
+
+/**
+ * Splitting of long recordings into overlapping pieces that fit under the Whisper upload limit.
+ *
+ * Only containers that can be cut without re-encoding are supported:
+ * - WAV: PCM sample data is cut on block boundaries, preferring the quietest point near each target cut
+ * - MP3: the frame stream is cut on frame boundaries, preferring the smallest (quietest, for VBR) frame
+ */
+
+const SPLITTABLE_FORMATS = ['wav', 'mp3', 'mpeg', 'mpga'];
+
+function getChunkingConfig() {
+    return {
+        maxBytes: Number(process.env.TRANSCRIBE_MAX_BYTES || 24 * 1024 * 1024),
+        maxSeconds: Number(process.env.TRANSCRIBE_MAX_SECONDS || 0),
+        chunkSeconds: Number(process.env.CHUNK_SECONDS || 600),
+        overlapSeconds: Number(process.env.CHUNK_OVERLAP_SECONDS || 3),
+        searchSeconds: Number(process.env.CHUNK_SILENCE_SEARCH_SECONDS || 5),
+        concurrency: Math.max(1, Number(process.env.CHUNK_CONCURRENCY || 2)),
+    };
+}
+
+// ---------- Reading ----------
+
+// Sequential header walks read ahead this much at a time, so an MP3 frame scan is one read per MiB, not per frame
+const READ_WINDOW_BYTES = 1024 * 1024;
+
+/**
+ * Random access to an open file without loading it: { size, read(offset, length) }. A returned buffer is only
+ * valid until the next read, so copy anything that has to outlive it.
+ */
+function createFileSource(fd, size) {
+    let windowStart = 0;
+    let window = Buffer.alloc(0);
+    return {
+        size,
+        read(offset, length) {
+            if (offset >= size) return Buffer.alloc(0);
+            const end = Math.min(size, offset + length);
+            if (offset < windowStart || end > windowStart + window.length) {
+                const buffer = Buffer.alloc(Math.min(size - offset, Math.max(end - offset, READ_WINDOW_BYTES)));
+                window = buffer.subarray(0, fs.readSync(fd, buffer, 0, buffer.length, offset));
+                windowStart = offset;
+            }
+            return window.subarray(offset - windowStart, end - windowStart);
+        },
+    };
+}
+
+// The parsers also take a Buffer, for recordings already in memory
+const toSource = (input) => (Buffer.isBuffer(input) ? { size: input.length, read: (offset, length) => input.subarray(offset, offset + length) } : input);
+
+// ---------- WAV ----------
+
+function parseWav(input) {
+    const source = toSource(input);
+    const head = source.read(0, 12);
+    if (head.length < 12 || head.toString('ascii', 0, 4) !== 'RIFF' || head.toString('ascii', 8, 12) !== 'WAVE') return null;
+
+    let offset = 12;
+    let fmt = null;
+    while (offset + 8 <= source.size) {
+        const chunkHeader = source.read(offset, 8);
+        const id = chunkHeader.toString('ascii', 0, 4);
+        const size = chunkHeader.readUInt32LE(4);
+        const body = offset + 8;
+
+        if (id === 'fmt ') {
+            const raw = Buffer.from(source.read(body, size));
+            if (raw.length < 16) return null;
+            fmt = {
+                raw,
+                audioFormat: raw.readUInt16LE(0),
+                channels: raw.readUInt16LE(2),
+                sampleRate: raw.readUInt32LE(4),
+                byteRate: raw.readUInt32LE(8),
+                blockAlign: raw.readUInt16LE(12),
+                bitsPerSample: raw.readUInt16LE(14),
+            };
+        } else if (id === 'data') {
+            if (!fmt) return null;
+            // Streamed WAVs often carry a 0 or 0xFFFFFFFF data size - use whatever is actually there
+            const dataSize = size === 0 || body + size > source.size ? source.size - body : size;
+            const usable = dataSize - (dataSize % fmt.blockAlign);
+            return { fmt, dataOffset: body, dataSize: usable, duration: usable / fmt.byteRate };
+        }
+        offset = body + size + (size % 2);
+    }
+    return null;
+}
+
+function wavHeader(fmtRaw, dataSize) {
+    const header = Buffer.alloc(12 + 8 + fmtRaw.length + 8);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(header.length - 8 + dataSize, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(fmtRaw.length, 16);
+    fmtRaw.copy(header, 20);
+    header.write('data', 20 + fmtRaw.length, 'ascii');
+    header.writeUInt32LE(dataSize, 24 + fmtRaw.length);
+    return header;
+}
+
+function buildWav(fmtRaw, pcm) {
+    return Buffer.concat([wavHeader(fmtRaw, pcm.length), pcm]);
+}
+
+function decodeMuLaw(byte) {
+    const u = ~byte & 0xff;
+    const magnitude = (((u & 0x0f) << 3) + 0x84) << ((u & 0x70) >> 4);
+    return u & 0x80 ? 0x84 - magnitude : magnitude - 0x84;
+}
+
+function decodeALaw(byte) {
+    const a = byte ^ 0x55;
+    const exponent = (a & 0x70) >> 4;
+    let magnitude = (a & 0x0f) << 4;
+    magnitude = exponent === 0 ? magnitude + 8 : (magnitude + 0x108) << (exponent - 1);
+    return a & 0x80 ? magnitude : -magnitude;
+}
+
+/**
+ * Returns a function reading the absolute amplitude of the sample at a byte offset of a buffer,
+ * or null for encodings we can't measure (those are cut on block boundaries only).
+ */
+function getSampleReader(fmt) {
+    const tag = fmt.audioFormat === 0xfffe ? 1 : fmt.audioFormat; // WAVE_FORMAT_EXTENSIBLE is almost always PCM
+    if (tag === 1 && fmt.bitsPerSample === 16) return (buffer, o) => Math.abs(buffer.readInt16LE(o));
+    if (tag === 1 && fmt.bitsPerSample === 8) return (buffer, o) => Math.abs(buffer[o] - 128) << 8;
+    if (tag === 7) return (buffer, o) => Math.abs(decodeMuLaw(buffer[o]));
+    if (tag === 6) return (buffer, o) => Math.abs(decodeALaw(buffer[o]));
+    return null;
+}
+
+function planWavChunks(source, wav, config) {
+    const { fmt, dataOffset, dataSize, duration } = wav;
+    const readSample = getSampleReader(fmt);
+    const bytesPerSample = Math.max(1, fmt.bitsPerSample / 8);
+    const windowBlocks = Math.max(1, Math.round(fmt.sampleRate * 0.02)); // 20 ms energy windows
+
+    const timeToOffset = (t) => dataOffset + Math.min(dataSize, Math.floor((t * fmt.byteRate) / fmt.blockAlign) * fmt.blockAlign);
+    const offsetToTime = (o) => (o - dataOffset) / fmt.byteRate;
+
+    const findCut = (target, earliest) => {
+        if (!readSample) return offsetToTime(timeToOffset(target));
+        let best = timeToOffset(target);
+        let bestEnergy = Infinity;
+        const windowBytes = windowBlocks * fmt.blockAlign;
+        // Only the search range (a few seconds) is read
+        const from = timeToOffset(earliest);
+        const region = source.read(from, timeToOffset(target) - from);
+        for (let o = 0; o + windowBytes <= region.length; o += windowBytes) {
+            let energy = 0;
+            for (let s = o; s < o + windowBytes; s += bytesPerSample) energy += readSample(region, s);
+            if (energy <= bestEnergy) {
+                bestEnergy = energy;
+                best = from + o + Math.floor(windowBlocks / 2) * fmt.blockAlign;
+            }
+        }
+        return offsetToTime(best);
+    };
+
+    const maxChunkSeconds = (config.maxBytes * 0.95) / fmt.byteRate - config.overlapSeconds;
+    return planChunks(duration, Math.min(config.chunkSeconds, maxChunkSeconds), config, findCut).map((chunk) => ({
+        ...chunk,
+        build: () => buildWav(fmt.raw, source.read(timeToOffset(chunk.start), timeToOffset(chunk.end) - timeToOffset(chunk.start))),
+    }));
+}
+
+// ---------- MP3 ----------
+
+const MP3_BITRATES = {
+    V1L1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    V1L2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    V1L3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    V2L1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    V2L2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    V2L3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+function parseMp3FrameHeader(source, offset) {
+    const bytes = source.read(offset, 4);
+    if (bytes.length < 4) return null;
+    const b1 = bytes[1];
+    const b2 = bytes[2];
+    if (bytes[0] !== 0xff || (b1 & 0xe0) !== 0xe0) return null;
+
+    const versionBits = (b1 >> 3) & 0x03;
+    const layerBits = (b1 >> 1) & 0x03;
+    const bitrateIndex = (b2 >> 4) & 0x0f;
+    const sampleRateIndex = (b2 >> 2) & 0x03;
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+
+    const layer = 4 - layerBits;
+    const isV1 = versionBits === 3;
+    const bitrate = MP3_BITRATES[`${isV1 ? 'V1' : 'V2'}L${layer}`][bitrateIndex] * 1000;
+    const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+    const padding = (b2 >> 1) & 0x01;
+
+    let length;
+    let samples;
+    if (layer === 1) {
+        length = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+        samples = 384;
+    } else if (layer === 3 && !isV1) {
+        length = Math.floor((72 * bitrate) / sampleRate) + padding;
+        samples = 576;
+    } else {
+        length = Math.floor((144 * bitrate) / sampleRate) + padding;
+        samples = 1152;
+    }
+    return { length, duration: samples / sampleRate, channels: ((bytes[3] >> 6) & 0x03) === 3 ? 1 : 2 };
+}
+
+/**
+ * Walk the MP3 frame stream (skipping ID3 tags and resyncing over junk) and return frame offsets and start times.
+ */
+function parseMp3Frames(input) {
+    const source = toSource(input);
+    let offset = 0;
+    const id3 = source.read(0, 10);
+    if (id3.toString('ascii', 0, 3) === 'ID3' && source.size > 10) {
+        const tagSize = ((id3[6] & 0x7f) << 21) | ((id3[7] & 0x7f) << 14) | ((id3[8] & 0x7f) << 7) | (id3[9] & 0x7f);
+        offset = 10 + tagSize + (id3[5] & 0x10 ? 10 : 0);
+    }
+
+    const frames = [];
+    let time = 0;
+    while (offset + 4 <= source.size) {
+        const header = parseMp3FrameHeader(source, offset);
+        const nextOffset = header ? offset + header.length : -1;
+        // Require the next frame to line up too, so a stray 0xFFE sync word in audio data isn't taken as a header
+        if (header && (nextOffset >= source.size - 4 || parseMp3FrameHeader(source, nextOffset))) {
+            frames.push({ offset, length: Math.min(header.length, source.size - offset), start: time, channels: header.channels });
+            time += header.duration;
+            offset = nextOffset;
+        } else {
+            offset++;
+        }
+    }
+    return frames.length ? { frames, duration: time } : null;
+}
+
+function planMp3Chunks(source, mp3, config) {
+    const { frames, duration } = mp3;
+
+    const frameIndexAt = (t) => {
+        let lo = 0;
+        let hi = frames.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (frames[mid].start < t) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    };
+
+    const findCut = (target, earliest) => {
+        let best = Math.min(frameIndexAt(target), frames.length - 1);
+        for (let i = frameIndexAt(earliest); i < frames.length && frames[i].start <= target; i++) {
+            if (frames[i].length <= frames[best].length) best = i;
+        }
+        return frames[best].start;
+    };
+
+    const totalBytes = frames.reduce((sum, f) => sum + f.length, 0);
+    const bytesPerSecond = totalBytes / duration;
+    // VBR bitrate varies across the file, so leave more headroom than for WAV
+    const maxChunkSeconds = (config.maxBytes * 0.85) / bytesPerSecond - config.overlapSeconds;
+
+    return planChunks(duration, Math.min(config.chunkSeconds, maxChunkSeconds), config, findCut).map((chunk) => ({
+        ...chunk,
+        build: () => {
+            const first = frames[frameIndexAt(chunk.start)];
+            const endIndex = frameIndexAt(chunk.end);
+            const endOffset = endIndex < frames.length ? frames[endIndex].offset : source.size;
+            return source.read(first.offset, endOffset - first.offset);
+        },
+    }));
+}
+
+// ---------- Planning ----------
+
+/**
+ * Lay out [start, end] windows of roughly `chunkSeconds`, cutting at `findCut(target, earliest)`
+ * and starting each chunk `overlapSeconds` before the previous cut.
+ */
+function planChunks(duration, chunkSeconds, config, findCut) {
+    if (!(chunkSeconds > config.overlapSeconds)) {
+        throw new Error(`Chunk length (${chunkSeconds.toFixed(1)}s) must be longer than CHUNK_OVERLAP_SECONDS (${config.overlapSeconds}s). Raise TRANSCRIBE_MAX_BYTES or lower the overlap.`);
+    }
+
+    const chunks = [];
+    let start = 0;
+    while (start < duration) {
+        const target = start + chunkSeconds;
+        if (target >= duration) {
+            chunks.push({ start, end: duration });
+            break;
+        }
+        const earliest = Math.max(start + config.overlapSeconds + 1, target - config.searchSeconds);
+        const end = findCut(target, earliest);
+        chunks.push({ start, end });
+        start = Math.max(end - config.overlapSeconds, start + 1);
+    }
+    return chunks;
+}
+
+function parseSplittable(source, format) {
+    if (format === 'wav') {
+        const wav = parseWav(source);
+        return wav && { duration: wav.duration, plan: (config) => planWavChunks(source, wav, config) };
+    }
+    const mp3 = parseMp3Frames(source);
+    return mp3 && { duration: mp3.duration, plan: (config) => planMp3Chunks(source, mp3, config) };
+}
+
+/**
+ * Decide whether a recording must be chunked and, if so, write the chunks next to it.
+ * Returns null when the file can be sent as-is, otherwise [{ path, start, end }] (times in seconds).
+ * The recording is read through a file descriptor, so only one chunk at a time is held in memory.
+ */
+function splitAudioFileIfNeeded(filePath, format, requestId) {
+    const config = getChunkingConfig();
+    const size = fs.statSync(filePath).size;
+    const overSize = size > config.maxBytes;
+
+    if (!SPLITTABLE_FORMATS.includes(format)) {
+        if (overSize) {
+            throw new Error(`Recording is ${(size / 1048576).toFixed(1)} MB, above the ${(config.maxBytes / 1048576).toFixed(1)} MB transcription limit, and .${format} files can't be split without re-encoding. Convert the recording to MP3 or WAV, or raise TRANSCRIBE_MAX_BYTES if your provider accepts larger uploads.`);
+        }
+        return null;
+    }
+    if (!overSize && !config.maxSeconds) return null;
+
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const source = createFileSource(fd, size);
+        const parsed = parseSplittable(source, format);
+        if (!parsed) {
+            if (overSize) throw new Error(`Recording is ${(size / 1048576).toFixed(1)} MB, above the transcription limit, but it could not be parsed as ${format.toUpperCase()} for splitting.`);
+            return null;
+        }
+
+        const overDuration = config.maxSeconds > 0 && parsed.duration > config.maxSeconds;
+        if (!overSize && !overDuration) return null;
+
+        if (config.maxSeconds > 0) config.chunkSeconds = Math.min(config.chunkSeconds, config.maxSeconds);
+        const chunks = parsed.plan(config);
+        log.info('Splitting recording into chunks', { megabytes: Number((size / 1048576).toFixed(1)), seconds: Math.round(parsed.duration), chunks: chunks.length });
+
+        const { dir, name, ext } = path.parse(filePath);
+        return chunks.map((chunk, index) => {
+            const chunkPath = path.join(dir, `${name}_part${index + 1}${ext}`);
+            fs.writeFileSync(chunkPath, chunk.build());
+            log.debug('Wrote chunk', { chunk: index + 1, start: chunk.start, end: chunk.end, path: chunkPath });
+            return { path: chunkPath, start: chunk.start, end: chunk.end };
+        });
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// ---------- Merging ----------
+
+const normalizeWord = (w) => w.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+/**
+ * Number of leading words of `next` that repeat the trailing words of `prev` (at least 3, at most 30).
+ */
+function countOverlappingWords(prev, next) {
+    const a = prev.split(/\s+/).filter(Boolean).map(normalizeWord);
+    const b = next.split(/\s+/).filter(Boolean).map(normalizeWord);
+    for (let k = Math.min(30, a.length, b.length); k >= 3; k--) {
+        let match = true;
+        for (let i = 0; i < k; i++) {
+            if (a[a.length - k + i] !== b[i]) {
+                match = false;
+                break;
+            }
+        }
+        if (match) return k;
+    }
+    return 0;
+}
+
+function dropLeadingWords(segments, count) {
+    let remaining = count;
+    const result = [];
+    for (const segment of segments) {
+        if (remaining > 0) {
+            const words = segment.text.split(/\s+/).filter(Boolean);
+            const drop = Math.min(remaining, words.length);
+            remaining -= drop;
+            if (drop === words.length) continue;
+            result.push({ ...segment, text: words.slice(drop).join(' ') });
+        } else {
+            result.push(segment);
+        }
+    }
+    return result;
+}
+
+/**
+ * Join per-chunk results ([{ start, end, text, segments }], segment times relative to the chunk)
+ * into one transcript. Segments are shifted to absolute time; inside each overlap only segments
+ * on the near side of the overlap midpoint are kept, then any words still repeated across the seam are dropped.
+ */
+function mergeChunkTranscripts(chunks) {
+    const kept = chunks.map((chunk, i) => {
+        const prev = chunks[i - 1];
+        const next = chunks[i + 1];
+        const keepFrom = prev ? (chunk.start + prev.end) / 2 : -Infinity;
+        const keepUntil = next ? (next.start + chunk.end) / 2 : Infinity;
+
+        if (!chunk.segments || chunk.segments.length === 0) {
+            const text = (chunk.text || '').trim();
+            return text ? [{ start: chunk.start, end: chunk.end, text }] : [];
+        }
+        return chunk.segments
+            .map((s) => ({ start: s.start + chunk.start, end: s.end + chunk.start, text: (s.text || '').trim() }))
+            .filter((s) => s.text && (s.start + s.end) / 2 >= keepFrom && (s.start + s.end) / 2 < keepUntil);
+    });
+
+    const segments = [];
+    for (const chunkSegments of kept) {
+        const prevText = segments.slice(-10).map((s) => s.text).join(' ');
+        const nextText = chunkSegments.slice(0, 10).map((s) => s.text).join(' ');
+        const overlap = segments.length ? countOverlappingWords(prevText, nextText) : 0;
+        segments.push(...dropLeadingWords(chunkSegments, overlap));
+    }
+
+    return { text: segments.map((s) => s.text).join(' ').trim(), segments };
+}
+
+module.exports = { getChunkingConfig, splitAudioFileIfNeeded, mergeChunkTranscripts, createFileSource, parseWav, wavHeader, buildWav, parseMp3Frames };
@@ -0,0 +1,100 @@
+const { readJson, writeJson } = require('./store');
+const { generateId } = require('./utils');
+const { createLogger } = require('./logger');
+
+const log = createLogger('deadLetter');
+
+/**
+ * Records that failed for good: a permanent failure, or a retryable one that ran out of attempts. Kept in
+ * DATA_DIR/dead-letter.json, one entry per record (the latest failure), until the record is processed successfully
+ * or DEAD_LETTER_RETENTION_DAYS (default 30) have passed.
+ */
+
+const DEAD_LETTER_FILE = 'dead-letter.json';
+
+let entries = null; // id -> entry
+
+function load() {
+    if (entries) return entries;
+    const retentionMs = Number(process.env.DEAD_LETTER_RETENTION_DAYS || 30) * 24 * 60 * 60 * 1000;
+    const cutoff = Date.now() - retentionMs;
+    const stored = readJson(DEAD_LETTER_FILE, []);
+    entries = new Map(stored.filter((entry) => new Date(entry.failedAt).getTime() >= cutoff).map((entry) => [entry.id, entry]));
+    if (entries.size !== stored.length) persist();
+    return entries;
+}
+
+function persist() {
+    try {
+        writeJson(DEAD_LETTER_FILE, Array.from(entries.values()));
+    } catch (e) {
+        log.error('Failed to persist dead-letter list', e);
+    }
+}
+
+const sameRecord = (entry, tenant, recordId) => entry.tenant === tenant && entry.recordId === recordId;
+
+/**
+ * Add a failed record, replacing any earlier entry for it (the first failure time is kept).
+ */
+function addDeadLetter({ tenant, recordId, module, reason, error, stage, attempts, requestId, jobId, request }) {
+    load();
+    let firstFailedAt = null;
+    for (const [id, entry] of entries) {
+        if (!sameRecord(entry, tenant, recordId)) continue;
+        firstFailedAt = entry.firstFailedAt;
+        entries.delete(id);
+    }
+    const now = new Date().toISOString();
+    const entry = {
+        id: generateId('dead'),
+        tenant,
+        recordId,
+        module,
+        reason,
+        error,
+        stage: stage || null,
+        attempts,
+        requestId,
+        jobId: jobId || null,
+        request,
+        firstFailedAt: firstFailedAt || now,
+        failedAt: now,
+    };
+    entries.set(entry.id, entry);
+    persist();
+    log.warn('Record moved to the dead-letter list', { recordId, reason, attempts });
+    return entry;
+}
+
+/**
+ * Drop the record's entry after it was processed successfully.
+ */
+function clearDeadLetter(tenant, recordId) {
+    load();
+    let removed = false;
+    for (const [id, entry] of entries) {
+        if (sameRecord(entry, tenant, recordId)) removed = entries.delete(id);
+    }
+    if (removed) {
+        persist();
+        log.info('Record removed from the dead-letter list', { recordId });
+    }
+}
+
+function getDeadLetter(id) {
+    return load().get(id) || null;
+}
+
+/**
+ * List entries, newest first, without the original request body.
+ */
+function listDeadLetters({ tenant, reason, limit = 50 } = {}) {
+    return Array.from(load().values())
+        .filter((entry) => (!tenant || entry.tenant === tenant) && (!reason || entry.reason === reason))
+        .sort((a, b) => new Date(b.failedAt) - new Date(a.failedAt))
+        .slice(0, Math.max(1, Number(limit) || 50))
+        .map(({ request, ...summary }) => summary);
+}
+
+module.exports = { addDeadLetter, clearDeadLetter, getDeadLetter, listDeadLetters };
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const { sniffAudioFormat, detectAudioFormat } = require('./audioFormat');
+const { sleep, parseBoolean } = require('./utils');
+const { getHttpPolicy, getBackoffDelay, getRetryAfterMs } = require('./http');
+const { recordHttpRetry } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('download');
+
+/**
+ * Recording download, streamed straight to disk.
+ *
+ * - RECORDING_MAX_BYTES: largest recording accepted (default 200 MB); checked against Content-Length and while streaming
+ * - RECORDING_IDLE_TIMEOUT_MS: abort when no data arrives for this long (default 30 s). There is no total timeout,
+ *   so long recordings on slow hosts still finish as long as bytes keep coming.
+ * - RECORDING_DOWNLOAD_RETRIES: retries after network errors, idle timeouts and 5xx/429 (default 3). When the host
+ *   supports it, a retry resumes with `Range: bytes=<received>-` instead of starting over. The wait between attempts
+ *   follows the `recording` outbound policy (HTTP_POLICIES) and a Retry-After from the host
+ * - RECORDING_VERIFY_AUDIO: check the file starts with a known audio signature (default true), so HTML error pages
+ *   and JSON errors are not sent to the transcription provider
+ */
+
+class DownloadError extends Error {
+    constructor(message, { retryable = false, status, retryAfterMs } = {}) {
+        super(message);
+        this.name = 'DownloadError';
+        this.retryable = retryable;
+        if (status) this.status = status;
+        if (retryAfterMs) this.retryAfterMs = retryAfterMs;
+    }
+}
+
+function getDownloadConfig() {
+    return {
+        maxBytes: Number(process.env.RECORDING_MAX_BYTES || 200 * 1024 * 1024),
+        idleTimeoutMs: Number(process.env.RECORDING_IDLE_TIMEOUT_MS || 30000),
+        retries: Math.max(0, Number(process.env.RECORDING_DOWNLOAD_RETRIES ?? 3)),
+        verifyAudio: parseBoolean(process.env.RECORDING_VERIFY_AUDIO, true),
+    };
+}
+
+/**
+ * One GET of `url` appended to (or, without a Range answer, replacing) `filePath`. Updates `state` with
+ * the bytes written, the running hash and the response headers.
+ */
+async function fetchOnce({ url, headers: sourceHeaders }, filePath, state, config) {
+    const controller = new AbortController();
+    let idleTimer = null;
+    let idleExpired = false;
+    const armIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+            idleExpired = true;
+            controller.abort();
+        }, config.idleTimeoutMs);
+    };
+
+    const headers = { ...sourceHeaders, ...(state.bytes > 0 ? { Range: `bytes=${state.bytes}-` } : {}) };
+    armIdleTimer();
+    try {
+        let response;
+        try {
+            response = await axios.get(url, { responseType: 'stream', headers, signal: controller.signal, maxRedirects: 5, validateStatus: () => true });
+        } catch (error) {
+            throw new DownloadError(idleExpired ? `No response from recording host within ${config.idleTimeoutMs}ms` : `Recording download failed: ${error.message}`, { retryable: true });
+        }
+
+        const { status } = response;
+        if (status >= 400) {
+            response.data.destroy();
+            throw new DownloadError(`Recording host returned HTTP ${status}`, { retryable: status >= 500 || status === 429, status, retryAfterMs: getRetryAfterMs({ response }) });
+        }
+
+        // 206 continues where we stopped; a 200 to a Range request means the host ignored it, so start over
+        const resumed = status === 206 && state.bytes > 0;
+        if (resumed) {
+            const rangeStart = Number(/^bytes (\d+)-/i.exec(response.headers['content-range'] || '')?.[1]);
+            if (rangeStart !== state.bytes) {
+                // Appending would corrupt the file; the retry loop downloads it again from the start
+                response.data.destroy();
+                state.acceptsRanges = false;
+                throw new DownloadError(`Recording host resumed at ${response.headers['content-range'] || 'an unknown range'} instead of byte ${state.bytes}`, { retryable: true });
+            }
+        }
+        if (!resumed) {
+            state.bytes = 0;
+            state.hash = crypto.createHash('sha256');
+            state.contentType = response.headers['content-type'] || '';
+        }
+        const expected = Number(response.headers['content-length']) + (resumed ? state.bytes : 0);
+        if (expected > config.maxBytes) {
+            response.data.destroy();
+            throw new DownloadError(`Recording is ${expected} bytes, above RECORDING_MAX_BYTES (${config.maxBytes})`);
+        }
+        state.acceptsRanges = resumed || response.headers['accept-ranges'] === 'bytes';
+        if (resumed) state.resumes++;
+
+        const out = fs.createWriteStream(filePath, { flags: resumed ? 'a' : 'w' });
+        await new Promise((resolve, reject) => {
+            let failed = false;
+            const fail = (error) => {
+                if (failed) return;
+                failed = true;
+                response.data.destroy();
+                // end() rather than destroy() so chunks already queued reach the disk and can be resumed after
+                out.end();
+                reject(error);
+            };
+            response.data.on('data', (chunk) => {
+                if (failed) return;
+                armIdleTimer();
+                state.bytes += chunk.length;
+                if (state.bytes > config.maxBytes) {
+                    return fail(new DownloadError(`Recording exceeded RECORDING_MAX_BYTES (${config.maxBytes}) while downloading`));
+                }
+                state.hash.update(chunk);
+                if (!out.write(chunk)) response.data.pause();
+            });
+            out.on('drain', () => response.data.resume());
+            response.data.on('error', () =>
+                fail(new DownloadError(idleExpired ? `Recording download stalled for ${config.idleTimeoutMs}ms` : 'Recording download was interrupted', { retryable: true }))
+            );
+            let ended = false;
+            response.data.on('end', () => {
+                ended = true;
+                if (failed) return;
+                out.end(resolve);
+            });
+            // A socket closed without 'end' or 'error' would otherwise leave this promise pending forever
+            response.data.on('close', () => {
+                if (!ended) fail(new DownloadError('Recording download was interrupted', { retryable: true }));
+            });
+            out.on('error', (error) => fail(new DownloadError(`Could not write recording to disk: ${error.message}`)));
+        });
+    } finally {
+        clearTimeout(idleTimer);
+    }
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', () => resolve(hash))
+            .on('error', reject);
+    });
+}
+
+function readHead(filePath, length = 64) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const head = Buffer.alloc(length);
+        return head.subarray(0, fs.readSync(fd, head, 0, length, 0));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Check the first bytes of a downloaded file. Throws when they are not a known audio signature.
+ */
+function verifyAudioHead(head, contentType) {
+    if (sniffAudioFormat(head)) return;
+
+    const text = head.toString('utf8').trimStart().toLowerCase();
+    if (contentType.includes('text/html') || text.startsWith('<!doctype') || text.startsWith('<html')) {
+        throw new DownloadError('Recording host returned an HTML page instead of audio (expired or unauthorised link?)');
+    }
+    if (contentType.includes('json') || text.startsWith('{')) {
+        throw new DownloadError('Recording host returned JSON instead of audio');
+    }
+    throw new DownloadError(`Downloaded file is not a recognised audio format (Content-Type: ${contentType || 'none'}). Set RECORDING_VERIFY_AUDIO=false to skip this check.`);
+}
+
+/**
+ * Stream `source` (a URL, or { url, headers } from a recording resolver) to `filePath`. Returns
+ * { bytes, sha256, contentType, format, resumes, attempts }, where `format` is the file extension to use.
+ * The partial file is removed when the download fails.
+ */
+async function downloadRecording(source, filePath) {
+    const { url, headers = {} } = typeof source === 'string' ? { url: source } : source;
+    const config = getDownloadConfig();
+    const policy = getHttpPolicy('recording');
+    const state = { bytes: 0, hash: crypto.createHash('sha256'), contentType: '', acceptsRanges: false, resumes: 0 };
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await fetchOnce({ url, headers }, filePath, state, config);
+            if (state.bytes === 0) throw new DownloadError('Recording host returned an empty file');
+
+            const head = readHead(filePath);
+            if (config.verifyAudio) verifyAudioHead(head, state.contentType);
+            return {
+                bytes: state.bytes,
+                sha256: state.hash.digest('hex'),
+                contentType: state.contentType,
+                format: detectAudioFormat(head, state.contentType, url),
+                resumes: state.resumes,
+                attempts: attempt,
+            };
+        } catch (error) {
+            // A long Retry-After is left to the job retry schedule rather than holding the worker
+            if (!error.retryable || attempt > config.retries || error.retryAfterMs > policy.maxRetryAfterMs) {
+                fs.rmSync(filePath, { force: true });
+                throw error;
+            }
+            const delayMs = error.retryAfterMs ?? getBackoffDelay(attempt, policy);
+            recordHttpRetry('recording', error.status === 429 ? 'rate_limited' : error.status === 503 ? 'unavailable' : error.status ? 'server_error' : 'network');
+            log.warn('Recording download failed. Retrying', { attempt, retries: config.retries, received: state.bytes, resume: state.acceptsRanges, delayMs, reason: error.message });
+            await sleep(delayMs);
+            // Resume from what actually reached the disk; without range support the next attempt starts from scratch
+            if (state.acceptsRanges && fs.existsSync(filePath)) {
+                state.bytes = fs.statSync(filePath).size;
+                state.hash = await hashFile(filePath);
+            } else {
+                state.bytes = 0;
+            }
+        }
+    }
+}
+
+/**
+ * Hash and sniff a recording that is already on disk (an upload). Returns the same shape as downloadRecording;
+ * `fileName` helps pick the format when the content type is generic.
+ */
+async function inspectRecordingFile(filePath, { contentType = '', fileName = '' } = {}) {
+    const config = getDownloadConfig();
+    const { size } = fs.statSync(filePath);
+    if (size === 0) throw new DownloadError('Uploaded file is empty');
+    if (size > config.maxBytes) throw new DownloadError(`Uploaded file is ${size} bytes, above RECORDING_MAX_BYTES (${config.maxBytes})`);
+
+    const head = readHead(filePath);
+    if (config.verifyAudio && !sniffAudioFormat(head)) {
+        throw new DownloadError(`Uploaded file is not a recognised audio format (Content-Type: ${contentType || 'none'}). Set RECORDING_VERIFY_AUDIO=false to skip this check.`);
+    }
+    const hash = await hashFile(filePath);
+    return { bytes: size, sha256: hash.digest('hex'), contentType, format: detectAudioFormat(head, contentType, fileName), resumes: 0, attempts: 0 };
+}
+
+module.exports = { downloadRecording, inspectRecordingFile, verifyAudioHead, getDownloadConfig, DownloadError };
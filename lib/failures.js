@@ -0,0 +1,88 @@
+const { APIConnectionError } = require('openai');
+
+/**
+ * Why a run failed, and whether trying again later can help.
+ *
+ * Retryable: the recording isn't ready yet (Knowlarity has no link for the call, or the host answers 404), rate limits
+ * (HTTP 429 from any API), upstream 5xx and network errors. Everything else is permanent: no recording on the record,
+ * a file that isn't audio, no speech in the recording, rejected requests and configuration errors.
+ */
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+/**
+ * A failure whose cause is known where it is thrown. `reason` is a short code (no_recording, no_speech, ...).
+ */
+class ProcessingError extends Error {
+    constructor(message, { reason = 'error', retryable = false } = {}) {
+        super(message);
+        this.name = 'ProcessingError';
+        this.reason = reason;
+        this.retryable = retryable;
+    }
+}
+
+// The pipeline wraps errors (originalError) and some callers chain them (cause); the innermost one says the most
+function errorChain(error) {
+    const chain = [];
+    for (let e = error; e && typeof e === 'object' && !chain.includes(e); e = e.originalError || e.cause) chain.push(e);
+    return chain.reverse();
+}
+
+function classifyOne(e) {
+    if (e.name === 'ProcessingError') return { reason: e.reason, retryable: e.retryable };
+    // lib/http failing fast while a service is down
+    if (e.name === 'CircuitOpenError') return { reason: 'upstream_unavailable', retryable: true };
+    if (e.name === 'DownloadError') {
+        if (e.status === 404) return { reason: 'recording_not_ready', retryable: true };
+        if (e.status === 429) return { reason: 'rate_limited', retryable: true };
+        if (e.retryable) return { reason: e.status ? 'upstream_unavailable' : 'network', retryable: true };
+        return { reason: e.status ? 'recording_unavailable' : 'invalid_audio', retryable: false };
+    }
+
+    // axios keeps the status on error.response, the OpenAI SDK on error.status
+    const status = e.response?.status ?? (Number.isInteger(e.status) ? e.status : undefined);
+    if (status === 429) return { reason: 'rate_limited', retryable: true };
+    if (status >= 500) return { reason: 'upstream_unavailable', retryable: true };
+    if (status >= 400) return { reason: 'rejected', retryable: false };
+    if (NETWORK_CODES.includes(e.code) || e instanceof APIConnectionError || (e.isAxiosError && e.request && !e.response)) {
+        return { reason: 'network', retryable: true };
+    }
+    return null;
+}
+
+/**
+ * Classify an error from the pipeline. Returns { reason, retryable }.
+ */
+function classifyFailure(error) {
+    for (const e of errorChain(error)) {
+        const failure = classifyOne(e);
+        if (failure) return failure;
+    }
+    return { reason: 'error', retryable: false };
+}
+
+/**
+ * RETRY_MAX_ATTEMPTS (default 5) counts the first run. RETRY_BACKOFF_SECONDS lists the waits before each retry
+ * (default 60,300,1800,7200); the last one repeats when there are more attempts than entries.
+ */
+function getRetryPolicy() {
+    const delays = String(process.env.RETRY_BACKOFF_SECONDS || '60,300,1800,7200')
+        .split(',')
+        .map((s) => Number(s.trim()))
+        .filter((s) => Number.isFinite(s) && s >= 0);
+    return {
+        maxAttempts: Math.max(1, Number(process.env.RETRY_MAX_ATTEMPTS || 5)),
+        delaysMs: (delays.length ? delays : [60]).map((s) => s * 1000),
+    };
+}
+
+/**
+ * Milliseconds to wait before the next attempt after `attempts` runs, or null when none are left.
+ */
+function getRetryDelay(attempts, policy = getRetryPolicy()) {
+    if (attempts >= policy.maxAttempts) return null;
+    return policy.delaysMs[Math.min(Math.max(attempts, 1), policy.delaysMs.length) - 1];
+}
+
+module.exports = { ProcessingError, classifyFailure, getRetryPolicy, getRetryDelay, errorChain };
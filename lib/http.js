@@ -0,0 +1,258 @@
+const axios = require('axios');
+const { APIConnectionError } = require('openai');
+
+const { createRateLimiter, sleep } = require('./utils');
+const { recordHttpRetry, recordCircuitOpen } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('outbound');
+
+/**
+ * Shared policy for outbound API calls: retries with jittered exponential backoff, Retry-After, client-side rate
+ * and concurrency limits, and a circuit breaker. Every upstream is a service with its own policy; HTTP_POLICIES
+ * (inline JSON) is merged over DEFAULT_HTTP_POLICIES per service:
+ *   { "zoho": { "ratePerMinute": 60, "concurrency": 5 }, "openai": { "ratePerMinute": 50 } }
+ *
+ * - retries: attempts after the first. Requests that may already have taken effect (a POST that timed out or got a
+ *   500) are only retried when the call is marked idempotent; 429, 503 and refused connections always are
+ * - baseDelayMs / maxDelayMs: backoff between attempts, doubled each time, with jitter
+ * - maxRetryAfterMs: a longer Retry-After is not waited out; the error goes back to the caller (and the job
+ *   retry schedule) instead of holding a worker
+ * - ratePerMinute / concurrency: 0 = no limit. A 429 pauses the whole service until its Retry-After
+ * - breakerThreshold / breakerCooldownMs: after that many failures in a row (network errors and 5xx), calls fail
+ *   fast with CircuitOpenError for the cooldown, then one trial call decides whether the circuit closes again
+ *
+ * Limits and breakers are kept per service and `bucket` (the Zoho tenant, since each org has its own quota).
+ * HTTP_POLICIES is read and checked once, when this module loads, so a bad value stops the service at startup.
+ * A bucket's rate limiter is built on its first call, so limits are fixed from then on: changing them needs a restart.
+ */
+
+const DEFAULT_HTTP_POLICIES = {
+    default: {
+        retries: 2,
+        baseDelayMs: 500,
+        maxDelayMs: 10000,
+        maxRetryAfterMs: 60000,
+        ratePerMinute: 0,
+        concurrency: 0,
+        breakerThreshold: 5,
+        breakerCooldownMs: 30000,
+    },
+    // The smallest Zoho CRM editions allow 10 concurrent API calls per org. 100 a minute is about 30 recordings
+    // (token, lookup, update); raise it for orgs with more API credits
+    zoho: { retries: 3, concurrency: 10, ratePerMinute: 100 },
+    knowlarity: { retries: 3 },
+    // Below the 500 requests a minute of OpenAI's first usage tier, shared by Whisper and the analysis model
+    openai: { retries: 3, baseDelayMs: 1000, maxDelayMs: 20000, ratePerMinute: 300 },
+    exotel: {},
+    recording: { baseDelayMs: 1000, maxDelayMs: 30000 },
+};
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+// The request never reached the server
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+const NETWORK_CODES = [...NOT_SENT_CODES, 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+class CircuitOpenError extends Error {
+    constructor(service, until) {
+        super(`${service} is failing; calls are paused until ${new Date(until).toISOString()} (circuit open)`);
+        this.name = 'CircuitOpenError';
+        this.service = service;
+        this.retryable = true;
+    }
+}
+
+/**
+ * Parse HTTP_POLICIES: an object of services, each an object of known policy keys with non-negative numbers.
+ * Throws a configuration error naming the bad entry.
+ */
+function parseHttpPolicies(value) {
+    if (!value) return {};
+    let parsed;
+    try {
+        parsed = JSON.parse(value);
+    } catch (e) {
+        throw new Error(`Invalid HTTP_POLICIES: not JSON (${e.message})`);
+    }
+    const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+    if (!isObject(parsed)) throw new Error('Invalid HTTP_POLICIES: expected an object of services, e.g. {"zoho":{"ratePerMinute":100}}');
+    const keys = Object.keys(DEFAULT_HTTP_POLICIES.default);
+    for (const [service, policy] of Object.entries(parsed)) {
+        if (!isObject(policy)) throw new Error(`Invalid HTTP_POLICIES entry '${service}': expected an object`);
+        for (const [key, setting] of Object.entries(policy)) {
+            if (!keys.includes(key)) throw new Error(`Invalid HTTP_POLICIES key '${service}.${key}'. Expected one of: ${keys.join(', ')}`);
+            if (typeof setting !== 'number' || !Number.isFinite(setting) || setting < 0) {
+                throw new Error(`Invalid HTTP_POLICIES value '${service}.${key}': ${JSON.stringify(setting)}. Expected a number of 0 or more`);
+            }
+        }
+    }
+    return parsed;
+}
+
+const overrides = parseHttpPolicies(process.env.HTTP_POLICIES);
+const buckets = new Map(); // "service:bucket" -> limiter and breaker state
+
+function getHttpPolicy(service) {
+    return { ...DEFAULT_HTTP_POLICIES.default, ...overrides.default, ...DEFAULT_HTTP_POLICIES[service], ...overrides[service] };
+}
+
+function getBucket(service, name, policy) {
+    const key = `${service}:${name || ''}`;
+    if (!buckets.has(key)) {
+        buckets.set(key, {
+            waitForSlot: createRateLimiter(policy.ratePerMinute),
+            active: 0,
+            waiting: [],
+            pausedUntil: 0,
+            failures: 0,
+            openUntil: 0,
+            probing: false,
+        });
+    }
+    return buckets.get(key);
+}
+
+function getHeader(headers, name) {
+    if (!headers) return undefined;
+    if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+    return headers[name] ?? headers[name.toLowerCase()];
+}
+
+const statusOf = (error) => error.response?.status ?? (Number.isInteger(error.status) ? error.status : undefined);
+
+/**
+ * Milliseconds the server asked us to wait (Retry-After in seconds or as a date, or OpenAI's retry-after-ms).
+ */
+function getRetryAfterMs(error) {
+    const headers = error.response?.headers || error.headers;
+    const ms = Number(getHeader(headers, 'retry-after-ms'));
+    if (ms > 0) return ms;
+    const value = getHeader(headers, 'retry-after');
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait before attempt `attempt + 1`: exponential from baseDelayMs, capped at maxDelayMs, with the upper half jittered
+ * so callers that failed together don't come back together.
+ */
+function getBackoffDelay(attempt, policy) {
+    const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+function isNetworkError(error) {
+    return NETWORK_CODES.includes(error.code) || error instanceof APIConnectionError || (error.isAxiosError && !error.response);
+}
+
+/**
+ * Why a failed attempt may be retried (rate_limited, unavailable, server_error, network), or null.
+ */
+function getRetryReason(error, idempotent) {
+    const status = statusOf(error);
+    // OpenAI answers 429 for an exhausted quota too, which no amount of waiting fixes
+    if (status === 429) return error.code === 'insufficient_quota' ? null : 'rate_limited';
+    if (status === 503) return 'unavailable';
+    if (status >= 500) return idempotent ? 'server_error' : null;
+    if (status) return null;
+    if (NOT_SENT_CODES.includes(error.code)) return 'network';
+    return idempotent && isNetworkError(error) ? 'network' : null;
+}
+
+// Failures that say something about the service's health (not 4xx answers, which are about the request)
+const countsAgainstBreaker = (error) => (statusOf(error) ?? 0) >= 500 || (!statusOf(error) && isNetworkError(error));
+
+async function acquire(bucket, policy) {
+    // A waiter is handed the slot of the call that finishes (see release), so nobody can slip in between
+    if (policy.concurrency > 0 && bucket.active >= policy.concurrency) await new Promise((resolve) => bucket.waiting.push(resolve));
+    else bucket.active++;
+    if (bucket.pausedUntil > Date.now()) await sleep(bucket.pausedUntil - Date.now());
+    await bucket.waitForSlot();
+}
+
+function release(bucket) {
+    const next = bucket.waiting.shift();
+    if (next) next();
+    else bucket.active--;
+}
+
+/**
+ * Throws while the circuit is open. Returns true when this call is the trial after the cooldown.
+ */
+function checkBreaker(service, bucket) {
+    if (!bucket.openUntil) return false;
+    if (bucket.openUntil > Date.now() || bucket.probing) throw new CircuitOpenError(service, Math.max(bucket.openUntil, Date.now()));
+    bucket.probing = true;
+    return true;
+}
+
+function recordOutcome(service, bucket, policy, error, isProbe) {
+    if (isProbe) bucket.probing = false;
+    if (!error || !countsAgainstBreaker(error)) {
+        if (bucket.openUntil) log.info('Circuit closed', { service });
+        bucket.failures = 0;
+        bucket.openUntil = 0;
+        return;
+    }
+    bucket.failures++;
+    if (isProbe || bucket.failures >= policy.breakerThreshold) {
+        bucket.openUntil = Date.now() + policy.breakerCooldownMs;
+        recordCircuitOpen(service);
+        log.warn('Circuit opened', { service, failures: bucket.failures, cooldownMs: policy.breakerCooldownMs });
+    }
+}
+
+/**
+ * Run `attempt` (one call, returning a promise) under `service`'s policy. Options: `bucket` (separate limits and
+ * breaker, e.g. per tenant), `idempotent` (safe to repeat after a timeout or 5xx), `retries` (overrides the policy).
+ * The last error is thrown as is, so callers keep seeing axios / SDK errors.
+ */
+async function callWithPolicy(service, attempt, { bucket: bucketName, idempotent = false, retries } = {}) {
+    const policy = getHttpPolicy(service);
+    const bucket = getBucket(service, bucketName, policy);
+    const maxRetries = retries ?? policy.retries;
+
+    for (let n = 1; ; n++) {
+        const isProbe = checkBreaker(service, bucket);
+        await acquire(bucket, policy);
+        let error = null;
+        try {
+            const result = await attempt();
+            recordOutcome(service, bucket, policy, null, isProbe);
+            return result;
+        } catch (e) {
+            error = e;
+            recordOutcome(service, bucket, policy, e, isProbe);
+        } finally {
+            release(bucket);
+        }
+
+        const reason = getRetryReason(error, idempotent);
+        const retryAfterMs = getRetryAfterMs(error);
+        if (statusOf(error) === 429 && retryAfterMs) bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + Math.min(retryAfterMs, policy.maxRetryAfterMs));
+        if (!reason || n > maxRetries || (retryAfterMs && retryAfterMs > policy.maxRetryAfterMs)) throw error;
+
+        const delayMs = retryAfterMs ?? getBackoffDelay(n, policy);
+        recordHttpRetry(service, reason);
+        log.warn('Outbound call failed. Retrying', { service, reason, status: statusOf(error), attempt: n, retries: maxRetries, delayMs });
+        await sleep(delayMs);
+    }
+}
+
+/**
+ * An axios-style client for `service`: request(config, options), where options are those of callWithPolicy.
+ * Idempotency defaults from the HTTP method.
+ */
+function createHttpClient(service) {
+    return {
+        request(config, options = {}) {
+            const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(String(config.method || 'get').toLowerCase());
+            return callWithPolicy(service, () => axios.request(config), { ...options, idempotent });
+        },
+    };
+}
+
+module.exports = { createHttpClient, callWithPolicy, getHttpPolicy, parseHttpPolicies, getBackoffDelay, getRetryAfterMs, CircuitOpenError, DEFAULT_HTTP_POLICIES };
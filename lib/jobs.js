@@ -0,0 +1,317 @@
+const { processAudioRequest } = require('./processAudio');
+const { readJson, writeJson, removeFile } = require('./store');
+const { generateId } = require('./utils');
+const { classifyFailure, getRetryDelay, getRetryPolicy } = require('./failures');
+const { writeRecordStatus } = require('./status');
+const { addDeadLetter } = require('./deadLetter');
+const { getTenant } = require('./tenants');
+const { recordFailure } = require('./metrics');
+const { createLogger, runWithLogContext } = require('./logger');
+
+const log = createLogger('jobs');
+
+const JOBS_FILE = 'jobs.json';
+// Results (full transcripts) live in one file per job, so a stage change doesn't rewrite every finished transcript
+const RESULTS_DIR = 'job-results';
+const JOB_STATUSES = ['queued', 'scheduled', 'running', 'succeeded', 'failed'];
+// Timers can't wait longer than ~24 days; waking up hourly also copes with clock changes
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+const pending = [];
+let activeWorkers = 0;
+let initialized = false;
+let retryTimer = null;
+
+function getConcurrency() {
+    return Math.max(1, Number(process.env.JOB_CONCURRENCY || 2));
+}
+
+const resultFileName = (jobId) => `${RESULTS_DIR}/${jobId}.json`;
+
+function saveJobResult(job, result) {
+    try {
+        writeJson(resultFileName(job.id), result);
+    } catch (e) {
+        log.error('Failed to persist job result', { jobId: job.id, err: e });
+    }
+}
+
+function persistJobs() {
+    try {
+        writeJson(JOBS_FILE, Array.from(jobs.values()));
+    } catch (e) {
+        log.error('Failed to persist job store', e);
+    }
+}
+
+/**
+ * Drop finished jobs older than JOB_RETENTION_HOURS (default 72) so the
+ * store doesn't grow forever.
+ */
+function pruneJobs() {
+    const retentionMs = Number(process.env.JOB_RETENTION_HOURS || 72) * 60 * 60 * 1000;
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+        if ((job.status === 'succeeded' || job.status === 'failed') && new Date(job.finishedAt).getTime() < cutoff) {
+            jobs.delete(id);
+            removeFile(resultFileName(id));
+        }
+    }
+}
+
+/**
+ * Load persisted jobs. Anything that was queued or running when the process
+ * stopped is put back on the queue.
+ */
+function initJobQueue() {
+    if (initialized) return;
+    initialized = true;
+
+    const stored = readJson(JOBS_FILE, []);
+    for (const job of stored) {
+        if (job.status === 'running') {
+            log.warn('Job was interrupted. Re-queueing', { jobId: job.id, stage: job.stage });
+            job.status = 'queued';
+            job.stage = 'queued';
+            job.startedAt = null;
+        }
+        // Stores written before results had their own files
+        if (job.result) saveJobResult(job, job.result);
+        delete job.result;
+        jobs.set(job.id, job);
+    }
+    pruneJobs();
+
+    const queued = Array.from(jobs.values())
+        .filter((job) => job.status === 'queued')
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    for (const job of queued) pending.push(job.id);
+
+    persistJobs();
+    log.info('Job queue ready', { stored: jobs.size, queued: pending.length, concurrency: getConcurrency() });
+    armRetryTimer();
+    drainQueue();
+}
+
+function createJob(requestBody, requestId, { tenant, recordingUrl }) {
+    return {
+        id: generateId('job'),
+        requestId,
+        tenant,
+        recordingUrl,
+        recordId: requestBody?.Call_Record_ID || requestBody?.call_record_id || requestBody?.recordId || null,
+        status: 'queued',
+        stage: 'queued',
+        request: requestBody,
+        error: null,
+        attempts: 0,
+        nextAttemptAt: null,
+        timings: {},
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        durationMs: null,
+    };
+}
+
+function enqueueJob(requestBody, requestId, { tenant = null, recordingUrl = null } = {}) {
+    initJobQueue();
+
+    const job = createJob(requestBody, requestId, { tenant, recordingUrl });
+    jobs.set(job.id, job);
+    pending.push(job.id);
+    persistJobs();
+    log.info('Job queued', { jobId: job.id, recordId: job.recordId });
+
+    drainQueue();
+    return job;
+}
+
+async function runJob(job) {
+    job.status = 'running';
+    job.stage = 'starting';
+    job.attempts += 1;
+    job.startedAt = new Date().toISOString();
+    persistJobs();
+
+    let stageStartedAt = Date.now();
+    const onStage = (stage) => {
+        const now = Date.now();
+        if (job.stage) job.timings[job.stage] = (job.timings[job.stage] || 0) + (now - stageStartedAt);
+        stageStartedAt = now;
+        job.stage = stage;
+        persistJobs();
+    };
+
+    log.info('Running job', { attempt: job.attempts });
+    try {
+        const result = await processAudioRequest(job.request, job.requestId, { onStage, tenant: job.tenant || undefined, recordingUrl: job.recordingUrl || undefined });
+        saveJobResult(job, result);
+        onStage('done');
+        job.status = 'succeeded';
+        job.error = null;
+        log.info('Job succeeded', { durationMs: Date.now() - new Date(job.startedAt) });
+    } catch (error) {
+        job.timings[job.stage] = (job.timings[job.stage] || 0) + (Date.now() - stageStartedAt);
+        log.error('Job failed', { stage: job.stage, err: error });
+        await settleFailure(job, error);
+    } finally {
+        job.finishedAt = new Date().toISOString();
+        job.durationMs = new Date(job.finishedAt) - new Date(job.startedAt);
+        persistJobs();
+    }
+}
+
+/**
+ * Decide what happens to a failed run. A retryable failure on a record is run again after the RETRY_BACKOFF_SECONDS
+ * wait (the job goes to `scheduled` and the record to Pending) until RETRY_MAX_ATTEMPTS runs have failed. Anything
+ * else ends the job: the record is marked Failed (Skipped when there was no speech) and added to the dead-letter list.
+ * Runs without a record (uploads, dry runs) only end the job.
+ */
+async function settleFailure(job, error, { retry = true } = {}) {
+    const failure = error.failure || classifyFailure(error);
+    const record = error.record || null;
+    job.error = { message: error.message, stage: job.stage, reason: failure.reason, retryable: failure.retryable };
+
+    const tenant = getTenant(job.tenant || undefined);
+    const delayMs = retry && record && failure.retryable ? getRetryDelay(job.attempts) : null;
+    if (delayMs !== null) {
+        job.status = 'scheduled';
+        job.stage = 'scheduled';
+        job.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+        recordFailure(failure.reason, 'retry_scheduled');
+        log.warn('Retrying later', { reason: failure.reason, attempt: job.attempts, nextAttemptAt: job.nextAttemptAt });
+        const { maxAttempts } = getRetryPolicy();
+        await writeRecordStatus(record, 'pending', {
+            error: `Attempt ${job.attempts} of ${maxAttempts} failed, retrying at ${job.nextAttemptAt}: ${error.message}`,
+            requestId: job.requestId,
+            tenant,
+        });
+        armRetryTimer();
+        return;
+    }
+
+    job.status = 'failed';
+    if (!record) return;
+    const skipped = failure.reason === 'no_speech';
+    recordFailure(failure.reason, skipped ? 'skipped' : 'dead_letter');
+    await writeRecordStatus(record, skipped ? 'skipped' : 'failed', { error: error.message, requestId: job.requestId, tenant });
+    if (!skipped) {
+        addDeadLetter({
+            tenant: tenant.name,
+            recordId: record.recordId,
+            module: record.module,
+            reason: failure.reason,
+            error: error.message,
+            stage: job.stage,
+            attempts: job.attempts,
+            requestId: job.requestId,
+            jobId: jobs.has(job.id) ? job.id : null,
+            request: job.request,
+        });
+    }
+}
+
+/**
+ * Settle a run that failed outside the job queue (synchronous requests, uploads, backfills) the same way a failed
+ * job is settled. A retry becomes a scheduled job. `retry: false` when the run can't be repeated (uploads).
+ * Returns { reason, retryable, status } plus { jobId, nextAttemptAt } when a retry was scheduled.
+ */
+async function handleFailedRequest(requestBody, requestId, error, { tenant = null, recordingUrl = null, retry = true } = {}) {
+    initJobQueue();
+
+    const job = createJob(requestBody, requestId, { tenant, recordingUrl });
+    job.attempts = 1;
+    job.stage = null;
+    job.startedAt = job.createdAt;
+    job.finishedAt = new Date().toISOString();
+    await settleFailure(job, error, { retry });
+
+    const outcome = { reason: job.error.reason, retryable: job.error.retryable, status: job.status };
+    if (job.status !== 'scheduled') return outcome;
+    jobs.set(job.id, job);
+    persistJobs();
+    armRetryTimer();
+    return { ...outcome, jobId: job.id, nextAttemptAt: job.nextAttemptAt };
+}
+
+/**
+ * Wake up when the next scheduled retry is due.
+ */
+function armRetryTimer() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    const due = Array.from(jobs.values())
+        .filter((job) => job.status === 'scheduled')
+        .map((job) => new Date(job.nextAttemptAt).getTime());
+    if (!due.length) return;
+    retryTimer = setTimeout(releaseDueRetries, Math.min(Math.max(0, Math.min(...due) - Date.now()), MAX_TIMER_MS));
+    retryTimer.unref();
+}
+
+function releaseDueRetries() {
+    const now = Date.now();
+    for (const job of jobs.values()) {
+        if (job.status !== 'scheduled' || new Date(job.nextAttemptAt).getTime() > now) continue;
+        job.status = 'queued';
+        job.stage = 'queued';
+        job.nextAttemptAt = null;
+        pending.push(job.id);
+        log.info('Scheduled retry is due', { jobId: job.id, recordId: job.recordId, attempt: job.attempts + 1 });
+    }
+    persistJobs();
+    armRetryTimer();
+    drainQueue();
+}
+
+function drainQueue() {
+    while (activeWorkers < getConcurrency() && pending.length > 0) {
+        const job = jobs.get(pending.shift());
+        if (!job || job.status !== 'queued') continue;
+
+        activeWorkers++;
+        // Each job logs under its own requestId/jobId, whatever context drained the queue
+        const context = { requestId: job.requestId, jobId: job.id, recordId: job.recordId, tenant: job.tenant || undefined };
+        runWithLogContext(context, () => runJob(job))
+            .catch((error) => {
+                // Settling the failure failed too (tenant removed from config, disk full): end the job rather than crash
+                log.error('Job could not be settled. Marking it failed', { jobId: job.id, recordId: job.recordId, err: error });
+                job.status = 'failed';
+                job.nextAttemptAt = null;
+                job.error = { message: error.message, stage: job.stage, reason: job.error?.reason || 'error', retryable: false };
+                persistJobs();
+            })
+            .finally(() => {
+                activeWorkers--;
+                drainQueue();
+            });
+    }
+}
+
+/**
+ * A job with its `result` (null until it succeeded).
+ */
+function getJob(jobId) {
+    initJobQueue();
+    const job = jobs.get(jobId);
+    if (!job) return null;
+    return { ...job, result: job.status === 'succeeded' ? readJson(resultFileName(job.id), null) : null };
+}
+
+/**
+ * List jobs, newest first. Results are omitted here; fetch a single job for the transcript.
+ */
+function listJobs({ status, recordId, tenant, limit = 50 } = {}) {
+    initJobQueue();
+    if (status && !JOB_STATUSES.includes(status)) {
+        throw new Error(`Invalid status '${status}'. Expected one of: ${JOB_STATUSES.join(', ')}`);
+    }
+    return Array.from(jobs.values())
+        .filter((job) => (!status || job.status === status) && (!recordId || job.recordId === recordId) && (!tenant || job.tenant === tenant))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, Math.max(1, Number(limit) || 50))
+        .map(({ request, recordingUrl, ...summary }) => summary);
+}
+
+module.exports = { initJobQueue, enqueueJob, handleFailedRequest, getJob, listJobs, JOB_STATUSES };
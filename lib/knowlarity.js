@@ -1,4 +1,11 @@
-const axios = require('axios');
+const { getTenant } = require('./tenants');
+const { ProcessingError } = require('./failures');
+const { createHttpClient } = require('./http');
+const { createLogger } = require('./logger');
+
+const log = createLogger('knowlarity');
+// Knowlarity's quota is per API key, so limits are kept per key
+const knowlarityHttp = createHttpClient('knowlarity');
 
 /**
  * Extract recording ID from Voice_Recording__s.
@@ -95,47 +102,76 @@ function extractSecuredUrl(knJson) {
     return match ? match[1] : '';
 }
 
-async function fetchKnowlarityRecordingUrl(uuid, requestId) {
-    console.log(`🔗 [${requestId}] Fetching recording URL from Knowlarity for UUID: ${uuid}`);
+/**
+ * Fetch the secured recording URL for a call. `credentials` is the tenant's Knowlarity section
+ * (defaults to the KNOWLARITY_* env vars of the default tenant).
+ */
+async function fetchKnowlarityRecordingUrl(uuid, requestId, credentials = getTenant().knowlarity) {
+    log.info('Fetching recording URL from Knowlarity', { uuid });
 
-    const knowlarityBase = process.env.KNOWLARITY_BASE_URL || 'https://kpi.knowlarity.com';
+    const knowlarityBase = credentials.baseUrl || 'https://kpi.knowlarity.com';
     const knowlarityUrl = `${knowlarityBase}/Basic/v1/account/call/get-detailed-call-log`;
 
     const headers = {
         channel: 'Basic',
-        'x-api-key': process.env.KNOWLARITY_API_KEY,
-        authorization: process.env.KNOWLARITY_AUTH_TOKEN,
+        'x-api-key': credentials.apiKey,
+        authorization: credentials.authToken,
         'content-type': 'application/json',
         'cache-control': 'no-cache',
     };
 
-    if (!process.env.KNOWLARITY_API_KEY || !process.env.KNOWLARITY_AUTH_TOKEN) {
-        throw new Error('Knowlarity credentials (KNOWLARITY_API_KEY and KNOWLARITY_AUTH_TOKEN) are required but not configured');
+    if (!credentials.apiKey || !credentials.authToken) {
+        throw new Error('Knowlarity credentials (KNOWLARITY_API_KEY and KNOWLARITY_AUTH_TOKEN, or the tenant\'s knowlarity section) are required but not configured');
     }
 
     try {
-        const response = await axios.get(knowlarityUrl, {
+        const response = await knowlarityHttp.request({
+            method: 'get',
+            url: knowlarityUrl,
             headers,
             params: { uuid },
             timeout: 30000,
-        });
+        }, { bucket: credentials.apiKey });
 
-        console.log("knowlarity response.data", response.data);
+        log.debug('Knowlarity response received', { status: response.status });
 
         const securedUrl = extractSecuredUrl(response.data);
 
         if (!securedUrl) {
-            console.error(`❌ [${requestId}] Full Knowlarity response:`, JSON.stringify(response.data, null, 2));
-            throw new Error('secured_recording_url not found in Knowlarity response');
+            log.error('secured_recording_url missing from Knowlarity response', { responseKeys: response.data && typeof response.data === 'object' ? Object.keys(response.data) : typeof response.data });
+            // Knowlarity answers before the recording is uploaded; it usually shows up within minutes
+            throw new ProcessingError('secured_recording_url not found in Knowlarity response', { reason: 'recording_not_ready', retryable: true });
         }
 
-        console.log(`✅ [${requestId}] Successfully fetched secured_recording_url from Knowlarity: ${securedUrl}`);
+        log.info('Fetched secured recording URL from Knowlarity', { url: securedUrl });
         return securedUrl;
     } catch (error) {
-        console.error(`❌ [${requestId}] Failed to fetch Knowlarity recording URL:`, error.message);
-        if (error.response) console.error('Knowlarity API Error:', error.response.data);
-        throw new Error(`Failed to fetch recording URL from Knowlarity: ${error.message}`);
+        log.error('Failed to fetch Knowlarity recording URL', { status: error.response?.status, response: error.response?.data, err: error });
+        throw new Error(`Failed to fetch recording URL from Knowlarity: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Check that Knowlarity accepts the credentials, by asking for the log of a call that doesn't exist.
+ * Auth errors, 5xx and network errors count as failures; "not found" style answers mean the key works.
+ */
+async function probeKnowlarity(credentials = getTenant().knowlarity) {
+    const knowlarityBase = credentials.baseUrl || 'https://kpi.knowlarity.com';
+    try {
+        // A health check reports what it sees rather than retrying past it
+        await knowlarityHttp.request({
+            method: 'get',
+            url: `${knowlarityBase}/Basic/v1/account/call/get-detailed-call-log`,
+            headers: { channel: 'Basic', 'x-api-key': credentials.apiKey, authorization: credentials.authToken },
+            params: { uuid: '00000000-0000-0000-0000-000000000000' },
+            timeout: 10000,
+        }, { bucket: credentials.apiKey, retries: 0 });
+    } catch (error) {
+        const status = error.response?.status;
+        if (!status) throw new Error(`Knowlarity is unreachable: ${error.message}`);
+        if (status === 401 || status === 403) throw new Error(`Knowlarity rejected the credentials (HTTP ${status})`);
+        if (status >= 500) throw new Error(`Knowlarity returned HTTP ${status}`);
     }
 }
 
-module.exports = { extractUuid, extractSecuredUrl, fetchKnowlarityRecordingUrl };
+module.exports = { extractUuid, extractSecuredUrl, fetchKnowlarityRecordingUrl, probeKnowlarity };
@@ -0,0 +1,323 @@
+const { runCoqlQuery } = require('./zoho');
+const { extractUuid, extractSecuredUrl, fetchKnowlarityRecordingUrl } = require('./knowlarity');
+const { enqueueJob } = require('./jobs');
+const { getTenant } = require('./tenants');
+const { readJson, writeJson } = require('./store');
+const { generateId } = require('./utils');
+const { recordKnowlarityWebhook } = require('./metrics');
+const { createLogger, runWithLogContext } = require('./logger');
+
+const log = createLogger('knowlarityWebhook');
+
+/**
+ * Knowlarity call-completed (CDR) webhooks, for calls that reach Zoho late or not at all through the usual flow.
+ *
+ * The recording URL and call UUID are taken from the payload and the Zoho Call is found with COQL:
+ * 1. by UUID in the recording field (phonebridge URLs carry it)
+ * 2. by customer number in KNOWLARITY_MATCH_PHONE_FIELDS (default Caller_ID,Dialled_Number), with the start time in
+ *    KNOWLARITY_MATCH_TIME_FIELD (default Call_Start_Time) within KNOWLARITY_MATCH_WINDOW_MINUTES (default 5)
+ *    of the call. The closest one wins; records whose recording field names another call are skipped.
+ *
+ * Matched calls go onto the job queue. Unmatched ones wait in DATA_DIR/knowlarity-pending.json and are matched again
+ * every KNOWLARITY_PENDING_RETRY_SECONDS (default 300) until KNOWLARITY_PENDING_MAX_HOURS (default 24) have passed.
+ * Matched calls stay in that file for a week as well, so a redelivered webhook is answered with the job already
+ * queued for the call instead of queueing it again.
+ * Knowlarity times without an offset are read as KNOWLARITY_TIMEZONE (default +05:30).
+ */
+
+const PENDING_FILE = 'knowlarity-pending.json';
+// Matched and expired calls are kept this long after they settle
+const SETTLED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Field names seen in Knowlarity's push and CDR payloads
+const UUID_KEYS = ['uuid', 'call_uuid', 'callid', 'call_id'];
+const RECORDING_KEYS = ['resource_url', 'recording_url', 'call_recording', 'recording'];
+const CUSTOMER_KEYS = ['customer_number', 'caller_id', 'caller_number', 'caller', 'from'];
+const START_KEYS = ['start_time', 'call_start_time', 'date', 'start'];
+
+const pending = new Map(); // id -> entry
+let initialized = false;
+let retryTimer = null;
+let retrying = false;
+
+function persistPending() {
+    try {
+        writeJson(PENDING_FILE, Array.from(pending.values()));
+    } catch (e) {
+        log.error('Failed to persist pending Knowlarity calls', e);
+    }
+}
+
+function pick(payload, keys) {
+    for (const source of [payload, payload.data]) {
+        if (!source || typeof source !== 'object') continue;
+        for (const key of Object.keys(source)) {
+            if (keys.includes(key.toLowerCase()) && source[key] !== undefined && source[key] !== null && source[key] !== '') return source[key];
+        }
+    }
+    return undefined;
+}
+
+function parseKnowlarityTime(value) {
+    if (!value) return null;
+    let s = String(value).trim().replace(' ', 'T');
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(s)) s += process.env.KNOWLARITY_TIMEZONE || '+05:30';
+    const date = new Date(s);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Pull { uuid, recordingUrl, customerNumber, startTime } out of a Knowlarity payload (JSON or form fields).
+ */
+function parseKnowlarityCall(payload) {
+    if (!payload || typeof payload !== 'object') return { uuid: '', recordingUrl: '', customerNumber: '', startTime: null };
+    const recordingUrl = extractSecuredUrl(payload) || String(pick(payload, RECORDING_KEYS) || '').trim();
+    const rawUuid = String(pick(payload, UUID_KEYS) || '').trim();
+    const uuid = extractUuid(rawUuid) || rawUuid || extractUuid(recordingUrl);
+    const customerNumber = String(pick(payload, CUSTOMER_KEYS) || '').replace(/\D/g, '');
+    return { uuid, recordingUrl, customerNumber, startTime: parseKnowlarityTime(pick(payload, START_KEYS)) };
+}
+
+const quote = (value) => `'${String(value).replace(/'/g, "\\'")}'`;
+
+function toCoqlDateTime(ms) {
+    return new Date(ms).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+function getMatchSettings(tenant) {
+    const list = (value) => String(value).split(',').map((v) => v.trim()).filter(Boolean);
+    const settings = {
+        module: tenant.fields.module || process.env.ZOHO_MODULE || 'Calls',
+        recordingField: tenant.fields.recordingField || process.env.ZOHO_RECORDING_FIELD || 'Voice_Recording__s',
+        phoneFields: list(process.env.KNOWLARITY_MATCH_PHONE_FIELDS ?? 'Caller_ID,Dialled_Number'),
+        timeField: process.env.KNOWLARITY_MATCH_TIME_FIELD || 'Call_Start_Time',
+        windowMs: Number(process.env.KNOWLARITY_MATCH_WINDOW_MINUTES || 5) * 60 * 1000,
+    };
+    for (const name of [settings.module, settings.recordingField, settings.timeField, ...settings.phoneFields]) {
+        if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) throw new Error(`Invalid Zoho API name '${name}' in the Knowlarity match settings`);
+    }
+    return settings;
+}
+
+/**
+ * Find the Zoho record for a Knowlarity call. Returns { id, matchedBy } or null when nothing matches (yet).
+ */
+async function findZohoCall(call, tenant, requestId) {
+    const { module, recordingField, phoneFields, timeField, windowMs } = getMatchSettings(tenant);
+
+    if (call.uuid && /^[\w-]+$/.test(call.uuid)) {
+        const { data } = await runCoqlQuery(`select id from ${module} where ${recordingField} like ${quote(`%${call.uuid}%`)} limit 2`, requestId, tenant);
+        if (data.length > 1) log.warn('Several records carry the same Knowlarity UUID. Using the first', { uuid: call.uuid, ids: data.map((row) => row.id) });
+        if (data.length) return { id: String(data[0].id), matchedBy: 'uuid' };
+    }
+
+    // Compare the last 10 digits so +91 / 0 prefixes and formatting in Zoho don't matter
+    const digits = call.customerNumber.slice(-10);
+    if (digits.length < 7 || !call.startTime || !phoneFields.length) return null;
+    const start = new Date(call.startTime).getTime();
+    const phoneCondition = phoneFields.map((field) => `${field} like ${quote(`%${digits}`)}`).join(' or ');
+    const query =
+        `select id, ${timeField}, ${recordingField} from ${module} where (${phoneCondition})` +
+        ` and ${timeField} between ${quote(toCoqlDateTime(start - windowMs))} and ${quote(toCoqlDateTime(start + windowMs))} limit 20`;
+    const { data } = await runCoqlQuery(query, requestId, tenant);
+
+    const candidates = data
+        .filter((row) => {
+            const otherUuid = extractUuid(row[recordingField]);
+            return !call.uuid || !otherUuid || otherUuid === call.uuid;
+        })
+        .map((row) => ({ id: String(row.id), distance: Math.abs(new Date(row[timeField]).getTime() - start) }))
+        .sort((a, b) => a.distance - b.distance);
+    return candidates.length ? { id: candidates[0].id, matchedBy: 'phone_and_time' } : null;
+}
+
+function queueMatchedCall(entry, match, recordingUrl, requestId) {
+    const tenant = getTenant(entry.tenant);
+    const { module, recordingField } = getMatchSettings(tenant);
+    const job = enqueueJob({ Call_Record_ID: match.id, module, recordingField, source: 'knowlarity', knowlarityUuid: entry.call.uuid || undefined }, requestId, {
+        tenant: tenant.name,
+        recordingUrl,
+    });
+    log.info('Matched Knowlarity call to Zoho record', { uuid: entry.call.uuid, recordId: match.id, matchedBy: match.matchedBy, jobId: job.id });
+    return job;
+}
+
+/**
+ * Keep a matched call (by UUID) so redeliveries get its job. Calls without a UUID can't be recognised again.
+ */
+function rememberMatch(entry, match, job) {
+    Object.assign(entry, { status: 'matched', recordId: match.id, matchedBy: match.matchedBy, jobId: job.id, matchedAt: new Date().toISOString(), nextAttemptAt: null });
+    if (entry.call.uuid) pending.set(entry.id, entry);
+    else pending.delete(entry.id);
+}
+
+const queuedResponse = (entry) => ({
+    status: 'queued',
+    recordId: entry.recordId,
+    matchedBy: entry.matchedBy,
+    jobId: entry.jobId,
+    statusUrl: `/jobs/${entry.jobId}`,
+    uuid: entry.call.uuid || null,
+});
+
+/**
+ * Handle one webhook delivery. Returns { status: 'queued' | 'pending' | 'ignored', ... } for the response.
+ * A redelivery of a call that was already matched gets `duplicate: true` and the existing job.
+ */
+async function ingestKnowlarityCall(payload, requestId, { tenant } = {}) {
+    initKnowlarityPending();
+    const tenantConfig = getTenant(tenant);
+    const call = parseKnowlarityCall(payload);
+
+    // Missed and unanswered calls are reported too, but have nothing to transcribe
+    if (!call.recordingUrl) {
+        log.info('Knowlarity call has no recording. Ignoring', { uuid: call.uuid || undefined });
+        recordKnowlarityWebhook('ignored');
+        return { status: 'ignored', reason: 'no recording URL in the payload', uuid: call.uuid || null };
+    }
+
+    const id = call.uuid || generateId('kn');
+    const existing = pending.get(id);
+    if (existing && existing.status === 'matched') {
+        log.info('Knowlarity call was already matched. Returning its job', { uuid: call.uuid, recordId: existing.recordId, jobId: existing.jobId });
+        recordKnowlarityWebhook('duplicate');
+        return { ...queuedResponse(existing), duplicate: true };
+    }
+    if (existing && existing.status === 'pending') {
+        log.info('Knowlarity call is already waiting for its Zoho record', { uuid: call.uuid, attempts: existing.attempts });
+        recordKnowlarityWebhook('pending');
+        return { status: 'pending', id, uuid: call.uuid || null, attempts: existing.attempts };
+    }
+    const entry = {
+        id,
+        tenant: tenantConfig.name,
+        call,
+        requestId,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        receivedAt: new Date().toISOString(),
+        nextAttemptAt: new Date(Date.now() + getRetryIntervalMs()).toISOString(),
+    };
+    // Claimed before the lookup, so a delivery arriving meanwhile is answered as pending instead of queueing the call twice
+    if (call.uuid) pending.set(id, entry);
+
+    let match = null;
+    try {
+        entry.attempts++;
+        match = await findZohoCall(call, tenantConfig, requestId);
+    } catch (error) {
+        entry.lastError = error.message;
+        log.warn('Could not look up the Zoho record for a Knowlarity call. Will retry', { uuid: call.uuid, reason: error.message });
+    }
+
+    if (match) {
+        const job = queueMatchedCall(entry, match, call.recordingUrl, requestId);
+        rememberMatch(entry, match, job);
+        persistPending();
+        recordKnowlarityWebhook('queued');
+        return queuedResponse(entry);
+    }
+
+    pending.set(id, entry);
+    persistPending();
+    if (!entry.lastError) log.info('No Zoho record for Knowlarity call yet. Queued for retry', { uuid: call.uuid, nextAttemptAt: entry.nextAttemptAt });
+    recordKnowlarityWebhook('pending');
+    return { status: 'pending', id, uuid: call.uuid || null, nextAttemptAt: entry.nextAttemptAt };
+}
+
+function getRetryIntervalMs() {
+    return Math.max(10, Number(process.env.KNOWLARITY_PENDING_RETRY_SECONDS || 300)) * 1000;
+}
+
+/**
+ * Secured recording links expire, so a call matched on a retry gets a fresh one from Knowlarity when it can.
+ */
+async function resolveRecordingUrl(entry, requestId) {
+    if (!entry.call.uuid) return entry.call.recordingUrl;
+    try {
+        return await fetchKnowlarityRecordingUrl(entry.call.uuid, requestId, getTenant(entry.tenant).knowlarity);
+    } catch (error) {
+        log.warn('Could not refresh the Knowlarity recording URL. Using the one from the webhook', { uuid: entry.call.uuid, reason: error.message });
+        return entry.call.recordingUrl;
+    }
+}
+
+async function retryEntry(entry) {
+    const requestId = generateId('req');
+    await runWithLogContext({ requestId, knowlarityUuid: entry.call.uuid || undefined }, async () => {
+        entry.attempts++;
+        try {
+            const match = await findZohoCall(entry.call, getTenant(entry.tenant), requestId);
+            if (match) {
+                const job = queueMatchedCall(entry, match, await resolveRecordingUrl(entry, requestId), requestId);
+                rememberMatch(entry, match, job);
+                recordKnowlarityWebhook('matched_on_retry');
+                return;
+            }
+            entry.lastError = null;
+        } catch (error) {
+            entry.lastError = error.message;
+            log.warn('Retrying Knowlarity call match failed', { attempts: entry.attempts, reason: error.message });
+        }
+
+        const maxAgeMs = Number(process.env.KNOWLARITY_PENDING_MAX_HOURS || 24) * 60 * 60 * 1000;
+        if (Date.now() - new Date(entry.receivedAt).getTime() >= maxAgeMs) {
+            entry.status = 'expired';
+            entry.expiredAt = new Date().toISOString();
+            entry.nextAttemptAt = null;
+            log.warn('Gave up matching Knowlarity call to a Zoho record', { attempts: entry.attempts, lastError: entry.lastError });
+            recordKnowlarityWebhook('expired');
+        } else {
+            entry.nextAttemptAt = new Date(Date.now() + getRetryIntervalMs()).toISOString();
+        }
+    });
+}
+
+async function retryPendingCalls() {
+    if (retrying) return;
+    retrying = true;
+    try {
+        const now = Date.now();
+        for (const [id, entry] of pending) {
+            const settledAt = entry.status === 'matched' ? entry.matchedAt : entry.status === 'expired' ? entry.expiredAt : null;
+            if (settledAt && now - new Date(settledAt).getTime() > SETTLED_RETENTION_MS) pending.delete(id);
+        }
+        const due = Array.from(pending.values()).filter((entry) => entry.status === 'pending' && new Date(entry.nextAttemptAt).getTime() <= now);
+        for (const entry of due) {
+            await retryEntry(entry);
+            persistPending();
+        }
+    } finally {
+        retrying = false;
+    }
+}
+
+/**
+ * Load calls still waiting for their Zoho record and start the retry timer.
+ */
+function initKnowlarityPending() {
+    if (initialized) return;
+    initialized = true;
+
+    for (const entry of readJson(PENDING_FILE, [])) pending.set(entry.id, entry);
+    const count = (status) => Array.from(pending.values()).filter((entry) => entry.status === status).length;
+    if (pending.size) log.info('Pending Knowlarity calls loaded', { pending: count('pending'), matched: count('matched'), expired: count('expired') });
+
+    retryTimer = setInterval(() => {
+        retryPendingCalls().catch((error) => log.error('Pending Knowlarity retry pass failed', error));
+    }, Math.min(getRetryIntervalMs(), 60000));
+    retryTimer.unref();
+}
+
+/**
+ * Calls waiting for a Zoho match, matched recently or given up on, newest first.
+ */
+function listPendingCalls({ status } = {}) {
+    initKnowlarityPending();
+    return Array.from(pending.values())
+        .filter((entry) => !status || entry.status === status)
+        .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt));
+}
+
+module.exports = { ingestKnowlarityCall, parseKnowlarityCall, findZohoCall, initKnowlarityPending, listPendingCalls, retryPendingCalls };
@@ -0,0 +1,145 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const util = require('util');
+
+/**
+ * Structured logger. One JSON object per line on stdout:
+ *   {"time":"...","level":"info","component":"zoho","requestId":"req_...","msg":"...", ...fields}
+ *
+ * - LOG_LEVEL: debug | info | warn | error | silent (default: info in production, debug elsewhere)
+ * - LOG_LEVELS: per-component overrides, e.g. "zoho=debug,jobs=warn"
+ * - LOG_FORMAT: json (default) or pretty (one readable line, for local development)
+ * - LOG_TRANSCRIPTS: true to stop masking transcript text (debugging only)
+ *
+ * Context such as the requestId is carried with AsyncLocalStorage: everything logged inside
+ * runWithLogContext({ requestId }, fn) gets it, however deep the call.
+ *
+ * Redaction is applied to every line: values of secret-looking keys (tokens, keys, secrets, signatures,
+ * client IDs), query strings and user:password parts of URLs (signed recording links), `Zoho-oauthtoken` /
+ * `Bearer` credentials inside strings, and transcript-like fields (replaced by their length).
+ * Token counts (`maxTokens`, `prompt_tokens`, `tokenCount`) are not secrets and are left alone.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const SECRET_KEY = /token$|secret|password|authorization|api[-_]?key|signature|cookie|client[-_]?id/i;
+const TEXT_KEY = /^(transcript|originalTranscript|text|content|noteContent|Note_Content|description|analysisText|body|segments)$/i;
+const URL_QUERY = /\b(https?:\/\/[^\s?"'#]+)\?[^\s"']*/gi;
+const URL_USERINFO = /\b(https?:\/\/)[^\s/?#@"']+@/gi;
+const INLINE_CREDENTIAL = /\b(Zoho-oauthtoken|Bearer)\s+[^\s"',]+/gi;
+const MAX_DEPTH = 6;
+
+const storage = new AsyncLocalStorage();
+
+function runWithLogContext(fields, fn) {
+    return storage.run({ ...getLogContext(), ...fields }, fn);
+}
+
+function getLogContext() {
+    return storage.getStore() || {};
+}
+
+/**
+ * Add fields (e.g. recordId once it's known) to the current context.
+ */
+function addLogContext(fields) {
+    const store = storage.getStore();
+    if (store) Object.assign(store, fields);
+}
+
+function parseLevel(value, fallback) {
+    const level = String(value || '').trim().toLowerCase();
+    return LEVELS[level] ? level : fallback;
+}
+
+function getThreshold(component) {
+    const base = parseLevel(process.env.LOG_LEVEL, process.env.NODE_ENV === 'production' ? 'info' : 'debug');
+    const override = String(process.env.LOG_LEVELS || '')
+        .split(',')
+        .map((entry) => entry.split('=').map((part) => part.trim()))
+        .find(([name]) => name === component);
+    return LEVELS[parseLevel(override?.[1], base)];
+}
+
+function redactString(value) {
+    return value.replace(URL_USERINFO, '$1[REDACTED]@').replace(URL_QUERY, '$1?[REDACTED]').replace(INLINE_CREDENTIAL, '$1 [REDACTED]');
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: redactString(String(error.message)),
+        ...(error.code ? { code: error.code } : {}),
+        ...(error.response?.status ? { status: error.response.status } : {}),
+        ...(error.stack ? { stack: redactString(error.stack) } : {}),
+    };
+}
+
+function redact(value, key = '', depth = 0, seen = new WeakSet()) {
+    if (value === null || value === undefined) return value;
+    if (key && SECRET_KEY.test(key) && (typeof value === 'string' || typeof value === 'number')) return '[REDACTED]';
+    if (key && TEXT_KEY.test(key) && process.env.LOG_TRANSCRIPTS !== 'true') {
+        if (typeof value === 'string') return `[${value.length} chars]`;
+        if (Array.isArray(value)) return `[${value.length} items]`;
+    }
+    if (typeof value === 'string') return redactString(value);
+    if (value instanceof Error) return serializeError(value);
+    if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+    if (typeof value !== 'object') return value;
+
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return '[Object]';
+    seen.add(value);
+    if (Array.isArray(value)) return value.map((item) => redact(item, '', depth + 1, seen));
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = redact(v, k, depth + 1, seen);
+    return out;
+}
+
+function formatPretty(entry) {
+    const { time, level, component, requestId, msg, ...fields } = entry;
+    const extra = Object.keys(fields).length ? ` ${util.inspect(fields, { depth: 4, breakLength: Infinity, compact: true })}` : '';
+    return `${time} ${level.toUpperCase().padEnd(5)} [${component}]${requestId ? ` [${requestId}]` : ''} ${msg}${extra}`;
+}
+
+function write(level, component, baseFields, msg, fields) {
+    if (LEVELS[level] < getThreshold(component)) return;
+
+    // Allow log.error('msg', err) as shorthand for { err }
+    const extra = fields instanceof Error ? { err: fields } : fields || {};
+    const entry = redact({
+        time: new Date().toISOString(),
+        level,
+        component,
+        ...getLogContext(),
+        ...baseFields,
+        msg: String(msg),
+        ...extra,
+    });
+
+    let line;
+    if ((process.env.LOG_FORMAT || 'json').toLowerCase() === 'pretty') {
+        line = formatPretty(entry);
+    } else {
+        try {
+            line = JSON.stringify(entry);
+        } catch (e) {
+            line = JSON.stringify({ time: entry.time, level, component, msg: entry.msg, logError: e.message });
+        }
+    }
+    process.stdout.write(`${line}\n`);
+}
+
+/**
+ * Logger for a component (module name). `child(fields)` returns a logger that adds `fields` to every line.
+ */
+function createLogger(component, baseFields = {}) {
+    return {
+        debug: (msg, fields) => write('debug', component, baseFields, msg, fields),
+        info: (msg, fields) => write('info', component, baseFields, msg, fields),
+        warn: (msg, fields) => write('warn', component, baseFields, msg, fields),
+        error: (msg, fields) => write('error', component, baseFields, msg, fields),
+        child: (fields) => createLogger(component, { ...baseFields, ...fields }),
+    };
+}
+
+module.exports = { createLogger, runWithLogContext, getLogContext, addLogContext, redact, LEVELS };
@@ -0,0 +1,199 @@
+/**
+ * Prometheus metrics, rendered in the text exposition format by GET /metrics.
+ *
+ * Kept in process memory: counters start from zero on every restart, which Prometheus' rate() handles.
+ * Estimated spend uses MODEL_PRICES (USD), merged over DEFAULT_MODEL_PRICES:
+ *   { "whisper-1": { "perMinute": 0.006 }, "gpt-4o-mini": { "input": 0.15, "output": 0.6 } }
+ * `perMinute` is per minute of audio; `input` / `output` are per million tokens.
+ */
+
+const PREFIX = 'audio_processor_';
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const DEFAULT_MODEL_PRICES = {
+    'whisper-1': { perMinute: 0.006 },
+    'gpt-4o-transcribe': { perMinute: 0.006 },
+    'gpt-4o-mini-transcribe': { perMinute: 0.003 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+};
+
+const registry = new Map();
+
+function labelKey(labelNames, labels) {
+    return labelNames.map((name) => String(labels[name] ?? '')).join('\u0000');
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+}
+
+function counter(name, help, labelNames = []) {
+    const metric = { name: PREFIX + name, help, type: 'counter', labelNames, series: new Map() };
+    registry.set(metric.name, metric);
+    return {
+        inc(labels = {}, value = 1) {
+            if (!Number.isFinite(value) || value < 0) return;
+            const key = labelKey(labelNames, labels);
+            const series = metric.series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+            series.value += value;
+            metric.series.set(key, series);
+        },
+    };
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const metric = { name: PREFIX + name, help, type: 'histogram', labelNames, buckets, series: new Map() };
+    registry.set(metric.name, metric);
+    return {
+        observe(labels = {}, value) {
+            if (!Number.isFinite(value)) return;
+            const key = labelKey(labelNames, labels);
+            const series = metric.series.get(key) || { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((bound, i) => {
+                if (value <= bound) series.counts[i]++;
+            });
+            series.sum += value;
+            series.count++;
+            metric.series.set(key, series);
+        },
+    };
+}
+
+const requestsTotal = counter('requests_total', 'Processed call records by outcome (success, cached, deduplicated, dry_run, failed)', ['outcome', 'tenant']);
+const stageDuration = histogram('stage_duration_seconds', 'Time spent in each pipeline stage', ['stage']);
+const downloadedBytes = counter('downloaded_bytes_total', 'Bytes of call recordings downloaded');
+const audioSeconds = counter('audio_seconds_transcribed_total', 'Seconds of audio sent to transcription providers', ['provider', 'model']);
+const tokensTotal = counter('openai_tokens_total', 'Tokens used by the analysis model', ['model', 'type']);
+const costTotal = counter('estimated_cost_usd_total', 'Estimated spend in USD, from MODEL_PRICES', ['model']);
+const knowlarityWebhooks = counter('knowlarity_webhooks_total', 'Knowlarity call webhooks by outcome (queued, duplicate, pending, ignored, matched_on_retry, expired)', ['outcome']);
+const failuresTotal = counter('failures_total', 'Failed runs on a record by reason and what happened next (retry_scheduled, dead_letter, skipped)', ['reason', 'outcome']);
+const httpRetries = counter('http_retries_total', 'Outbound API calls retried, by service and reason (rate_limited, unavailable, server_error, network)', ['service', 'reason']);
+const circuitOpens = counter('circuit_breaker_open_total', 'Times a service\'s circuit breaker opened', ['service']);
+const upstreamErrors = counter('upstream_errors_total', 'Failed calls to upstream APIs, classified like the pipeline error messages', ['api']);
+
+function getModelPrices() {
+    return { ...DEFAULT_MODEL_PRICES, ...(process.env.MODEL_PRICES ? JSON.parse(process.env.MODEL_PRICES) : {}) };
+}
+
+/**
+ * Start timing pipeline stage `stage`; call the returned function when it ends.
+ */
+function startStageTimer(stage) {
+    const start = process.hrtime.bigint();
+    return () => stageDuration.observe({ stage }, Number(process.hrtime.bigint() - start) / 1e9);
+}
+
+/**
+ * Time `fn` (sync or async) as pipeline stage `stage`. Failed runs are timed too.
+ */
+async function timeStage(stage, fn) {
+    const end = startStageTimer(stage);
+    try {
+        return await fn();
+    } finally {
+        end();
+    }
+}
+
+function recordRequest(outcome, tenant) {
+    requestsTotal.inc({ outcome, tenant });
+}
+
+function recordDownload(bytes) {
+    downloadedBytes.inc({}, bytes);
+}
+
+function recordTranscribedAudio({ provider, model, seconds }) {
+    if (!seconds) return;
+    audioSeconds.inc({ provider, model }, seconds);
+    const price = getModelPrices()[model];
+    if (price?.perMinute) costTotal.inc({ model }, (seconds / 60) * price.perMinute);
+}
+
+function recordTokenUsage(model, usage) {
+    if (!usage) return;
+    const input = usage.prompt_tokens || 0;
+    const output = usage.completion_tokens || 0;
+    tokensTotal.inc({ model, type: 'prompt' }, input);
+    tokensTotal.inc({ model, type: 'completion' }, output);
+    const price = getModelPrices()[model];
+    if (price && (price.input || price.output)) costTotal.inc({ model }, (input * (price.input || 0) + output * (price.output || 0)) / 1e6);
+}
+
+function recordUpstreamError(api) {
+    upstreamErrors.inc({ api });
+}
+
+function recordFailure(reason, outcome) {
+    failuresTotal.inc({ reason, outcome });
+}
+
+function recordHttpRetry(service, reason) {
+    httpRetries.inc({ service, reason });
+}
+
+function recordCircuitOpen(service) {
+    circuitOpens.inc({ service });
+}
+
+function recordKnowlarityWebhook(outcome) {
+    knowlarityWebhooks.inc({ outcome });
+}
+
+function renderMetrics() {
+    const lines = [];
+    for (const metric of registry.values()) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+        for (const series of metric.series.values()) {
+            if (metric.type === 'counter') {
+                lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+                continue;
+            }
+            metric.buckets.forEach((bound, i) => {
+                lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+    }
+
+    const memory = process.memoryUsage();
+    lines.push(
+        '# HELP process_resident_memory_bytes Resident memory size in bytes.',
+        '# TYPE process_resident_memory_bytes gauge',
+        `process_resident_memory_bytes ${memory.rss}`,
+        '# HELP process_start_time_seconds Start time of the process since unix epoch in seconds.',
+        '# TYPE process_start_time_seconds gauge',
+        `process_start_time_seconds ${Math.round(Date.now() / 1000 - process.uptime())}`
+    );
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    startStageTimer,
+    timeStage,
+    recordRequest,
+    recordDownload,
+    recordTranscribedAudio,
+    recordTokenUsage,
+    recordUpstreamError,
+    recordFailure,
+    recordHttpRetry,
+    recordCircuitOpen,
+    recordKnowlarityWebhook,
+    renderMetrics,
+    DEFAULT_MODEL_PRICES,
+};
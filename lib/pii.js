@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+
+const { getDataDir } = require('./store');
+const { parseBoolean } = require('./utils');
+const { createLogger } = require('./logger');
+
+const log = createLogger('pii');
+
+/**
+ * PII redaction of transcripts, applied after transcription and before analysis, attachments and the CRM write.
+ *
+ * - PII_REDACTION_ENABLED: true to redact (default false; a request can send `piiRedaction=true|false`)
+ * - PII_ENTITIES: built-in detectors to use (default: all of BUILTIN_ENTITIES)
+ * - PII_CUSTOM_RULES / PII_CUSTOM_RULES_FILE: extra rules as JSON,
+ *     [{ "name": "policy_number", "pattern": "POL-?\\d{8}", "flags": "i", "placeholder": "[POLICY]" }]
+ * - PII_MASK_STYLE: placeholder (`[CARD]`, default) | full (`****-****-****-****`) | partial (`****-****-****-1234`)
+ * - PII_MASK_STYLES: per-entity overrides, e.g. "card=partial,email=full"
+ * - PII_KEEP_UNREDACTED: true to keep the unredacted transcript in PII_UNREDACTED_DIR (default DATA_DIR/unredacted),
+ *   written with owner-only permissions. Point it at a restricted volume in production.
+ *
+ * Custom rules are checked first, then the built-ins in the order below; where matches overlap the earlier rule wins.
+ * Segments are redacted one by one, so a number split across two segments is not detected in the segment list.
+ */
+
+const MASK_STYLES = ['placeholder', 'full', 'partial'];
+
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+function passesLuhn(value) {
+    const digits = digitsOf(value);
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+const BUILTIN_RULES = [
+    { name: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+    { name: 'card', pattern: /\b(?:\d[ -]?){12,18}\d\b/g, validate: passesLuhn },
+    // 12 digits, grouped 4-4-4 when spoken; Aadhaar numbers never start with 0 or 1. A leading + makes it a phone number (+919876543210)
+    { name: 'aadhaar', pattern: /(?<!\+)\b[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}\b/g },
+    { name: 'ssn', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+    { name: 'pan', pattern: /\b[A-Z]{5}\d{4}[A-Z]\b/gi },
+    { name: 'ifsc', pattern: /\b[A-Z]{4}0[A-Z0-9]{6}\b/g },
+    { name: 'upi', pattern: /\b[A-Za-z0-9._-]{2,}@[A-Za-z]{2,}\b/g },
+    // Indian mobiles (+91 98765 43210, 098765-43210) and international numbers: 10-15 digits with separators
+    { name: 'phone', pattern: /(?:\+|\b)(?:\d[\s().-]{0,2}){9,14}\d\b/g, validate: (v) => digitsOf(v).length >= 10 && digitsOf(v).length <= 15 },
+];
+
+const BUILTIN_ENTITIES = BUILTIN_RULES.map((rule) => rule.name);
+
+function parseList(value) {
+    return String(value || '')
+        .split(',')
+        .map((item) => item.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function loadCustomRules() {
+    let raw = null;
+    if (process.env.PII_CUSTOM_RULES) raw = process.env.PII_CUSTOM_RULES;
+    else if (process.env.PII_CUSTOM_RULES_FILE) raw = fs.readFileSync(process.env.PII_CUSTOM_RULES_FILE, 'utf8');
+    if (!raw) return [];
+
+    const rules = JSON.parse(raw);
+    if (!Array.isArray(rules)) throw new Error('PII_CUSTOM_RULES must be a JSON array of { name, pattern, flags?, placeholder?, mask? }');
+    return rules.map((rule, index) => {
+        if (!rule || !/^[A-Za-z][A-Za-z0-9_]*$/.test(rule.name || '')) {
+            throw new Error(`PII_CUSTOM_RULES[${index}] needs a name made of letters, digits and underscores`);
+        }
+        if (rule.mask && !MASK_STYLES.includes(rule.mask)) {
+            throw new Error(`PII_CUSTOM_RULES[${index}] has invalid mask '${rule.mask}'. Expected one of: ${MASK_STYLES.join(', ')}`);
+        }
+        let pattern;
+        try {
+            pattern = new RegExp(rule.pattern, `${String(rule.flags || '').replace(/g/g, '')}g`);
+        } catch (e) {
+            throw new Error(`PII_CUSTOM_RULES[${index}] (${rule.name}) has an invalid pattern: ${e.message}`);
+        }
+        return { name: rule.name.toLowerCase(), pattern, placeholder: rule.placeholder, mask: rule.mask };
+    });
+}
+
+/**
+ * Effective redaction settings from the env. `enabled` may be overridden per request.
+ */
+function getPiiConfig(enabledOverride) {
+    const entities = process.env.PII_ENTITIES ? parseList(process.env.PII_ENTITIES) : BUILTIN_ENTITIES;
+    const unknown = entities.filter((name) => !BUILTIN_ENTITIES.includes(name));
+    if (unknown.length) throw new Error(`Unknown PII_ENTITIES: ${unknown.join(', ')}. Expected: ${BUILTIN_ENTITIES.join(', ')}`);
+
+    const defaultStyle = (process.env.PII_MASK_STYLE || 'placeholder').trim().toLowerCase();
+    if (!MASK_STYLES.includes(defaultStyle)) throw new Error(`Invalid PII_MASK_STYLE '${defaultStyle}'. Expected one of: ${MASK_STYLES.join(', ')}`);
+    const styles = Object.fromEntries(parseList(process.env.PII_MASK_STYLES).map((entry) => entry.split('=').map((part) => part.trim())));
+    for (const [name, style] of Object.entries(styles)) {
+        if (!MASK_STYLES.includes(style)) throw new Error(`Invalid PII_MASK_STYLES entry '${name}=${style}'. Expected one of: ${MASK_STYLES.join(', ')}`);
+    }
+
+    return {
+        enabled: parseBoolean(enabledOverride, parseBoolean(process.env.PII_REDACTION_ENABLED)),
+        rules: [...loadCustomRules(), ...BUILTIN_RULES.filter((rule) => entities.includes(rule.name))],
+        defaultStyle,
+        styles,
+        keepUnredacted: parseBoolean(process.env.PII_KEEP_UNREDACTED),
+    };
+}
+
+function mask(value, rule, style) {
+    if (style === 'placeholder') return rule.placeholder || `[${rule.name.toUpperCase()}]`;
+    if (style === 'full') return value.replace(/[A-Za-z0-9]/g, '*');
+
+    // partial: emails keep the first letter and the domain, everything else keeps its last 4 characters
+    if (rule.name === 'email' || rule.name === 'upi') {
+        const at = value.indexOf('@');
+        return `${value[0]}${'*'.repeat(Math.max(at - 1, 1))}${value.slice(at)}`;
+    }
+    let keep = 4;
+    return value
+        .split('')
+        .reverse()
+        .map((char) => (/[A-Za-z0-9]/.test(char) && keep-- <= 0 ? '*' : char))
+        .reverse()
+        .join('');
+}
+
+/**
+ * Redact one string. Returns { text, counts } where counts is { <entity>: <matches> }.
+ */
+function redactText(text, config) {
+    if (!text) return { text, counts: {} };
+
+    const matches = [];
+    config.rules.forEach((rule, priority) => {
+        for (const match of text.matchAll(rule.pattern)) {
+            if (!match[0] || (rule.validate && !rule.validate(match[0]))) continue;
+            matches.push({ start: match.index, end: match.index + match[0].length, value: match[0], rule, priority });
+        }
+    });
+    matches.sort((a, b) => a.priority - b.priority || a.start - b.start);
+
+    const kept = [];
+    for (const match of matches) {
+        if (!kept.some((other) => match.start < other.end && other.start < match.end)) kept.push(match);
+    }
+    kept.sort((a, b) => a.start - b.start);
+
+    const counts = {};
+    let result = '';
+    let cursor = 0;
+    for (const match of kept) {
+        const style = match.rule.mask || config.styles[match.rule.name] || config.defaultStyle;
+        result += text.slice(cursor, match.start) + mask(match.value, match.rule, style);
+        cursor = match.end;
+        counts[match.rule.name] = (counts[match.rule.name] || 0) + 1;
+    }
+    return { text: result + text.slice(cursor), counts };
+}
+
+function redactPass(pass, config) {
+    if (!pass) return { pass, counts: {} };
+    const { text, counts } = redactText(pass.text, config);
+    const segments = pass.segments?.map((segment) => ({ ...segment, text: redactText(segment.text, config).text }));
+    return { pass: { ...pass, text, ...(segments ? { segments } : {}) }, counts };
+}
+
+/**
+ * Redact the english/original passes (text and segments) of a transcribeRecording result.
+ * Returns { translation, entities } with `entities` the match count per entity type.
+ */
+function redactTranscription(translation, config) {
+    const english = redactPass(translation.english, config);
+    const original = redactPass(translation.original, config);
+
+    const entities = {};
+    for (const counts of [english.counts, original.counts]) {
+        for (const [name, count] of Object.entries(counts)) entities[name] = (entities[name] || 0) + count;
+    }
+
+    const primary = english.pass || original.pass;
+    return {
+        translation: { ...translation, english: english.pass, original: original.pass, segments: primary?.segments || translation.segments },
+        entities,
+    };
+}
+
+/**
+ * Keep the unredacted transcript outside the CRM, readable only by the service user. Returns the file name.
+ */
+function saveUnredactedCopy(recordKey, audioHash, data) {
+    const dir = process.env.PII_UNREDACTED_DIR || path.join(getDataDir(), 'unredacted');
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    const fileName = `${String(recordKey).replace(/[^A-Za-z0-9_-]/g, '_')}_${audioHash.slice(0, 16)}.json`;
+    fs.writeFileSync(path.join(dir, fileName), JSON.stringify({ recordId: recordKey, audioHash, ...data, savedAt: new Date().toISOString() }, null, 2), { mode: 0o600 });
+    log.info('Saved unredacted transcript copy', { file: fileName });
+    return fileName;
+}
+
+module.exports = { getPiiConfig, redactText, redactTranscription, saveUnredactedCopy, passesLuhn, BUILTIN_ENTITIES, MASK_STYLES };
@@ -1,305 +1,639 @@
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
-const OpenAI = require('openai');
+const { APIError: OpenAIAPIError } = require('openai');
 
-const { getZohoAccessToken, getZohoCrmBase, clearZohoAccessToken } = require('./zoho');
-const { getRecordingUrlFromFallback } = require('./recording');
+const { updateZohoRecord, previewZohoUpdate, getZohoCrmBase, fetchZohoRecord, createZohoNote, uploadZohoAttachment, parseZohoErrorData } = require('./zoho');
+const { getRecordingSource } = require('./recording');
+const { getCachedTranscript, saveCachedTranscript, getInFlight, trackInFlight } = require('./transcriptCache');
+const { parseBoolean } = require('./utils');
+const { downloadRecording, inspectRecordingFile } = require('./download');
+const { transcribeRecording, resolveTranscriptionMode } = require('./transcription');
+const { getTranscriptionProvider } = require('./providers');
+const { analyzeTranscript, mapAnalysisToFields, getAnalysisFieldMap } = require('./analysis');
+const { getAnalysisTemplate, selectAnalysisTemplate, templateRulesNeedRecord } = require('./analysisTemplates');
+const { getTenant, DEFAULT_TENANT } = require('./tenants');
+const { buildTranscriptFiles, resolveAttachmentFormats } = require('./transcriptFiles');
+const { getPiiConfig, redactTranscription, saveUnredactedCopy } = require('./pii');
+const { ProcessingError, classifyFailure, errorChain } = require('./failures');
+const { buildStatusFields, writeRecordStatus } = require('./status');
+const { clearDeadLetter } = require('./deadLetter');
+const { startStageTimer, timeStage, recordRequest, recordDownload, recordUpstreamError } = require('./metrics');
+const { createLogger, addLogContext } = require('./logger');
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const log = createLogger('processAudio');
 
-async function processAudioRequest(requestBody, requestId) {
-    console.log(`🔧 Processing audio request ${requestId}`);
-    let tempFilePath = null;
-    const startTime = Date.now();
-    const tempDir = path.join(__dirname, '..', 'temp');
+/**
+ * Zoho API names for the transcript fields (the tenant's `fields` win over the env). Set a field to an empty string to skip it.
+ */
+function getTranscriptFieldNames(tenant) {
+    const field = (key, name, fallback) => {
+        if (tenant.fields[key] !== undefined) return String(tenant.fields[key]).trim();
+        return process.env[name] === undefined ? fallback : process.env[name].trim();
+    };
+    return {
+        transcript: field('transcript', 'ZOHO_TRANSCRIPT_FIELD', 'Description') || 'Description',
+        original: field('original', 'ZOHO_ORIGINAL_TRANSCRIPT_FIELD', 'Original_Transcript'),
+        language: field('language', 'ZOHO_LANGUAGE_FIELD', 'Transcript_Language'),
+        piiEntities: field('piiEntities', 'ZOHO_PII_ENTITIES_FIELD', ''),
+        recordingHash: field('recordingHash', 'ZOHO_RECORDING_HASH_FIELD', ''),
+        analysisTemplate: field('analysisTemplate', 'ZOHO_ANALYSIS_TEMPLATE_FIELD', 'AI_Analysis_Template'),
+    };
+}
 
-    try {
-        let requestData = null;
-
-        console.log(`🔍 [${requestId}] Raw request body:`, requestBody);
-        console.log(`🔍 [${requestId}] Body type:`, typeof requestBody);
-        console.log(`🔍 [${requestId}] Body keys:`, requestBody ? Object.keys(requestBody) : 'null');
-
-        if (requestBody && typeof requestBody === 'object') {
-            // Only require Call_Record_ID - Call_Recording_URL is ignored and will be fetched from Voice_Recording__s
-            if (requestBody.Call_Record_ID || requestBody.call_record_id || requestBody.recordId) {
-                requestData = requestBody;
-                const hasRecordingUrl = !!(requestBody.Call_Recording_URL || requestBody.call_recording_url || requestBody.recordingUrl);
-                console.log(`✅ [${requestId}] Found Call_Record_ID${hasRecordingUrl ? ' (Call_Recording_URL will be ignored, fetching from Voice_Recording__s)' : ' (will fetch from Voice_Recording__s)'}`);
+const DESCRIPTION_MODES = ['full', 'preview', 'none'];
+
+/**
+ * What goes into the transcript field (DESCRIPTION_MODE, default `full`): the full text, a preview of
+ * TRANSCRIPT_PREVIEW_CHARS (default 1000) characters pointing at the attached files, or nothing.
+ * `preview` and `none` need transcript attachments, otherwise the transcript would be lost.
+ */
+function resolveDescriptionMode(requested, attachmentFormats, requestId) {
+    const mode = String(requested || process.env.DESCRIPTION_MODE || 'full').trim().toLowerCase();
+    if (!DESCRIPTION_MODES.includes(mode)) {
+        throw new Error(`Invalid descriptionMode '${mode}'. Expected one of: ${DESCRIPTION_MODES.join(', ')}`);
+    }
+    if (mode !== 'full' && !attachmentFormats.length) {
+        log.warn('descriptionMode needs transcript attachments (TRANSCRIPT_ATTACHMENTS). Writing the full transcript instead', { descriptionMode: mode });
+        return 'full';
+    }
+    return mode;
+}
+
+function buildDescription(transcriptText, mode, attachments) {
+    const maxChars = Number(process.env.TRANSCRIPT_PREVIEW_CHARS || 1000);
+    if (mode === 'none') return null;
+    if (mode === 'full' || transcriptText.length <= maxChars) return transcriptText;
+    const fileNames = attachments.map((a) => a.fileName).join(', ');
+    return `${transcriptText.slice(0, maxChars).trimEnd()}…\n\n[Preview only. Full transcript attached: ${fileNames}]`;
+}
+
+const TRANSCRIPT_DESTINATIONS = ['field', 'note', 'both'];
+const NOTE_PARENTS = ['related', 'what', 'who', 'record'];
+
+/**
+ * Which record the recording lives on and where the transcript is written. Request values win over the
+ * tenant's `fields`, which win over the env:
+ * - module (ZOHO_MODULE, default Calls) and recordingField (ZOHO_RECORDING_FIELD, default Voice_Recording__s)
+ * - destination (TRANSCRIPT_DESTINATION): `field` updates the transcript fields on the record (default),
+ *   `note` adds a Note instead of overwriting them, `both` does both
+ * - noteParent (NOTE_PARENT): `related` attaches the Note to the call's What_Id (Deal/Account/Lead...), else its
+ *   Who_Id (Contact), else the record itself (default); `what`, `who` and `record` pick one explicitly
+ */
+function resolveRecordTarget(requestData, tenant) {
+    const pick = (key, envName, fallback) => String(requestData[key] || tenant.fields[key] || process.env[envName] || fallback).trim();
+    const target = {
+        module: pick('module', 'ZOHO_MODULE', 'Calls'),
+        recordingField: pick('recordingField', 'ZOHO_RECORDING_FIELD', 'Voice_Recording__s'),
+        destination: pick('transcriptDestination', 'TRANSCRIPT_DESTINATION', 'field').toLowerCase(),
+        noteParent: pick('noteParent', 'NOTE_PARENT', 'related').toLowerCase(),
+    };
+    // Both names end up in COQL and in the URL path
+    for (const key of ['module', 'recordingField']) {
+        if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(target[key])) throw new Error(`Invalid ${key} '${target[key]}'. Expected a Zoho API name.`);
+    }
+    if (!TRANSCRIPT_DESTINATIONS.includes(target.destination)) {
+        throw new Error(`Invalid transcriptDestination '${target.destination}'. Expected one of: ${TRANSCRIPT_DESTINATIONS.join(', ')}`);
+    }
+    if (!NOTE_PARENTS.includes(target.noteParent)) {
+        throw new Error(`Invalid noteParent '${target.noteParent}'. Expected one of: ${NOTE_PARENTS.join(', ')}`);
+    }
+    return target;
+}
+
+/**
+ * Record the Note is attached to: the call's related What_Id / Who_Id record, or the record itself.
+ */
+async function resolveNoteParent(target, recordId, requestId, tenant) {
+    if (target.noteParent !== 'record') {
+        const record = await fetchZohoRecord(target.module, recordId, requestId, tenant);
+        const what = record?.What_Id?.id && record.$se_module ? { module: record.$se_module, id: record.What_Id.id } : null;
+        const who = record?.Who_Id?.id ? { module: 'Contacts', id: record.Who_Id.id } : null;
+        const parent = target.noteParent === 'what' ? what : target.noteParent === 'who' ? who : what || who;
+        if (parent) return parent;
+        log.info('Record has no related parent for the note. Attaching the note to it directly', { module: target.module, recordId, noteParent: target.noteParent });
+    }
+    return { module: target.module, id: recordId };
+}
+
+/**
+ * Which upstream API a failed axios request went to, from its URL (used for error messages and metrics).
+ */
+function classifyUpstreamApi(url = '') {
+    if (/zohoapis\.|accounts\.zoho/.test(url)) return 'Zoho';
+    if (url.includes('knowlarity.com')) return 'Knowlarity';
+    if (url.includes('api.twilio.com')) return 'Twilio';
+    if (/exotel\.(com|in)/.test(url)) return 'Exotel';
+    if (url.includes('openai.com')) return 'OpenAI';
+    return 'API';
+}
+
+/**
+ * Transcript files for the record's Attachments: the English (or only) transcript, plus the original when there are both.
+ */
+function buildAttachmentFiles(translation, attachmentFormats, recordId) {
+    const baseName = `transcript_${recordId}`;
+    const files = buildTranscriptFiles(translation.english || translation.original, attachmentFormats, baseName);
+    if (translation.english?.text && translation.original?.text) {
+        files.push(...buildTranscriptFiles(translation.original, attachmentFormats, `${baseName}_${translation.language || 'original'}`));
+    }
+    return files;
+}
+
+/**
+ * Field values for the record update. The primary transcript field (Description) always gets the English text when
+ * there is one, otherwise the verbatim transcript. Everything else is optional and dropped if the org lacks the field.
+ * Returns { fields, optionalFields }.
+ */
+function buildRecordFields({ tenant, transcriptText, englishText, originalText, language, audioHash, piiRedaction, analysisFields, analysisTemplate, descriptionMode, attachments }) {
+    const fieldNames = getTranscriptFieldNames(tenant);
+    const description = buildDescription(transcriptText, descriptionMode, attachments);
+    const fields = description === null ? {} : { [fieldNames.transcript]: description };
+    if (englishText && originalText && fieldNames.original) fields[fieldNames.original] = originalText;
+    if (language && fieldNames.language) fields[fieldNames.language] = language;
+    if (fieldNames.recordingHash) fields[fieldNames.recordingHash] = audioHash;
+    if (piiRedaction && fieldNames.piiEntities) fields[fieldNames.piiEntities] = Object.keys(piiRedaction.entities).join(', ') || 'none';
+    Object.assign(fields, analysisFields);
+    if (analysisTemplate && fieldNames.analysisTemplate) fields[fieldNames.analysisTemplate] = analysisTemplate;
+    Object.assign(fields, buildStatusFields(tenant, 'completed'));
+    return { fields, optionalFields: Object.keys(fields).filter((f) => f !== fieldNames.transcript) };
+}
+
+const buildNoteTitle = (language) => `Call transcript${language ? ` (${language})` : ''}`;
+
+function buildNoteContent({ transcriptText, originalText, englishText, language, analysisText, analysisTemplate }) {
+    const sections = [];
+    if (analysisText) sections.push(`Analysis${analysisTemplate ? ` (${analysisTemplate})` : ''}:\n${analysisText}`);
+    sections.push(`Transcript${englishText ? ' (English)' : ''}:\n${transcriptText}`);
+    if (englishText && originalText) sections.push(`Original transcript${language ? ` (${language})` : ''}:\n${originalText}`);
+    return sections.join('\n\n');
+}
+
+/**
+ * The analysis template for this run (see lib/analysisTemplates). Rules on record fields need the record, which
+ * is read here; if that read fails the default template is used, since the transcript is already paid for.
+ */
+async function chooseAnalysisTemplate(requested, target, recordId, tenant, requestId) {
+    let record = null;
+    if (!requested && recordId && templateRulesNeedRecord(tenant)) {
+        try {
+            record = await fetchZohoRecord(target.module, recordId, requestId, tenant);
+        } catch (e) {
+            log.warn('Could not read the record for the analysis template rules. Using the default template', e);
+        }
+    }
+    const { template, source, rule } = selectAnalysisTemplate({ requested, record, tenant });
+    log.info('Analysis template selected', { template: template.id, source, rule });
+    return template;
+}
+
+/**
+ * Dry-run counterpart of the CRM step: the requests it would make, with a field diff for the record update.
+ * Only reads from Zoho (the record, and the note's parent when notes are on).
+ */
+async function previewCrmWrite({ target, tenant, recordId, requestId, translation, attachmentFormats, descriptionMode, transcriptText, englishText, originalText, audioHash, piiRedaction, analysisFields, analysisText, analysisTemplate }) {
+    const base = getZohoCrmBase(tenant);
+    const attachments = attachmentFormats.length
+        ? buildAttachmentFiles(translation, attachmentFormats, recordId).map((file) => ({
+              method: 'POST',
+              url: `${base}/${target.module}/${recordId}/Attachments`,
+              fileName: file.fileName,
+              format: file.format,
+              bytes: Buffer.byteLength(file.content),
+          }))
+        : [];
+
+    let update = null;
+    if (target.destination !== 'note') {
+        const { fields, optionalFields } = buildRecordFields({
+            tenant,
+            transcriptText,
+            englishText,
+            originalText,
+            language: translation.language,
+            audioHash,
+            piiRedaction,
+            analysisFields,
+            analysisTemplate,
+            descriptionMode,
+            attachments,
+        });
+        if (Object.keys(fields).length) update = { ...(await previewZohoUpdate(target.module, recordId, fields, { requestId, tenant })), optionalFields };
+    }
+
+    let note = null;
+    if (target.destination !== 'field') {
+        const parent = await resolveNoteParent(target, recordId, requestId, tenant);
+        const content = buildNoteContent({ transcriptText, originalText, englishText, language: translation.language, analysisText, analysisTemplate });
+        note = {
+            method: 'POST',
+            url: `${base}/${parent.module}/${parent.id}/Notes`,
+            parentModule: parent.module,
+            parentId: parent.id,
+            body: { data: [{ Note_Title: buildNoteTitle(translation.language), Note_Content: content }] },
+        };
+    }
+    return { update, attachments, note };
+}
+
+/**
+ * Normalize the webhook body (object, JSON string or URL-encoded string) into a plain object.
+ */
+function parseRequestBody(requestBody, requestId) {
+    let requestData = null;
+
+    log.debug('Parsing request body', { bodyType: typeof requestBody, keys: requestBody && typeof requestBody === 'object' ? Object.keys(requestBody) : undefined });
+
+    if (requestBody && typeof requestBody === 'object') {
+        // Only require Call_Record_ID - Call_Recording_URL is ignored and will be fetched from Voice_Recording__s
+        if (requestBody.Call_Record_ID || requestBody.call_record_id || requestBody.recordId) {
+            requestData = requestBody;
+            const hasRecordingUrl = !!(requestBody.Call_Recording_URL || requestBody.call_recording_url || requestBody.recordingUrl);
+            if (hasRecordingUrl) log.debug('Call_Recording_URL is ignored; the recording is fetched from the CRM record');
+        } else {
+            // Try alternative key names
+            const possibleKeys = ['Call_Record_ID', 'call_record_id', 'recordId'];
+            let foundData = {};
+            for (const key of possibleKeys) {
+                if (requestBody[key]) foundData[key] = requestBody[key];
+            }
+            requestData = Object.keys(foundData).length ? foundData : requestBody;
+            if (Object.keys(foundData).length) {
+                log.debug('Found data with alternative keys', { keys: Object.keys(foundData) });
             } else {
-                // Try alternative key names
-                const possibleKeys = ['Call_Record_ID', 'call_record_id', 'recordId'];
-                let foundData = {};
-                for (const key of possibleKeys) {
-                    if (requestBody[key]) foundData[key] = requestBody[key];
-                }
-                requestData = Object.keys(foundData).length ? foundData : requestBody;
-                if (Object.keys(foundData).length) {
-                    console.log(`✅ [${requestId}] Found data with alternative keys:`, foundData);
-                } else {
-                    console.log(`⚠️ [${requestId}] Using raw request body as-is:`, requestBody);
-                }
+                log.debug('Using raw request body as-is');
             }
-        } else if (typeof requestBody === 'string') {
+        }
+    } else if (typeof requestBody === 'string') {
+        try {
+            requestData = JSON.parse(requestBody);
+            log.debug('Parsed JSON from string body');
+        } catch {
             try {
-                requestData = JSON.parse(requestBody);
-                console.log(`✅ [${requestId}] Parsed JSON from string body`);
+                requestData = require('querystring').parse(requestBody);
+                log.debug('Parsed URL-encoded string body');
             } catch {
-                try {
-                    requestData = require('querystring').parse(requestBody);
-                    console.log(`✅ [${requestId}] Parsed as URL-encoded data`);
-                } catch {
-                    requestData = null;
-                }
+                requestData = null;
             }
         }
+    }
 
-        if (!requestData) throw new Error(`Unable to parse request body. Body type: ${typeof requestBody}`);
+    if (!requestData) throw new Error(`Unable to parse request body. Body type: ${typeof requestBody}`);
+    return requestData;
+}
 
-        const Call_Record_ID = requestData.Call_Record_ID || requestData.call_record_id || requestData.recordId;
+/**
+ * Process one call record: resolve recording -> download -> transcribe -> analyze -> update Zoho.
+ * `options.onStage(stage)` is called as the pipeline moves between stages (used by the job queue).
+ *
+ * Duplicate deliveries are detected two ways: a request for a record that is already being processed
+ * waits for and shares that run, and a recording whose audio hash matches a cached result returns the
+ * cached transcript without calling Whisper/GPT or writing to Zoho again. Send `force=true` to bypass the cache.
+ *
+ * `dryRun=true` runs every stage but the CRM write and returns a `preview` of the requests it would have made
+ * (URL, payload and a diff against the record's current values). Dry runs skip the cache and aren't cached.
+ *
+ * `analysisTemplate` (name or name@version) picks the analysis prompt; without it the template rules decide
+ * (lib/analysisTemplates). The name@version used is written to the record next to the analysis.
+ *
+ * `options.tenant` names the Zoho org (see lib/tenants); the default tenant is used when it's not set.
+ * `options.recordingUrl` skips the recording field lookup. It is only set internally (the Knowlarity webhook
+ * passes the URL from its payload); a Call_Recording_URL in the request body is still ignored.
+ * `options.upload` ({ buffer, fileName, contentType }) transcribes an uploaded file instead of downloading one
+ * (POST /transcribe). Call_Record_ID is optional then; without it nothing is written to Zoho.
+ */
+async function processAudioRequest(requestBody, requestId, options = {}) {
+    const tenant = getTenant(options.tenant);
+    const requestData = parseRequestBody(requestBody, requestId);
+    const Call_Record_ID = requestData.Call_Record_ID || requestData.call_record_id || requestData.recordId;
 
-        console.log(`🎯 [${requestId}] Processing Call_Record_ID: ${Call_Record_ID}`);
-        if (!Call_Record_ID) {
-            throw new Error(`Missing required field: Call_Record_ID. Received: ${JSON.stringify(requestData)}. Note: Call_Recording_URL is not required and will be fetched from Voice_Recording__s field.`);
+    addLogContext({ recordId: Call_Record_ID, ...(tenant.name !== DEFAULT_TENANT ? { tenant: tenant.name } : {}) });
+    log.info('Processing call record', { recordId: Call_Record_ID, tenant: tenant.name });
+    if (!Call_Record_ID && options.upload) return runAudioPipeline(requestData, null, null, tenant, requestId, options);
+    if (!Call_Record_ID) {
+        throw new Error(`Missing required field: Call_Record_ID. Received fields: ${Object.keys(requestData).join(', ') || 'none'}. Note: Call_Recording_URL is not required and will be fetched from Voice_Recording__s field.`);
+    }
+
+    // Record IDs are only unique within an org, so the dedupe and cache keys carry the tenant
+    const recordKey = tenant.name === DEFAULT_TENANT ? Call_Record_ID : `${tenant.name}_${Call_Record_ID}`;
+    // A dry run must not hand its preview to a real request (or wait for one), so it runs on its own
+    if (parseBoolean(requestData.dryRun)) return runAudioPipeline(requestData, Call_Record_ID, recordKey, tenant, requestId, options);
+    const pendingRun = getInFlight(recordKey);
+    if (pendingRun) {
+        log.info('Record is already being processed. Waiting for that run instead of starting another', { recordId: Call_Record_ID });
+        let result;
+        try {
+            result = await pendingRun;
+        } catch (error) {
+            // The run that owns the record settles its failure (status, retry, dead letter); this copy carries no record
+            const shared = new Error(error.message);
+            shared.originalError = error;
+            shared.failure = error.failure;
+            throw shared;
         }
+        recordRequest('deduplicated', tenant.name);
+        return { ...result, deduplicated: true, originalRequestId: result.requestId, requestId };
+    }
 
-        // Always fetch recording URL from Voice_Recording__s field (Call_Recording_URL is completely ignored)
-        console.log(`🔄 [${requestId}] Fetching recording URL from Voice_Recording__s field (ignoring Call_Recording_URL if present)...`);
-        const recordingUrl = await getRecordingUrlFromFallback(Call_Record_ID, requestId);
-        console.log(`✅ [${requestId}] Successfully obtained recording URL from Voice_Recording__s: ${recordingUrl}`);
-
-        console.log(`📥 [${requestId}] Downloading audio file from: ${recordingUrl}`);
-        const audioResponse = await axios.get(recordingUrl, { responseType: 'arraybuffer', timeout: 30000 });
-        console.log(`📦 [${requestId}] Downloaded ${audioResponse.data.byteLength} bytes`);
-
-        const contentType = audioResponse.headers['content-type'] || '';
-        let fileExtension = 'mp3';
-        if (contentType.includes('audio/wav') || contentType.includes('audio/wave')) fileExtension = 'wav';
-        else if (contentType.includes('audio/mpeg') || contentType.includes('audio/mp3')) fileExtension = 'mp3';
-        else if (contentType.includes('audio/mp4') || contentType.includes('audio/m4a')) fileExtension = 'm4a';
-        else if (contentType.includes('audio/ogg')) fileExtension = 'ogg';
-        else if (contentType.includes('audio/webm')) fileExtension = 'webm';
-        else if (contentType.includes('audio/flac')) fileExtension = 'flac';
-        else if (contentType.includes('video/mp4')) fileExtension = 'mp4';
-        else {
-            const urlExt = recordingUrl.toLowerCase().match(/\.(mp3|wav|m4a|ogg|webm|flac|mp4|mpeg|mpga|oga)(\?|$)/);
-            if (urlExt) fileExtension = urlExt[1];
-            else {
-                const buffer = Buffer.from(audioResponse.data);
-                if (buffer.length > 12) {
-                    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') fileExtension = 'wav';
-                    else if (buffer.toString('ascii', 0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) fileExtension = 'mp3';
-                    else if (buffer.toString('ascii', 0, 4) === 'OggS') fileExtension = 'ogg';
-                    else if (buffer.toString('ascii', 4, 8) === 'ftyp') fileExtension = 'mp4';
-                    else if (buffer.toString('ascii', 0, 4) === 'fLaC') fileExtension = 'flac';
-                }
+    return trackInFlight(recordKey, runAudioPipeline(requestData, Call_Record_ID, recordKey, tenant, requestId, options));
+}
+
+async function runAudioPipeline(requestData, Call_Record_ID, recordKey, tenant, requestId, options) {
+    let tempFilePath = null;
+    const startTime = Date.now();
+    const tempDir = path.join(__dirname, '..', 'temp');
+    const reportStage = (stage) => {
+        if (typeof options.onStage === 'function') options.onStage(stage);
+    };
+
+    const dryRun = parseBoolean(requestData.dryRun);
+    // A dry run exists to try prompts and mappings, so it never answers from the cache
+    const force = dryRun || parseBoolean(requestData.force);
+    let target = null;
+
+    try {
+        const transcriptionMode = resolveTranscriptionMode(requestData.transcriptionMode);
+        target = resolveRecordTarget(requestData, tenant);
+        const attachmentFormats = resolveAttachmentFormats(requestData.attachmentFormats);
+        let descriptionMode = resolveDescriptionMode(requestData.descriptionMode, attachmentFormats, requestId);
+        const piiConfig = getPiiConfig(requestData.piiRedaction);
+        // Checked up front so a misspelt template fails before the download and transcription are paid for
+        const requestedTemplate = requestData.analysisTemplate ? getAnalysisTemplate(requestData.analysisTemplate) : null;
+
+        if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir);
+        // Written to disk under a neutral name; the extension is known once the first bytes are in
+        tempFilePath = path.join(tempDir, `audio_${Call_Record_ID || 'upload'}_${Date.now()}.download`);
+
+        let download;
+        let resolverName = 'upload';
+        if (options.upload) {
+            fs.writeFileSync(tempFilePath, options.upload.buffer);
+            download = await inspectRecordingFile(tempFilePath, options.upload);
+            log.info('Uploaded recording received', { bytes: download.bytes, format: download.format, sha256: download.sha256 });
+        } else {
+            // Fetch the recording URL from the recording field (Call_Recording_URL in the body is ignored)
+            reportStage('fetching_recording');
+            let source = options.recordingUrl ? { url: options.recordingUrl, headers: {}, resolver: 'webhook' } : null;
+            if (!source) {
+                log.debug('Fetching recording URL', { module: target.module, recordingField: target.recordingField });
+                source = await getRecordingSource(Call_Record_ID, requestId, { ...target, tenant, resolver: tenant.fields.recordingResolver, requestedResolver: requestData.recordingResolver });
             }
+            resolverName = source.resolver;
+
+            reportStage('downloading');
+            log.debug('Downloading recording', { url: source.url, resolver: source.resolver });
+            download = await timeStage('download', () => downloadRecording(source, tempFilePath));
+            recordDownload(download.bytes);
+            log.info('Recording downloaded', { bytes: download.bytes, format: download.format, sha256: download.sha256, resumes: download.resumes });
         }
+        const recording = { bytes: download.bytes, sha256: download.sha256, format: download.format, contentType: download.contentType, resolver: resolverName };
+
+        const audioHash = download.sha256;
+        const cached = recordKey ? getCachedTranscript(recordKey, audioHash) : null;
+        // Asking for a template the cached analysis wasn't made with is asking for a new analysis
+        const otherTemplate = !!(cached && requestedTemplate && cached.analysisTemplate !== requestedTemplate.id);
+        if (cached && !force && !otherTemplate) {
+            log.info('Recording was already processed. Returning cached result (send force=true to reprocess)', { audioHash: audioHash.slice(0, 12), cachedAt: cached.cachedAt });
+            recordRequest('cached', tenant.name);
+            return {
+                message: 'Recording already processed. Returned cached transcript; CRM not updated.',
+                recordId: Call_Record_ID,
+                tenant: tenant.name,
+                transcript: cached.transcript,
+                originalTranscript: cached.originalTranscript || null,
+                language: cached.language || null,
+                analysis: cached.analysis,
+                analysisText: cached.analysisText || null,
+                analysisTemplate: cached.analysisTemplate || null,
+                piiRedaction: cached.piiRedaction || null,
+                cached: true,
+                cachedAt: cached.cachedAt,
+                audioHash,
+                recording,
+                requestId,
+                processingTime: Date.now() - startTime,
+            };
+        }
+        if (cached && !force && otherTemplate) log.info('Cached result was analysed with another template. Reprocessing', { cachedTemplate: cached.analysisTemplate || null, analysisTemplate: requestedTemplate.id });
+        else if (cached) log.info(`${dryRun ? 'dryRun' : 'force'}=true: ignoring cached result`, { cachedAt: cached.cachedAt });
+
+        const fileExtension = download.format;
+        const audioFilePath = tempFilePath.replace(/\.download$/, `.${fileExtension}`);
+        fs.renameSync(tempFilePath, audioFilePath);
+        tempFilePath = audioFilePath;
+        log.debug('Audio saved to temporary file', { path: tempFilePath });
+
+        // Only now: a cached result above leaves the record's Completed status alone
+        if (Call_Record_ID && !dryRun) await writeRecordStatus({ module: target.module, recordId: Call_Record_ID }, 'processing', { requestId, tenant });
+
+        // Translate to English and/or transcribe verbatim depending on the mode (source language is auto-detected)
+        reportStage('transcribing');
+        const provider = getTranscriptionProvider(requestData.transcriptionProvider || requestData.provider);
+        const separateSpeakers = parseBoolean(requestData.speakerSeparation, parseBoolean(process.env.SPEAKER_SEPARATION, true));
+        log.info('Transcribing recording', { provider: provider.name, mode: transcriptionMode, separateSpeakers });
+        let translation = await timeStage('transcription', () =>
+            transcribeRecording(tempFilePath, fileExtension, requestId, { provider, mode: transcriptionMode, separateSpeakers })
+        );
+
+        // Redact before anything leaves the service: the analysis model, attachments, notes and CRM fields all see the redacted text
+        let piiRedaction = null;
+        if (piiConfig.enabled) {
+            const unredacted = translation;
+            let entities;
+            ({ translation, entities } = redactTranscription(translation, piiConfig));
+            const unredactedCopy = piiConfig.keepUnredacted
+                ? saveUnredactedCopy(recordKey || 'upload', audioHash, { requestId, language: unredacted.language, english: unredacted.english, original: unredacted.original })
+                : null;
+            piiRedaction = { entities, unredactedCopy };
+            log.info('Redacted PII from transcript', { entities });
+        }
+
+        const englishText = translation.english?.text || null;
+        const originalText = translation.original?.text || null;
+        const transcriptText = englishText || originalText || '';
+        log.info('Transcription finished', { chars: transcriptText.length, language: translation.language || undefined, chunks: translation.chunkCount, speakerSeparated: translation.speakerSeparated });
 
-        if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir);
-        tempFilePath = path.join(tempDir, `audio_${Call_Record_ID}_${Date.now()}.${fileExtension}`);
-        fs.writeFileSync(tempFilePath, Buffer.from(audioResponse.data));
-        console.log(`Audio saved temporarily to: ${tempFilePath}`);
-
-        // Always translate to English (auto-detects source language and translates)
-        console.log(`🌐 [${requestId}] Transcribing and translating to English (auto-detecting source language)...`);
-        const translation = await openai.audio.translations.create({
-            model: 'whisper-1',
-            file: fs.createReadStream(tempFilePath)
-        });
-        const transcriptText = translation.text;
-        console.log(`📝 [${requestId}] Transcription and translation successful. Length: ${transcriptText.length} characters`);
-        
         // Validate transcript is not empty
         if (!transcriptText || transcriptText.trim().length === 0) {
-            throw new Error('Transcription resulted in empty text. Cannot update Zoho CRM.');
+            throw new ProcessingError(`Transcription resulted in empty text.${Call_Record_ID ? ' Cannot update Zoho CRM.' : ''}`, { reason: 'no_speech' });
         }
-        console.log(`📄 [${requestId}] Transcript preview (first 200 chars): ${transcriptText.substring(0, 200)}...`);
 
-        const accessToken = await getZohoAccessToken();
         const analysisEnabled = (process.env.ANALYSIS_ENABLED || 'true').toLowerCase() === 'true';
-        const analysisModel = process.env.OPENAI_ANALYSIS_MODEL || 'gpt-4o-mini';
 
+        let analysis = null;
         let analysisText = null;
+        let analysisTemplate = null;
+        let analysisFields = {};
         if (analysisEnabled) {
+            reportStage('analyzing');
+            // Outside the try below: a broken template setup should fail the run, not quietly drop the analysis
+            const template = await chooseAnalysisTemplate(requestData.analysisTemplate, target, Call_Record_ID, tenant, requestId);
             try {
-                const maxTranscriptChars = Number(process.env.ANALYSIS_MAX_CHARS || 16000);
-                const transcriptForAnalysis = (transcriptText || '').slice(0, maxTranscriptChars);
-                const prompt = `You are a sales call analyst. Summarize the call and extract key insights for a sales team in a compact, readable block. Keep it under 1200 characters. Use exactly this format and plain text only:\n\nSummary: <2–4 sentence recap>\nCustomer Sentiment: <Negative|Neutral|Positive>\nAgent Sentiment: <Negative|Neutral|Positive>\nKey Topics: <comma-separated>\nObjections: <short list>\nNext Steps: <bulleted or comma-separated>\nOutcome: <No Decision|Follow-up Needed|Qualified|Unqualified|Closed Won|Closed Lost>\nNotes: <optional short notes>\n\nTranscript:\n"""${transcriptForAnalysis}"""`;
-
-                const completion = await openai.chat.completions.create({
-                    model: analysisModel,
-                    messages: [
-                        { role: 'system', content: 'Return concise, sales-ready analysis as plain text. Do not include JSON. Follow the requested headings exactly.' },
-                        { role: 'user', content: prompt },
-                    ],
-                    temperature: 0.3,
-                    max_tokens: 600,
-                });
-                analysisText = (completion.choices?.[0]?.message?.content || '').trim();
-                if (analysisText && analysisText.length > 1200) analysisText = analysisText.slice(0, 1190) + '…';
+                ({ analysis, analysisText, template: analysisTemplate } = await timeStage('analysis', () =>
+                    analyzeTranscript(transcriptText, { requestId, speakerSeparated: translation.speakerSeparated, template })
+                ));
+                analysisFields = mapAnalysisToFields(analysis, analysisText, tenant.analysisFieldMap || getAnalysisFieldMap());
             } catch (e) {
-                console.warn('Analysis generation failed. Proceeding without AI_Analysis field.', e.message);
+                log.warn('Analysis generation failed. Proceeding without analysis fields', e);
             }
         }
 
-        const moduleApiName = 'Calls';
-        // Zoho CRM API requires 'id' field in the payload for updates
-        const basePayload = { 
-            data: [{ 
-                id: Call_Record_ID,
-                Description: transcriptText 
-            }] 
+        const transcription = {
+            transcript: transcriptText,
+            originalTranscript: originalText,
+            language: translation.language,
+            transcriptionMode,
+            speakerSeparated: translation.speakerSeparated,
+            analysis,
+            analysisText,
+            analysisTemplate,
+            piiRedaction,
+            segments: translation.segments,
+            transcriptionProvider: provider.name,
+            audioDuration: translation.duration,
+            audioHash,
+            recording,
         };
-        if (analysisText) basePayload.data[0].AI_Analysis = analysisText;
 
-        const crmBase = getZohoCrmBase();
-        const zohoUpdateUrl = `${crmBase}/${moduleApiName}/${Call_Record_ID}`;
-        console.log(`📤 [${requestId}] Updating Zoho CRM record ${Call_Record_ID}...`);
-        console.log(`📤 [${requestId}] Zoho URL: ${zohoUpdateUrl}`);
-        console.log(`📤 [${requestId}] Payload: Description length=${transcriptText.length} chars${analysisText ? `, AI_Analysis length=${analysisText.length} chars` : ''}`);
-        
-        // Helper function to parse error response (handles Buffer responses)
-        const parseErrorData = (errorData) => {
-            if (Buffer.isBuffer(errorData)) {
-                try {
-                    return JSON.parse(errorData.toString());
-                } catch {
-                    return { raw: errorData.toString() };
-                }
-            }
-            if (typeof errorData === 'string') {
-                try {
-                    return JSON.parse(errorData);
-                } catch {
-                    return { message: errorData };
-                }
-            }
-            return errorData || {};
-        };
-        
-        // Helper function to check if error is authentication failure
-        const isAuthError = (errorData) => {
-            const parsed = parseErrorData(errorData);
-            const errorStr = JSON.stringify(parsed).toLowerCase();
-            return errorStr.includes('authentication') || 
-                   errorStr.includes('auth_failure') ||
-                   parsed.code === 'AUTHENTICATION_FAILURE';
-        };
-        
-        let zohoResponse;
-        let retryCount = 0;
-        const maxRetries = 2;
-        
-        while (retryCount <= maxRetries) {
+        // Uploads without a record: return the transcript, nothing to write
+        if (!Call_Record_ID) {
+            recordRequest('success', tenant.name);
+            return { message: 'Audio transcribed.', recordId: null, tenant: tenant.name, ...transcription, requestId, processingTime: Date.now() - startTime };
+        }
+
+        // Dry run: every stage above ran for real; show what the CRM step would send instead of sending it
+        if (dryRun) {
+            reportStage('previewing_crm');
+            const preview = await previewCrmWrite({ target, tenant, recordId: Call_Record_ID, requestId, translation, attachmentFormats, descriptionMode, transcriptText, englishText, originalText, audioHash, piiRedaction, analysisFields, analysisText, analysisTemplate });
+            recordRequest('dry_run', tenant.name);
+            return {
+                message: 'Dry run: audio transcribed and analysed; Zoho was not updated.',
+                dryRun: true,
+                recordId: Call_Record_ID,
+                tenant: tenant.name,
+                module: target.module,
+                transcriptDestination: target.destination,
+                descriptionMode,
+                preview,
+                ...transcription,
+                requestId,
+                processingTime: Date.now() - startTime,
+            };
+        }
+
+        reportStage('updating_crm');
+        const endCrmUpdate = startStageTimer('crm_update');
+        // Attachments go up first so a preview-only Description never points at files that don't exist
+        const attachments = [];
+        if (attachmentFormats.length) {
             try {
-                // Get fresh token if this is a retry after auth failure
-                if (retryCount > 0) {
-                    console.log(`🔄 [${requestId}] Retry attempt ${retryCount}: Getting fresh access token...`);
-                    accessToken = await getZohoAccessToken(true);
-                }
-                
-                zohoResponse = await axios.put(
-                    zohoUpdateUrl,
-                    basePayload,
-                    { headers: { Authorization: `Zoho-oauthtoken ${accessToken}`, 'Content-Type': 'application/json' } }
-                );
-                console.log(`📥 [${requestId}] Zoho API Response Status: ${zohoResponse.status}`);
-                console.log(`📥 [${requestId}] Zoho API Response:`, JSON.stringify(zohoResponse.data, null, 2));
-                break; // Success, exit retry loop
-            } catch (zErr) {
-                const errorData = zErr.response?.data;
-                const parsedError = parseErrorData(errorData);
-                
-                console.error(`❌ [${requestId}] Zoho update failed:`, zErr.message);
-                if (zErr.response) {
-                    console.error(`❌ [${requestId}] Zoho Error Status: ${zErr.response.status}`);
-                    console.error(`❌ [${requestId}] Zoho Error Data:`, JSON.stringify(parsedError, null, 2));
+                for (const file of buildAttachmentFiles(translation, attachmentFormats, Call_Record_ID)) {
+                    const id = await uploadZohoAttachment(target.module, Call_Record_ID, file, { requestId, tenant });
+                    attachments.push({ id, fileName: file.fileName, format: file.format });
                 }
-                
-                // Check if it's an authentication error
-                if (isAuthError(errorData) && retryCount < maxRetries) {
-                    console.warn(`⚠️ [${requestId}] Authentication failure detected. Clearing token cache and retrying...`);
-                    clearZohoAccessToken();
-                    retryCount++;
-                    continue; // Retry with fresh token
-                }
-                
-                // Check if it's an AI_Analysis field error
-                const isFieldError = JSON.stringify(parsedError).toLowerCase().includes('ai_analysis');
-                if (analysisText && isFieldError && retryCount === 0) {
-                    console.warn(`⚠️ [${requestId}] Zoho rejected AI_Analysis field. Retrying with Description only...`);
-                    basePayload.data[0] = { id: Call_Record_ID, Description: transcriptText };
-                    delete basePayload.data[0].AI_Analysis;
-                    retryCount++;
-                    continue; // Retry without AI_Analysis
-                }
-                
-                // If we get here, it's not a retryable error or we've exhausted retries
-                throw zErr;
+            } catch (e) {
+                log.warn(`Transcript attachment upload failed${descriptionMode !== 'full' ? '. Writing the full transcript instead of a preview' : ''}`, e);
+                descriptionMode = 'full';
             }
         }
 
-        // Verify the update was successful
-        if (zohoResponse && zohoResponse.data) {
-            const updateResult = zohoResponse.data.data?.[0];
-            if (updateResult) {
-                console.log(`✅ [${requestId}] Zoho CRM updated successfully! Record ID: ${updateResult.id || Call_Record_ID}`);
-            } else {
-                console.warn(`⚠️ [${requestId}] Zoho response missing data field. Full response:`, JSON.stringify(zohoResponse.data, null, 2));
+        let droppedFields = [];
+        if (target.destination !== 'note') {
+            const { fields, optionalFields } = buildRecordFields({
+                tenant,
+                transcriptText,
+                englishText,
+                originalText,
+                language: translation.language,
+                audioHash,
+                piiRedaction,
+                analysisFields,
+                analysisTemplate,
+                descriptionMode,
+                attachments,
+            });
+
+            const update = Object.keys(fields).length
+                ? await updateZohoRecord(target.module, Call_Record_ID, fields, { requestId, optionalFields, tenant })
+                : { response: null, droppedFields: [] };
+            const zohoResponse = update.response;
+            droppedFields = update.droppedFields;
+
+            // Verify the update was successful
+            if (zohoResponse && zohoResponse.data) {
+                const updateResult = zohoResponse.data.data?.[0];
+                if (updateResult) {
+                    log.info('Zoho CRM record updated', { module: target.module, recordId: updateResult.details?.id || Call_Record_ID, fields: Object.keys(fields) });
+                } else {
+                    log.warn('Zoho update response has no data entry', { response: zohoResponse.data });
+                }
+            } else if (zohoResponse) {
+                log.warn('Zoho update response structure unexpected', { responseType: typeof zohoResponse });
             }
-        } else {
-            console.warn(`⚠️ [${requestId}] Zoho response structure unexpected:`, zohoResponse);
         }
+
+        let note = null;
+        if (target.destination !== 'field') {
+            const parent = await resolveNoteParent(target, Call_Record_ID, requestId, tenant);
+            const noteId = await createZohoNote(parent.module, parent.id, {
+                title: buildNoteTitle(translation.language),
+                content: buildNoteContent({ transcriptText, originalText, englishText, language: translation.language, analysisText, analysisTemplate }),
+            }, { requestId, tenant });
+            note = { id: noteId, parentModule: parent.module, parentId: parent.id };
+            // Field updates carry the status already
+            if (target.destination === 'note') await writeRecordStatus({ module: target.module, recordId: Call_Record_ID }, 'completed', { requestId, tenant });
+        }
+        endCrmUpdate();
+        clearDeadLetter(tenant.name, Call_Record_ID);
+
+        saveCachedTranscript(recordKey, audioHash, {
+            transcript: transcriptText,
+            originalTranscript: originalText,
+            language: translation.language,
+            analysis,
+            analysisText,
+            analysisTemplate,
+            piiRedaction,
+            requestId,
+        });
+
+        recordRequest('success', tenant.name);
         return {
             message: 'Audio transcribed and CRM updated successfully.',
             recordId: Call_Record_ID,
-            transcript: transcriptText,
+            tenant: tenant.name,
+            module: target.module,
+            transcriptDestination: target.destination,
+            descriptionMode,
+            attachments,
+            note,
+            droppedFields,
+            ...transcription,
             requestId,
             processingTime: Date.now() - startTime,
         };
     } catch (error) {
         const processingTime = Date.now() - startTime;
+        const failure = classifyFailure(error);
         
-        // Helper to parse error data (handles Buffer, string, or object)
-        const parseErrorData = (errorData) => {
-            if (Buffer.isBuffer(errorData)) {
-                try {
-                    return JSON.parse(errorData.toString());
-                } catch {
-                    return { raw: errorData.toString() };
-                }
-            }
-            if (typeof errorData === 'string') {
-                try {
-                    return JSON.parse(errorData);
-                } catch {
-                    return { message: errorData };
-                }
-            }
-            return errorData || {};
-        };
-        
-        if (error.response) {
-            const parsedData = parseErrorData(error.response.data);
-            console.error(`💥 [${requestId}] API Error (${error.response.status}):`, { 
-                url: error.config?.url, 
-                status: error.response.status, 
-                data: parsedData 
-            });
-        } else if (error.request) {
-            console.error(`💥 [${requestId}] Network Error (no response):`, { url: error.config?.url });
-        }
-        console.error(`💥 [${requestId}] Error after ${processingTime}ms:`, error.message);
+        log.error('Audio processing failed', {
+            processingTime,
+            reason: failure.reason,
+            retryable: failure.retryable,
+            url: error.config?.url,
+            status: error.response?.status,
+            response: error.response ? parseZohoErrorData(error.response.data) : undefined,
+            err: error,
+        });
+        recordRequest('failed', tenant.name);
+        // The HTTP error is often wrapped (Chunk 2/3 failed, OpenAI SDK errors, lib/http retries), so look down the chain
+        const upstreamError = errorChain(error).find((e) => e.response || e.request || e instanceof OpenAIAPIError);
+        if (upstreamError) recordUpstreamError(upstreamError instanceof OpenAIAPIError ? 'OpenAI' : classifyUpstreamApi(upstreamError.config?.url));
 
         let errorMessage = error.message;
         if (error.response) {
-            const url = error.config?.url || '';
-            const apiName = url.includes('zohoapis.com') ? 'Zoho' : url.includes('knowlarity.com') ? 'Knowlarity' : url.includes('openai.com') ? 'OpenAI' : 'API';
-            errorMessage = `${apiName} API request failed: ${error.message}`;
+            errorMessage = `${classifyUpstreamApi(error.config?.url)} API request failed: ${error.message}`;
             
-            const parsedData = parseErrorData(error.response.data);
+            const parsedData = parseZohoErrorData(error.response.data);
             if (parsedData) {
                 const errorStr = typeof parsedData === 'string' ? parsedData : JSON.stringify(parsedData);
                 errorMessage += ` - ${errorStr.slice(0, 200)}`;
@@ -308,14 +642,17 @@ async function processAudioRequest(requestBody, requestId) {
         const enhancedError = new Error(errorMessage);
         enhancedError.originalError = error;
         enhancedError.response = error.response;
+        enhancedError.failure = failure;
+        // Which record the failure is written back to (see settleFailure in lib/jobs); dry runs leave it alone
+        enhancedError.record = Call_Record_ID && !dryRun ? { module: target?.module, recordId: Call_Record_ID } : null;
         throw enhancedError;
     } finally {
         if (tempFilePath && fs.existsSync(tempFilePath)) {
             try {
                 fs.unlinkSync(tempFilePath);
-                console.log(`🧹 [${requestId}] Temporary file cleaned up: ${tempFilePath}`);
+                log.debug('Temporary file cleaned up', { path: tempFilePath });
             } catch (e) {
-                console.error(`❌ [${requestId}] Failed to clean up temporary file:`, e.message);
+                log.error('Failed to clean up temporary file', { path: tempFilePath, err: e });
             }
         }
     }
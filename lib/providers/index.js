@@ -0,0 +1,80 @@
+const fs = require('fs');
+
+const { createOpenAIProvider } = require('./openai');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mock');
+
+/**
+ * Transcription provider registry.
+ *
+ * Every provider exposes:
+ *   transcribe(filePath, { language, prompt }) -> { text, segments, duration, language }  (source language)
+ *   translate(filePath, { prompt })            -> { text, segments, duration, language }  (English)
+ *
+ * Built-in providers: `openai`, `openai-compatible` (TRANSCRIPTION_BASE_URL) and `mock`.
+ * More can be declared in a JSON file named by TRANSCRIPTION_CONFIG_FILE:
+ *   { "default": "local", "providers": { "local": { "type": "openai-compatible", "baseUrl": "http://localhost:8000/v1" } } }
+ */
+
+const FACTORIES = {
+    openai: createOpenAIProvider,
+    'openai-compatible': createOpenAICompatibleProvider,
+    mock: createMockProvider,
+};
+
+const instances = new Map();
+let fileConfig;
+
+function loadConfigFile() {
+    if (fileConfig !== undefined) return fileConfig;
+    const configPath = process.env.TRANSCRIPTION_CONFIG_FILE;
+    fileConfig = configPath ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : null;
+    return fileConfig;
+}
+
+function getProviderConfigs() {
+    const envConfig = {
+        model: process.env.TRANSCRIPTION_MODEL || undefined,
+        baseUrl: process.env.TRANSCRIPTION_BASE_URL || undefined,
+        apiKey: process.env.TRANSCRIPTION_API_KEY || undefined,
+    };
+    const configs = {
+        openai: { type: 'openai', model: envConfig.model },
+        'openai-compatible': { type: 'openai-compatible', ...envConfig },
+        mock: { type: 'mock' },
+    };
+    const file = loadConfigFile();
+    for (const [name, config] of Object.entries(file?.providers || {})) {
+        // "apiKeyEnv" lets the config file reference a secret without containing it
+        const apiKey = config.apiKeyEnv ? process.env[config.apiKeyEnv] : config.apiKey;
+        configs[name] = { ...config, apiKey, type: config.type || name };
+    }
+    return configs;
+}
+
+function getDefaultProviderName() {
+    return process.env.TRANSCRIPTION_PROVIDER || loadConfigFile()?.default || 'openai';
+}
+
+/**
+ * Resolve a provider by name (falls back to the configured default). Instances are cached.
+ */
+function getTranscriptionProvider(name) {
+    const providerName = name || getDefaultProviderName();
+    if (instances.has(providerName)) return instances.get(providerName);
+
+    const config = getProviderConfigs()[providerName];
+    if (!config) {
+        throw new Error(`Unknown transcription provider '${providerName}'. Available: ${Object.keys(getProviderConfigs()).join(', ')}`);
+    }
+    const factory = FACTORIES[config.type];
+    if (!factory) {
+        throw new Error(`Transcription provider '${providerName}' has unknown type '${config.type}'. Expected one of: ${Object.keys(FACTORIES).join(', ')}`);
+    }
+
+    const provider = factory({ ...config, name: providerName });
+    instances.set(providerName, provider);
+    return provider;
+}
+
+module.exports = { getTranscriptionProvider, getDefaultProviderName };
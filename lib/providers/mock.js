@@ -0,0 +1,55 @@
+const fs = require('fs');
+
+const DEFAULT_FIXTURE = {
+    language: 'hindi',
+    original: 'नमस्ते, मैं साइट विज़िट के बारे में बात करना चाहता था। क्या आप इस शनिवार को फ्री हैं? ठीक है, मैं आपको लोकेशन भेज दूंगा।',
+    english: 'Hello, I wanted to talk about the site visit. Are you free this Saturday? Okay, I will send you the location.',
+};
+
+function splitIntoSegments(text) {
+    const sentences = text.match(/[^.!?।]+[.!?।]?/g) || [text];
+    let start = 0;
+    return sentences
+        .map((s) => s.trim())
+        .filter(Boolean)
+        .map((sentence) => {
+            // ~0.4s per word keeps timestamps plausible and, more importantly, stable between runs
+            const duration = Math.max(1, sentence.split(/\s+/).length * 0.4);
+            const segment = { start, end: start + duration, text: sentence };
+            start += duration;
+            return segment;
+        });
+}
+
+/**
+ * Deterministic provider for development and tests: never touches the network and always
+ * returns the same fixture. Point `fixtureFile` (or MOCK_TRANSCRIPT_FILE) at a JSON file
+ * shaped like { "language": "...", "original": "...", "english": "..." } to change the text.
+ */
+function createMockProvider(config = {}) {
+    const fixtureFile = config.fixtureFile || process.env.MOCK_TRANSCRIPT_FILE;
+    const loadFixture = () => (fixtureFile ? { ...DEFAULT_FIXTURE, ...JSON.parse(fs.readFileSync(fixtureFile, 'utf8')) } : DEFAULT_FIXTURE);
+
+    const respond = (text, language) => {
+        const segments = splitIntoSegments(text);
+        return { text, segments, duration: segments.length ? segments[segments.length - 1].end : 0, language };
+    };
+
+    return {
+        name: config.name || 'mock',
+        type: 'mock',
+        model: 'mock',
+        async transcribe(filePath) {
+            if (!fs.existsSync(filePath)) throw new Error(`Mock provider: file not found: ${filePath}`);
+            const fixture = loadFixture();
+            return respond(fixture.original, fixture.language);
+        },
+        async translate(filePath) {
+            if (!fs.existsSync(filePath)) throw new Error(`Mock provider: file not found: ${filePath}`);
+            const fixture = loadFixture();
+            return respond(fixture.english, 'english');
+        },
+    };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const OpenAI = require('openai');
+
+const { callWithPolicy } = require('../http');
+
+function normalizeResponse(response) {
+    // Plain-text responses come back as a string; verbose_json as { text, language, duration, segments }
+    if (typeof response === 'string') return { text: response, segments: [], duration: undefined, language: undefined };
+    return {
+        text: response.text || '',
+        segments: (response.segments || []).map((s) => ({ start: s.start, end: s.end, text: s.text })),
+        duration: response.duration,
+        language: response.language,
+    };
+}
+
+/**
+ * Whisper through the OpenAI SDK. Also used for OpenAI-compatible servers by passing `baseUrl`.
+ */
+function createOpenAIProvider(config = {}) {
+    const name = config.name || 'openai';
+    const model = config.model || 'whisper-1';
+    const responseFormat = config.responseFormat || 'verbose_json';
+    let client = null;
+
+    // Created lazily so the service can start without OPENAI_API_KEY when another provider is in use
+    const getClient = () => {
+        if (!client) {
+            client = new OpenAI({
+                apiKey: config.apiKey || process.env.OPENAI_API_KEY,
+                baseURL: config.baseUrl || undefined,
+                timeout: config.timeoutMs || 10 * 60 * 1000,
+                maxRetries: 0,
+            });
+        }
+        return client;
+    };
+
+    const buildParams = (filePath, options) => {
+        const params = { model, file: fs.createReadStream(filePath), response_format: responseFormat };
+        if (options.prompt) params.prompt = options.prompt;
+        if (options.temperature !== undefined) params.temperature = options.temperature;
+        return params;
+    };
+
+    // OpenAI itself shares the 'openai' policy with analysis; a compatible server gets one under its provider name.
+    // Each attempt builds its params again, since a read stream can only be sent once.
+    const service = (config.type || 'openai') === 'openai' ? 'openai' : name;
+    const call = (send) => callWithPolicy(service, send, { idempotent: true });
+
+    return {
+        name,
+        type: config.type || 'openai',
+        model,
+        async transcribe(filePath, options = {}) {
+            return normalizeResponse(await call(() => {
+                const params = buildParams(filePath, options);
+                if (options.language) params.language = options.language;
+                return getClient().audio.transcriptions.create(params);
+            }));
+        },
+        async translate(filePath, options = {}) {
+            return normalizeResponse(await call(() => getClient().audio.translations.create(buildParams(filePath, options))));
+        },
+    };
+}
+
+module.exports = { createOpenAIProvider };
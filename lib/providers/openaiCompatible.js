@@ -0,0 +1,20 @@
+const { createOpenAIProvider } = require('./openai');
+
+/**
+ * Any server exposing the OpenAI audio API (/v1/audio/transcriptions, /v1/audio/translations),
+ * e.g. faster-whisper-server, whisper.cpp's server or LocalAI.
+ * Most of these don't need a real API key; a placeholder is sent if none is configured.
+ */
+function createOpenAICompatibleProvider(config = {}) {
+    if (!config.baseUrl) {
+        throw new Error(`Transcription provider '${config.name || 'openai-compatible'}' requires a baseUrl (set TRANSCRIPTION_BASE_URL or "baseUrl" in the provider config)`);
+    }
+    return createOpenAIProvider({
+        ...config,
+        name: config.name || 'openai-compatible',
+        type: 'openai-compatible',
+        apiKey: config.apiKey || 'not-needed',
+    });
+}
+
+module.exports = { createOpenAICompatibleProvider };
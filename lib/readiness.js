@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+const { getZohoAccessToken } = require('./zoho');
+const { probeKnowlarity } = require('./knowlarity');
+const { getOpenAIClient } = require('./analysis');
+const { getTranscriptionProvider } = require('./providers');
+const { getTenant, listTenantNames } = require('./tenants');
+const { parseBoolean } = require('./utils');
+const { createLogger } = require('./logger');
+
+const log = createLogger('readiness');
+
+/**
+ * Deep readiness check behind GET /ready. Unlike /health it verifies the dependencies a request needs:
+ * - zoho:       an access token can be obtained for every tenant (a cached, still valid token counts)
+ * - knowlarity: every tenant has Knowlarity credentials; READY_KNOWLARITY_PROBE=true also calls the API with them
+ * - openai:     the OpenAI key is accepted (only when analysis or the `openai` transcription provider is in use)
+ * - temp:       the temp directory is writable and has READY_MIN_FREE_MB (default 200) free
+ *
+ * READY_CHECKS limits the checks that run (default: all). Results are cached for READY_CACHE_SECONDS (default 10)
+ * so frequent probes don't turn into a stream of token refreshes and API calls.
+ */
+
+const CHECKS = ['zoho', 'knowlarity', 'openai', 'temp'];
+const TEMP_DIR = path.join(__dirname, '..', 'temp');
+
+let cached = null;
+let running = null;
+
+function withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} check timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkZoho() {
+    const tenants = listTenantNames();
+    for (const name of tenants) {
+        try {
+            await getZohoAccessToken(false, getTenant(name));
+        } catch (e) {
+            throw new Error(`tenant '${name}': ${e.message}`);
+        }
+    }
+    return { tenants };
+}
+
+async function checkKnowlarity() {
+    const tenants = listTenantNames();
+    const missing = tenants.filter((name) => {
+        const { apiKey, authToken } = getTenant(name).knowlarity;
+        return !apiKey || !authToken;
+    });
+    if (missing.length) throw new Error(`Knowlarity credentials missing for tenant(s): ${missing.join(', ')}`);
+
+    const probe = parseBoolean(process.env.READY_KNOWLARITY_PROBE);
+    if (probe) {
+        for (const name of tenants) {
+            try {
+                await probeKnowlarity(getTenant(name).knowlarity);
+            } catch (e) {
+                throw new Error(`tenant '${name}': ${e.message}`);
+            }
+        }
+    }
+    return { tenants, probed: probe };
+}
+
+async function checkOpenAI() {
+    const analysisEnabled = (process.env.ANALYSIS_ENABLED || 'true').toLowerCase() === 'true';
+    const provider = getTranscriptionProvider();
+    if (!analysisEnabled && provider.type !== 'openai') return { skipped: true, reason: 'OpenAI is not used by the analysis or the default transcription provider' };
+    if (!process.env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY is not set');
+
+    const model = analysisEnabled ? process.env.OPENAI_ANALYSIS_MODEL || 'gpt-4o-mini' : provider.model;
+    await getOpenAIClient().models.retrieve(model);
+    return { model };
+}
+
+async function checkTemp() {
+    if (!fs.existsSync(TEMP_DIR)) fs.mkdirSync(TEMP_DIR, { recursive: true });
+    const probeFile = path.join(TEMP_DIR, `.ready-${process.pid}`);
+    fs.writeFileSync(probeFile, 'ok');
+    fs.unlinkSync(probeFile);
+
+    const stats = fs.statfsSync(TEMP_DIR);
+    const freeMb = Math.floor((stats.bavail * stats.bsize) / 1048576);
+    const minFreeMb = Number(process.env.READY_MIN_FREE_MB || 200);
+    if (freeMb < minFreeMb) throw new Error(`Only ${freeMb} MB free in ${TEMP_DIR} (READY_MIN_FREE_MB=${minFreeMb})`);
+    return { freeMb };
+}
+
+const RUNNERS = { zoho: checkZoho, knowlarity: checkKnowlarity, openai: checkOpenAI, temp: checkTemp };
+
+function getEnabledChecks() {
+    if (!process.env.READY_CHECKS) return CHECKS;
+    const names = process.env.READY_CHECKS.split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+    const unknown = names.filter((name) => !CHECKS.includes(name));
+    if (unknown.length) throw new Error(`Unknown READY_CHECKS: ${unknown.join(', ')}. Expected: ${CHECKS.join(', ')}`);
+    return names;
+}
+
+async function runChecks() {
+    const timeoutMs = Number(process.env.READY_CHECK_TIMEOUT_MS || 5000);
+    const names = getEnabledChecks();
+    const results = await Promise.all(
+        names.map(async (name) => {
+            const start = Date.now();
+            try {
+                const details = await withTimeout(Promise.resolve().then(RUNNERS[name]), timeoutMs, name);
+                const { skipped, ...rest } = details || {};
+                return [name, { status: skipped ? 'skipped' : 'ok', latencyMs: Date.now() - start, ...rest }];
+            } catch (e) {
+                return [name, { status: 'fail', latencyMs: Date.now() - start, error: e.message }];
+            }
+        })
+    );
+
+    const checks = Object.fromEntries(results);
+    const failed = Object.keys(checks).filter((name) => checks[name].status === 'fail');
+    if (failed.length) log.warn('Readiness check failed', { failed, checks });
+    return { status: failed.length ? 'not_ready' : 'ready', checks, checkedAt: new Date().toISOString() };
+}
+
+/**
+ * Run the readiness checks, or return the cached result while it's fresh.
+ * Concurrent callers share one run. Returns { status: 'ready' | 'not_ready', checks, checkedAt, cached }.
+ */
+async function getReadiness() {
+    const ttlMs = Number(process.env.READY_CACHE_SECONDS ?? 10) * 1000;
+    if (cached && Date.now() - cached.at < ttlMs) return { ...cached.result, cached: true };
+    if (!running) {
+        running = runChecks()
+            .then((result) => {
+                cached = { at: Date.now(), result };
+                return result;
+            })
+            .finally(() => {
+                running = null;
+            });
+    }
+    return { ...(await running), cached: false };
+}
+
+module.exports = { getReadiness, CHECKS };
@@ -1,49 +1,37 @@
 const { fetchZohoCallRecord } = require('./zoho');
-const { extractUuid, fetchKnowlarityRecordingUrl } = require('./knowlarity');
+const { selectRecordingResolver } = require('./resolvers');
+const { createLogger } = require('./logger');
+const { timeStage } = require('./metrics');
+const { ProcessingError } = require('./failures');
+
+const log = createLogger('recording');
 
 /**
- * Get recording URL from Voice_Recording__s field.
- * Always fetches from Voice_Recording__s field and handles:
- * 1. Direct downloadable URL (http/https, NOT phonebridge) -> use it directly for transcription
- * 2. Phonebridge URL or UUID/recording path -> extract UUID and fetch secured URL from Knowlarity
+ * Read the record's recording field (`options.recordingField`, default Voice_Recording__s, on `options.module`,
+ * default Calls) and turn its value into a download: { url, headers, resolver }.
+ * The resolver is picked by pattern (see lib/resolvers), or by name with `options.resolver` (tenant config) or
+ * `options.requestedResolver` (the request; only used when that resolver handles the value).
  */
-async function getRecordingUrlFromFallback(callRecordId, requestId) {
-    console.log(`🔄 [${requestId}] Fetching Voice_Recording__s from Zoho CRM...`);
+async function getRecordingSource(callRecordId, requestId, options = {}) {
+    const module = options.module || 'Calls';
+    const field = options.recordingField || 'Voice_Recording__s';
+    log.debug('Fetching recording field from Zoho CRM', { module, field });
 
-    const voiceRecording = await fetchZohoCallRecord(callRecordId, requestId);
+    const voiceRecording = await timeStage('zoho_fetch', () =>
+        fetchZohoCallRecord(callRecordId, requestId, { module, recordingField: field, tenant: options.tenant })
+    );
 
     if (!voiceRecording || String(voiceRecording).trim() === '') {
-        throw new Error(`Voice_Recording__s field is empty for call record ${callRecordId}`);
-    }
-
-    const voiceRecordingStr = String(voiceRecording).trim();
-
-    // Check if Voice_Recording__s is a phonebridge URL (requires authentication, need to use Knowlarity)
-    const isPhonebridgeUrl = voiceRecordingStr.includes('phonebridge.zoho.com');
-    
-    // Check if Voice_Recording__s is already a direct downloadable URL (http/https) that's NOT phonebridge
-    if ((voiceRecordingStr.startsWith('http://') || voiceRecordingStr.startsWith('https://')) && !isPhonebridgeUrl) {
-        console.log(`✅ [${requestId}] Voice_Recording__s is a direct downloadable URL. Using it: ${voiceRecordingStr}`);
-        return voiceRecordingStr;
-    }
-
-    // If it's a phonebridge URL or not a direct URL, extract UUID and fetch from Knowlarity
-    if (isPhonebridgeUrl) {
-        console.log(`🔄 [${requestId}] Voice_Recording__s is a phonebridge URL (requires auth). Extracting UUID and fetching secured URL from Knowlarity...`);
-    } else {
-        console.log(`🔄 [${requestId}] Voice_Recording__s is not a direct URL. Extracting UUID and fetching from Knowlarity...`);
-    }
-    const uuid = extractUuid(voiceRecordingStr);
-
-    if (!uuid) {
-        throw new Error(`Could not extract recording ID from Voice_Recording__s: ${voiceRecordingStr}. Expected UUID or /recording/{id} format.`);
+        throw new ProcessingError(`${field} field is empty for ${module} record ${callRecordId}`, { reason: 'no_recording' });
     }
-    console.log(`🔑 [${requestId}] Extracted ID: ${uuid}`);
 
-    const securedUrl = await fetchKnowlarityRecordingUrl(uuid, requestId);
-    console.log(`🎯 [${requestId}] Fallback flow completed. Recording URL obtained: ${securedUrl}`);
+    const value = String(voiceRecording).trim();
+    const resolver = selectRecordingResolver(value, { configured: options.resolver, requested: options.requestedResolver });
+    log.info('Resolving recording', { field, resolver: resolver.name });
 
-    return securedUrl;
+    const { url, headers = {} } = await resolver.resolve(value, { recordId: callRecordId, requestId, tenant: options.tenant, field });
+    log.info('Recording URL obtained', { resolver: resolver.name, url });
+    return { url, headers, resolver: resolver.name };
 }
 
-module.exports = { getRecordingUrlFromFallback };
+module.exports = { getRecordingSource };
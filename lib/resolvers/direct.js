@@ -0,0 +1,35 @@
+function basicAuthHeaders(username, password) {
+    if (!username) return {};
+    return { Authorization: `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}` };
+}
+
+/**
+ * Plain http(s) URLs, downloaded as they are. A configured instance can add HTTP basic auth
+ * (`username` / `password`) or fixed `headers` for hosts that need them. Those are only sent over https to the
+ * hostnames in `hosts` (a list, or comma-separated), which such an instance must have; other URLs go without them.
+ */
+function createDirectResolver(config = {}) {
+    const name = config.name || 'direct';
+    const headers = { ...(config.headers || {}), ...basicAuthHeaders(config.username, config.password) };
+    const hosts = (Array.isArray(config.hosts) ? config.hosts : String(config.hosts || '').split(','))
+        .map((host) => String(host).trim().toLowerCase())
+        .filter(Boolean);
+    if (Object.keys(headers).length && !hosts.length) {
+        throw new Error(`Recording resolver '${name}' sends credentials, so it needs \`hosts\`: the hostnames they may be sent to`);
+    }
+
+    return {
+        name,
+        type: 'direct',
+        matches(value) {
+            return /^https?:\/\//i.test(value);
+        },
+        async resolve(value) {
+            const { protocol, hostname } = new URL(value);
+            const trusted = protocol === 'https:' && hosts.includes(hostname.toLowerCase());
+            return { url: value, headers: trusted ? headers : {} };
+        },
+    };
+}
+
+module.exports = { createDirectResolver, basicAuthHeaders };
@@ -0,0 +1,47 @@
+const { createHttpClient } = require('../http');
+const { basicAuthHeaders } = require('./direct');
+
+const exotelHttp = createHttpClient('exotel');
+
+const CALL_SID = /^[0-9a-f]{32}$/i;
+
+/**
+ * Exotel recordings: recording URLs on Exotel's hosts (fetched with the API key and token as basic auth) or, when
+ * `accountSid` is configured, a bare Call SID whose RecordingUrl is looked up with the Calls API on `subdomain`
+ * (default api.exotel.com; api.in.exotel.com for the Mumbai cluster). Recordings Exotel serves from S3 are public
+ * and fetched without credentials.
+ */
+function createExotelResolver(config = {}) {
+    const apiKey = config.apiKey || process.env.EXOTEL_API_KEY;
+    const apiToken = config.apiToken || process.env.EXOTEL_API_TOKEN;
+    const accountSid = config.accountSid || process.env.EXOTEL_ACCOUNT_SID;
+    const subdomain = config.subdomain || process.env.EXOTEL_SUBDOMAIN || 'api.exotel.com';
+    const authHeaders = apiKey && apiToken ? basicAuthHeaders(apiKey, apiToken) : {};
+
+    const withAuth = (url) => ({ url, headers: /(^|\.)exotel\.(com|in)$/i.test(new URL(url).hostname) ? authHeaders : {} });
+
+    return {
+        name: config.name || 'exotel',
+        type: 'exotel',
+        matches(value) {
+            if (accountSid && CALL_SID.test(value)) return true;
+            return /^https?:\/\/([^/]*\.)?exotel\.(com|in)\//i.test(value) || /^https?:\/\/[^/]*amazonaws\.com\/exotelrecordings\//i.test(value);
+        },
+        async resolve(value) {
+            if (!CALL_SID.test(value)) return withAuth(value);
+
+            if (!apiKey || !apiToken) throw new Error('Looking up an Exotel Call SID needs EXOTEL_API_KEY and EXOTEL_API_TOKEN');
+            let response;
+            try {
+                response = await exotelHttp.request({ method: 'get', url: `https://${subdomain}/v1/Accounts/${accountSid}/Calls/${value}.json`, headers: authHeaders, timeout: 30000 }, { bucket: accountSid });
+            } catch (error) {
+                throw new Error(`Failed to look up Exotel call ${value}: ${error.response ? `HTTP ${error.response.status}` : error.message}`, { cause: error });
+            }
+            const recordingUrl = response.data?.Call?.RecordingUrl;
+            if (!recordingUrl) throw new Error(`Exotel call ${value} has no recording`);
+            return withAuth(recordingUrl);
+        },
+    };
+}
+
+module.exports = { createExotelResolver };
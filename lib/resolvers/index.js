@@ -0,0 +1,117 @@
+const fs = require('fs');
+
+const { createKnowlarityResolver } = require('./knowlarity');
+const { createDirectResolver } = require('./direct');
+const { createTwilioResolver } = require('./twilio');
+const { createExotelResolver } = require('./exotel');
+const { createS3Resolver } = require('./s3');
+
+/**
+ * Recording-source resolver registry: turns the value of the record's recording field into something to download.
+ *
+ * Every resolver exposes:
+ *   matches(value)                                    -> whether it handles this field value
+ *   resolve(value, { recordId, requestId, tenant, field }) -> { url, headers? }
+ *
+ * Resolvers are tried in order and the first match wins. Built-ins, in their default order: `s3` (s3://bucket/key),
+ * `twilio`, `exotel`, `knowlarity` (phonebridge URLs and UUIDs) and `direct` (any other http(s) URL).
+ * RECORDING_RESOLVERS_FILE names a JSON file that adds resolvers or reconfigures built-ins:
+ *   {
+ *     "order": ["nas", "s3", "twilio", "knowlarity", "direct"],
+ *     "resolvers": {
+ *       "nas": { "type": "direct", "match": "^https://recordings\\.example\\.com/", "username": "svc", "passwordEnv": "NAS_PASSWORD" },
+ *       "twilio": { "apiKeySid": "SK...", "apiKeySecretEnv": "TWILIO_SECRET" }
+ *     }
+ *   }
+ * `match` (a regex, case-insensitive) replaces the resolver's own pattern. Any setting can be given as "<name>Env"
+ * naming the env var that holds it. RECORDING_RESOLVERS (comma-separated) overrides the order; resolvers left out are off.
+ */
+
+const FACTORIES = {
+    s3: createS3Resolver,
+    twilio: createTwilioResolver,
+    exotel: createExotelResolver,
+    knowlarity: createKnowlarityResolver,
+    direct: createDirectResolver,
+};
+const BUILTIN_ORDER = Object.keys(FACTORIES);
+
+let resolvers = null;
+
+function loadConfigFile() {
+    const configPath = process.env.RECORDING_RESOLVERS_FILE;
+    return configPath ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+}
+
+function withSecrets(config) {
+    const resolved = {};
+    for (const [key, value] of Object.entries(config)) {
+        if (key.endsWith('Env')) resolved[key.slice(0, -3)] = process.env[value];
+        else if (resolved[key] === undefined) resolved[key] = value;
+    }
+    return resolved;
+}
+
+function buildResolver(name, config) {
+    const type = config.type || name;
+    const factory = FACTORIES[type];
+    if (!factory) throw new Error(`Recording resolver '${name}' has unknown type '${type}'. Expected one of: ${BUILTIN_ORDER.join(', ')}`);
+
+    const resolver = factory({ ...config, name });
+    if (!config.match) return resolver;
+
+    let pattern;
+    try {
+        pattern = new RegExp(config.match, 'i');
+    } catch (e) {
+        throw new Error(`Recording resolver '${name}' has an invalid match pattern: ${e.message}`);
+    }
+    return { ...resolver, matches: (value) => pattern.test(value) };
+}
+
+/**
+ * The configured resolvers, in the order they are tried.
+ */
+function getRecordingResolvers() {
+    if (resolvers) return resolvers;
+
+    const file = loadConfigFile();
+    const configs = Object.fromEntries(BUILTIN_ORDER.map((name) => [name, {}]));
+    for (const [name, config] of Object.entries(file.resolvers || {})) configs[name] = withSecrets({ ...configs[name], ...config });
+
+    const custom = Object.keys(configs).filter((name) => !BUILTIN_ORDER.includes(name));
+    const order = process.env.RECORDING_RESOLVERS
+        ? process.env.RECORDING_RESOLVERS.split(',').map((name) => name.trim()).filter(Boolean)
+        : file.order || [...custom, ...BUILTIN_ORDER];
+    const unknown = order.filter((name) => !configs[name]);
+    if (unknown.length) throw new Error(`Unknown recording resolver(s): ${unknown.join(', ')}. Available: ${Object.keys(configs).join(', ')}`);
+
+    resolvers = order.map((name) => buildResolver(name, configs[name]));
+    return resolvers;
+}
+
+/**
+ * Pick the resolver for a recording field value. `configured` (a tenant's recordingResolver) is used as is.
+ * `requested` (a request's recordingResolver) is only used when that resolver handles the value, so a caller
+ * can't route a URL of their choosing through a resolver that adds credentials. Otherwise the first match wins.
+ */
+function selectRecordingResolver(value, { configured, requested } = {}) {
+    const available = getRecordingResolvers();
+    const byName = (name) => {
+        const resolver = available.find((r) => r.name === name);
+        if (!resolver) throw new Error(`Unknown recording resolver '${name}'. Available: ${available.map((r) => r.name).join(', ')}`);
+        return resolver;
+    };
+    if (requested) {
+        const resolver = byName(requested);
+        if (!resolver.matches(value)) throw new Error(`Recording resolver '${requested}' does not handle this recording. Leave recordingResolver out to pick one by pattern.`);
+        return resolver;
+    }
+    if (configured) return byName(configured);
+
+    const resolver = available.find((r) => r.matches(value));
+    if (!resolver) throw new Error(`No recording resolver matches '${value}'. Tried: ${available.map((r) => r.name).join(', ')}`);
+    return resolver;
+}
+
+module.exports = { getRecordingResolvers, selectRecordingResolver };
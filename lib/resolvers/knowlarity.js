@@ -0,0 +1,31 @@
+const { extractUuid, fetchKnowlarityRecordingUrl } = require('../knowlarity');
+const { timeStage } = require('../metrics');
+const { createLogger } = require('../logger');
+
+const log = createLogger('recording');
+
+/**
+ * Phonebridge URLs (they need a Zoho session to download) and raw UUIDs / recording paths: the call UUID is
+ * looked up in Knowlarity for its secured_recording_url, with the tenant's Knowlarity credentials.
+ */
+function createKnowlarityResolver(config = {}) {
+    return {
+        name: config.name || 'knowlarity',
+        type: 'knowlarity',
+        matches(value) {
+            return value.includes('phonebridge.zoho.com') || !/^https?:\/\//i.test(value);
+        },
+        async resolve(value, { requestId, tenant, field }) {
+            const uuid = extractUuid(value);
+            if (!uuid) {
+                throw new Error(`Could not extract recording ID from ${field}: ${value}. Expected UUID or /recording/{id} format.`);
+            }
+            log.debug('Extracted recording ID', { uuid });
+
+            const url = await timeStage('knowlarity_lookup', () => fetchKnowlarityRecordingUrl(uuid, requestId, tenant.knowlarity));
+            return { url };
+        },
+    };
+}
+
+module.exports = { createKnowlarityResolver };
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// RFC 3986 encoding as SigV4 expects it (encodeURIComponent leaves !'()* alone)
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Presign a GET for `url` with AWS Signature Version 4 (query-string auth), valid for `expiresSeconds`.
+ */
+function presignUrl(url, { region, accessKeyId, secretAccessKey, sessionToken, expiresSeconds }, now = new Date()) {
+    const parsed = new URL(url);
+    const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+    const params = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${scope}`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(expiresSeconds),
+        'X-Amz-SignedHeaders': 'host',
+        ...(sessionToken ? { 'X-Amz-Security-Token': sessionToken } : {}),
+    };
+    const query = Object.keys(params)
+        .sort()
+        .map((key) => `${encode(key)}=${encode(params[key])}`)
+        .join('&');
+    const canonicalUri = parsed.pathname.split('/').map((segment) => encode(decodeURIComponent(segment))).join('/');
+    const canonicalRequest = ['GET', canonicalUri, query, `host:${parsed.host}`, '', 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    return `${parsed.origin}${canonicalUri}?${query}&X-Amz-Signature=${signature}`;
+}
+
+/**
+ * Recordings in S3 or an S3-compatible store (MinIO, R2, Wasabi...), given as `s3://bucket/key`. With credentials a
+ * presigned URL is generated; without them the object URL is used as is (public buckets). `endpoint` selects an
+ * S3-compatible service and switches to path-style URLs unless `forcePathStyle` is false.
+ * A configured instance with its own `match` pattern can also presign https object URLs.
+ */
+function createS3Resolver(config = {}) {
+    const region = config.region || process.env.S3_REGION || 'us-east-1';
+    const endpoint = (config.endpoint || process.env.S3_ENDPOINT || '').replace(/\/$/, '');
+    const forcePathStyle = config.forcePathStyle ?? (process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : !!endpoint);
+    const credentials = {
+        region,
+        accessKeyId: config.accessKeyId || process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: config.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY,
+        sessionToken: config.sessionToken || process.env.S3_SESSION_TOKEN,
+        expiresSeconds: Number(config.expiresSeconds || process.env.S3_PRESIGN_EXPIRES_SECONDS || 900),
+    };
+
+    const objectUrl = (bucket, key) => {
+        const base = endpoint || `https://s3.${region}.amazonaws.com`;
+        if (forcePathStyle) return `${base}/${bucket}/${key}`;
+        const { protocol, host } = new URL(base);
+        return `${protocol}//${bucket}.${host}/${key}`;
+    };
+
+    return {
+        name: config.name || 's3',
+        type: 's3',
+        matches(value) {
+            return /^s3:\/\/[^/]+\/.+/i.test(value);
+        },
+        async resolve(value) {
+            const s3Match = value.match(/^s3:\/\/([^/]+)\/(.+)$/i);
+            const url = s3Match ? objectUrl(s3Match[1], s3Match[2]) : value;
+            if (!credentials.accessKeyId || !credentials.secretAccessKey) return { url };
+            return { url: presignUrl(url, credentials) };
+        },
+    };
+}
+
+module.exports = { createS3Resolver, presignUrl };
@@ -0,0 +1,38 @@
+const { basicAuthHeaders } = require('./direct');
+
+const RECORDING_SID = /^RE[0-9a-f]{32}$/i;
+
+/**
+ * Twilio recordings: a Recording SID (RE...) or an api.twilio.com recording URL. Media is fetched with HTTP basic auth,
+ * using an API key (`apiKeySid` / `apiKeySecret`) or the account SID and auth token; without credentials the URL is
+ * fetched as is, which works when the account doesn't enforce auth for media. Credentials are only sent over https to
+ * Twilio's own hosts, whatever URL reached the resolver. URLs without an extension get `format` (default mp3) so
+ * Twilio doesn't send the larger WAV.
+ */
+function createTwilioResolver(config = {}) {
+    const accountSid = config.accountSid || process.env.TWILIO_ACCOUNT_SID;
+    const username = config.apiKeySid || process.env.TWILIO_API_KEY_SID || accountSid;
+    const password = config.apiKeySecret || process.env.TWILIO_API_KEY_SECRET || config.authToken || process.env.TWILIO_AUTH_TOKEN;
+    const format = config.format || 'mp3';
+
+    return {
+        name: config.name || 'twilio',
+        type: 'twilio',
+        matches(value) {
+            return RECORDING_SID.test(value) || /^https:\/\/api\.twilio\.com\/.*\/Recordings\/RE[0-9a-f]{32}/i.test(value);
+        },
+        async resolve(value) {
+            let url = value;
+            if (RECORDING_SID.test(value)) {
+                if (!accountSid) throw new Error('A Twilio Recording SID needs TWILIO_ACCOUNT_SID (or accountSid in the resolver config) to build the media URL');
+                url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Recordings/${value}`;
+            }
+            const parsed = new URL(url);
+            if (!/\.\w+$/.test(parsed.pathname)) parsed.pathname += `.${format}`;
+            const isTwilio = parsed.protocol === 'https:' && /(^|\.)twilio\.com$/i.test(parsed.hostname);
+            return { url: parsed.toString(), headers: password && isTwilio ? basicAuthHeaders(username, password) : {} };
+        },
+    };
+}
+
+module.exports = { createTwilioResolver };
@@ -0,0 +1,66 @@
+const { updateZohoRecord } = require('./zoho');
+const { createLogger } = require('./logger');
+
+const log = createLogger('status');
+
+/**
+ * Transcription status kept on the Zoho record, so a call that failed doesn't just look untranscribed:
+ * - status (ZOHO_STATUS_FIELD): Pending (waiting for a retry), Processing, Completed, Failed or Skipped (no speech)
+ * - error (ZOHO_STATUS_ERROR_FIELD): why the last run failed; cleared on success
+ * - transcribedAt (ZOHO_TRANSCRIBED_AT_FIELD): when the transcript was written
+ * Each is off until it is named, in the env or as `status` / `statusError` / `transcribedAt` in the tenant's `fields`.
+ */
+
+const RECORD_STATUSES = {
+    pending: 'Pending',
+    processing: 'Processing',
+    completed: 'Completed',
+    failed: 'Failed',
+    skipped: 'Skipped',
+};
+
+// Short enough for a single-line field
+const MAX_ERROR_CHARS = 255;
+
+function getStatusFieldNames(tenant) {
+    const field = (key, name) => String(tenant.fields[key] ?? process.env[name] ?? '').trim();
+    return {
+        status: field('status', 'ZOHO_STATUS_FIELD'),
+        error: field('statusError', 'ZOHO_STATUS_ERROR_FIELD'),
+        transcribedAt: field('transcribedAt', 'ZOHO_TRANSCRIBED_AT_FIELD'),
+    };
+}
+
+// Zoho datetime fields take seconds precision with an explicit offset
+const toZohoDateTime = (date) => date.toISOString().replace(/\.\d{3}Z$/, '+00:00');
+
+/**
+ * Status field values for `status` (a key of RECORD_STATUSES). Only configured fields are included.
+ */
+function buildStatusFields(tenant, status, { error = null, at = new Date() } = {}) {
+    const names = getStatusFieldNames(tenant);
+    const fields = {};
+    if (names.status) fields[names.status] = RECORD_STATUSES[status];
+    if (names.error) fields[names.error] = error ? String(error).slice(0, MAX_ERROR_CHARS) : null;
+    if (names.transcribedAt && status === 'completed') fields[names.transcribedAt] = toZohoDateTime(at);
+    return fields;
+}
+
+/**
+ * Write the status fields of `record` ({ module, recordId }). Best effort: a failed write is logged and never
+ * fails the run it describes. Returns true when something was written.
+ */
+async function writeRecordStatus(record, status, { error, requestId, tenant }) {
+    const fields = buildStatusFields(tenant, status, { error });
+    if (!record?.module || !record.recordId || !Object.keys(fields).length) return false;
+    try {
+        await updateZohoRecord(record.module, record.recordId, fields, { requestId, optionalFields: Object.keys(fields), tenant });
+        log.info('Record status updated', { module: record.module, recordId: record.recordId, status: RECORD_STATUSES[status] });
+        return true;
+    } catch (e) {
+        log.warn('Could not update the record status', { module: record.module, recordId: record.recordId, status: RECORD_STATUSES[status], err: e });
+        return false;
+    }
+}
+
+module.exports = { buildStatusFields, writeRecordStatus, RECORD_STATUSES };
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('store');
+
+/**
+ * Directory for locally persisted state (jobs, caches, checkpoints).
+ * Override with DATA_DIR; on Azure point it at /home/data so it survives restarts.
+ */
+function getDataDir() {
+    return process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+}
+
+function getDataPath(fileName) {
+    return path.join(getDataDir(), fileName);
+}
+
+/**
+ * Read a JSON file from the data directory. Returns `fallback` when the file
+ * is missing or unreadable (a corrupt file is renamed aside so it is not lost).
+ */
+function readJson(fileName, fallback) {
+    const filePath = getDataPath(fileName);
+    if (!fs.existsSync(filePath)) return fallback;
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+        log.error('Could not parse data file. Moving it aside', { path: filePath, movedTo: corruptPath, err: e });
+        try {
+            fs.renameSync(filePath, corruptPath);
+        } catch {
+            // ignore - we'll overwrite on next save
+        }
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON file atomically (temp file + rename) so a crash mid-write
+ * never leaves a truncated file behind.
+ */
+function writeJson(fileName, data) {
+    const filePath = getDataPath(fileName);
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+function removeFile(fileName) {
+    const filePath = getDataPath(fileName);
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+}
+
+module.exports = { getDataDir, getDataPath, readJson, writeJson, removeFile };
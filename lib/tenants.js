@@ -0,0 +1,142 @@
+const fs = require('fs');
+
+const { validateAnalysisFieldMap } = require('./analysis');
+const { parseTemplateRules } = require('./analysisTemplates');
+const { createLogger } = require('./logger');
+
+const log = createLogger('tenants');
+
+/**
+ * Zoho org (tenant) registry.
+ *
+ * Without configuration there is a single tenant, `default`, built from the ZOHO_* and KNOWLARITY_* env vars.
+ * To serve several orgs from one deployment, point TENANTS_CONFIG_FILE at a JSON file:
+ *   {
+ *     "default": "india",
+ *     "tenants": {
+ *       "india": {
+ *         "zoho": { "dataCenter": "in", "clientId": "...", "clientSecretEnv": "ZOHO_IN_CLIENT_SECRET", "refreshTokenEnv": "ZOHO_IN_REFRESH_TOKEN" },
+ *         "knowlarity": { "apiKeyEnv": "KN_IN_API_KEY", "authTokenEnv": "KN_IN_AUTH_TOKEN" },
+ *         "fields": { "module": "Calls", "recordingField": "Voice_Recording__s", "transcript": "Description" },
+ *         "analysisFieldMap": { "text": "AI_Analysis" },
+ *         "analysisTemplateRules": [{ "when": { "Call_Type": "Inbound" }, "template": "service" }]
+ *       }
+ *     }
+ *   }
+ * Any credential can be given inline or as "<name>Env" naming the env var that holds it.
+ * `dataCenter` fills in the accounts URL and API domain; `accountsUrl` / `apiDomain` override them.
+ */
+
+const DEFAULT_TENANT = 'default';
+
+const DATA_CENTERS = {
+    com: { accountsUrl: 'https://accounts.zoho.com', apiDomain: 'https://www.zohoapis.com' },
+    eu: { accountsUrl: 'https://accounts.zoho.eu', apiDomain: 'https://www.zohoapis.eu' },
+    in: { accountsUrl: 'https://accounts.zoho.in', apiDomain: 'https://www.zohoapis.in' },
+    au: { accountsUrl: 'https://accounts.zoho.com.au', apiDomain: 'https://www.zohoapis.com.au' },
+    jp: { accountsUrl: 'https://accounts.zoho.jp', apiDomain: 'https://www.zohoapis.jp' },
+    ca: { accountsUrl: 'https://accounts.zohocloud.ca', apiDomain: 'https://www.zohoapis.ca' },
+    sa: { accountsUrl: 'https://accounts.zoho.sa', apiDomain: 'https://www.zohoapis.sa' },
+    cn: { accountsUrl: 'https://accounts.zoho.com.cn', apiDomain: 'https://www.zohoapis.com.cn' },
+};
+
+let registry = null;
+
+/**
+ * Read `key` from a config section, or the env var named by `<key>Env`.
+ */
+function secret(section, key) {
+    if (!section) return undefined;
+    return section[`${key}Env`] ? process.env[section[`${key}Env`]] : section[key];
+}
+
+function buildTenant(name, config) {
+    const zoho = config.zoho || {};
+    const dataCenter = zoho.dataCenter ? DATA_CENTERS[String(zoho.dataCenter).toLowerCase()] : null;
+    if (zoho.dataCenter && !dataCenter) {
+        throw new Error(`Tenant '${name}' has unknown Zoho dataCenter '${zoho.dataCenter}'. Expected one of: ${Object.keys(DATA_CENTERS).join(', ')}`);
+    }
+    if (config.analysisFieldMap) validateAnalysisFieldMap(config.analysisFieldMap, `Tenant '${name}' analysisFieldMap`);
+    const analysisTemplateRules = config.analysisTemplateRules ? parseTemplateRules(config.analysisTemplateRules, `Tenant '${name}' analysisTemplateRules`) : null;
+
+    return {
+        name,
+        zoho: {
+            clientId: secret(zoho, 'clientId'),
+            clientSecret: secret(zoho, 'clientSecret'),
+            refreshToken: secret(zoho, 'refreshToken'),
+            accountsUrl: zoho.accountsUrl || dataCenter?.accountsUrl || DATA_CENTERS.com.accountsUrl,
+            apiDomain: zoho.apiDomain || dataCenter?.apiDomain,
+        },
+        knowlarity: {
+            baseUrl: config.knowlarity?.baseUrl,
+            apiKey: secret(config.knowlarity, 'apiKey'),
+            authToken: secret(config.knowlarity, 'authToken'),
+        },
+        fields: config.fields || {},
+        analysisFieldMap: config.analysisFieldMap || null,
+        analysisTemplateRules,
+    };
+}
+
+/**
+ * The single-org setup from the environment (the behaviour before tenants existed).
+ * Built on every call so env changes (tests, dotenv) are picked up like everywhere else.
+ */
+function tenantFromEnv() {
+    return {
+        name: DEFAULT_TENANT,
+        zoho: {
+            clientId: process.env.ZOHO_CLIENT_ID,
+            clientSecret: process.env.ZOHO_CLIENT_SECRET,
+            refreshToken: process.env.ZOHO_REFRESH_TOKEN,
+            accountsUrl: process.env.ZOHO_ACCOUNTS_URL || DATA_CENTERS.com.accountsUrl,
+            apiDomain: process.env.ZOHO_API_DOMAIN,
+        },
+        knowlarity: {
+            baseUrl: process.env.KNOWLARITY_BASE_URL,
+            apiKey: process.env.KNOWLARITY_API_KEY,
+            authToken: process.env.KNOWLARITY_AUTH_TOKEN,
+        },
+        fields: {},
+        analysisFieldMap: null,
+        analysisTemplateRules: null,
+    };
+}
+
+function loadRegistry() {
+    if (registry) return registry;
+    const configPath = process.env.TENANTS_CONFIG_FILE;
+    if (!configPath) return null;
+
+    const file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const tenants = new Map(Object.entries(file.tenants || {}).map(([name, config]) => [name, buildTenant(name, config)]));
+    if (!tenants.size) throw new Error(`TENANTS_CONFIG_FILE ${configPath} declares no tenants`);
+
+    const defaultName = file.default || tenants.keys().next().value;
+    if (!tenants.has(defaultName)) throw new Error(`TENANTS_CONFIG_FILE default tenant '${defaultName}' is not declared`);
+    registry = { tenants, defaultName };
+    log.info('Loaded tenants', { count: tenants.size, file: configPath, default: defaultName });
+    return registry;
+}
+
+/**
+ * Resolve a tenant by name; no name gives the default tenant. Throws for unknown names.
+ */
+function getTenant(name) {
+    const loaded = loadRegistry();
+    if (!loaded) {
+        if (name && name !== DEFAULT_TENANT) throw new Error(`Unknown tenant '${name}'. Set TENANTS_CONFIG_FILE to serve multiple Zoho orgs.`);
+        return tenantFromEnv();
+    }
+    const tenant = loaded.tenants.get(name || loaded.defaultName);
+    if (!tenant) throw new Error(`Unknown tenant '${name}'. Configured: ${[...loaded.tenants.keys()].join(', ')}`);
+    return tenant;
+}
+
+function listTenantNames() {
+    const loaded = loadRegistry();
+    return loaded ? [...loaded.tenants.keys()] : [DEFAULT_TENANT];
+}
+
+module.exports = { getTenant, listTenantNames, DATA_CENTERS, DEFAULT_TENANT };
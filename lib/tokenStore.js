@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+const { readJson, writeJson } = require('./store');
+const { createLogger } = require('./logger');
+
+const log = createLogger('tokenStore');
+
+/**
+ * Optional on-disk cache of Zoho access tokens, so restarts and extra instances sharing DATA_DIR
+ * reuse a valid token instead of refreshing again (Zoho rate-limits refresh calls).
+ *
+ * Enabled by ZOHO_TOKEN_STORE_KEY. Tokens are encrypted with AES-256-GCM using a key derived from it,
+ * and each entry records a fingerprint of the tenant's client ID + refresh token, so entries written for
+ * other credentials are ignored.
+ */
+
+const TOKEN_FILE = 'zoho-tokens.json';
+
+function getStoreKey() {
+    const secret = process.env.ZOHO_TOKEN_STORE_KEY;
+    return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+}
+
+function credentialFingerprint(zoho) {
+    return crypto.createHash('sha256').update(`${zoho.clientId}:${zoho.refreshToken}`).digest('hex').slice(0, 16);
+}
+
+function encrypt(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+function decrypt(key, { iv, tag, data }) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Stored { accessToken, expiryTime } for the tenant, or null when missing, expired, written for
+ * other credentials or not decryptable with the current key.
+ */
+function loadStoredToken(tenant) {
+    const key = getStoreKey();
+    if (!key) return null;
+    const entry = readJson(TOKEN_FILE, {})[tenant.name];
+    if (!entry || entry.fingerprint !== credentialFingerprint(tenant.zoho) || entry.expiryTime <= Date.now()) return null;
+    try {
+        return { accessToken: decrypt(key, entry), expiryTime: entry.expiryTime };
+    } catch {
+        log.warn('Stored Zoho token could not be decrypted (ZOHO_TOKEN_STORE_KEY changed?). Ignoring it', { tenant: tenant.name });
+        return null;
+    }
+}
+
+function saveStoredToken(tenant, { accessToken, expiryTime }) {
+    const key = getStoreKey();
+    if (!key) return;
+    try {
+        const tokens = readJson(TOKEN_FILE, {});
+        tokens[tenant.name] = { fingerprint: credentialFingerprint(tenant.zoho), expiryTime, ...encrypt(key, accessToken) };
+        writeJson(TOKEN_FILE, tokens);
+    } catch (e) {
+        log.error('Failed to persist Zoho token', { tenant: tenant.name, err: e });
+    }
+}
+
+/**
+ * Remove the stored token, but only if it is still `accessToken` (another instance may have replaced it).
+ */
+function removeStoredToken(tenant, accessToken) {
+    const key = getStoreKey();
+    if (!key) return;
+    try {
+        const tokens = readJson(TOKEN_FILE, {});
+        const entry = tokens[tenant.name];
+        if (!entry) return;
+        if (accessToken) {
+            let stored = null;
+            try {
+                stored = decrypt(key, entry);
+            } catch {
+                // undecryptable entries are useless anyway
+            }
+            if (stored && stored !== accessToken) return;
+        }
+        delete tokens[tenant.name];
+        writeJson(TOKEN_FILE, tokens);
+    } catch (e) {
+        log.error('Failed to remove stored Zoho token', { tenant: tenant.name, err: e });
+    }
+}
+
+module.exports = { loadStoredToken, saveStoredToken, removeStoredToken };
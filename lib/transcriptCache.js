@@ -0,0 +1,74 @@
+const { readJson, writeJson, removeFile } = require('./store');
+const { createLogger } = require('./logger');
+
+const log = createLogger('transcriptCache');
+
+const CACHE_DIR = 'transcript-cache';
+
+// Call_Record_ID -> pending pipeline promise, so concurrent redeliveries share one run
+const inFlight = new Map();
+
+function cacheFileName(recordId, audioHash) {
+    const safeId = String(recordId).replace(/[^A-Za-z0-9_-]/g, '_');
+    return `${CACHE_DIR}/${safeId}_${audioHash}.json`;
+}
+
+function isCacheEnabled() {
+    return (process.env.TRANSCRIPT_CACHE_ENABLED || 'true').toLowerCase() === 'true';
+}
+
+/**
+ * Look up a previous result for this record + recording. Entries older than
+ * TRANSCRIPT_CACHE_TTL_DAYS (default 30) are treated as misses and removed.
+ */
+function getCachedTranscript(recordId, audioHash) {
+    if (!isCacheEnabled()) return null;
+
+    const fileName = cacheFileName(recordId, audioHash);
+    const entry = readJson(fileName, null);
+    if (!entry) return null;
+
+    const ttlMs = Number(process.env.TRANSCRIPT_CACHE_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+    if (Date.now() - new Date(entry.cachedAt).getTime() > ttlMs) {
+        try {
+            removeFile(fileName);
+        } catch {
+            // ignore - stale entry will be overwritten on next save
+        }
+        return null;
+    }
+    return entry;
+}
+
+function saveCachedTranscript(recordId, audioHash, data) {
+    if (!isCacheEnabled()) return;
+    try {
+        writeJson(cacheFileName(recordId, audioHash), {
+            recordId,
+            audioHash,
+            ...data,
+            cachedAt: new Date().toISOString(),
+        });
+    } catch (e) {
+        log.error('Failed to write transcript cache', { recordId, err: e });
+    }
+}
+
+function getInFlight(recordId) {
+    return inFlight.get(String(recordId)) || null;
+}
+
+/**
+ * Register a pending run for a record; the entry is removed once it settles.
+ */
+function trackInFlight(recordId, promise) {
+    const key = String(recordId);
+    inFlight.set(key, promise);
+    promise.then(
+        () => inFlight.delete(key),
+        () => inFlight.delete(key)
+    );
+    return promise;
+}
+
+module.exports = { getCachedTranscript, saveCachedTranscript, getInFlight, trackInFlight };
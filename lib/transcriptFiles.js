@@ -0,0 +1,84 @@
+/**
+ * Timestamped transcript files (TXT / SRT / VTT) built from transcription segments.
+ * Speaker-separated segments are prefixed with their label ("Agent: ...").
+ */
+
+const TRANSCRIPT_FILE_FORMATS = ['txt', 'srt', 'vtt'];
+
+const CONTENT_TYPES = {
+    txt: 'text/plain; charset=utf-8',
+    srt: 'application/x-subrip; charset=utf-8',
+    vtt: 'text/vtt; charset=utf-8',
+};
+
+/**
+ * Formats to attach, from the request (array or comma-separated string) or TRANSCRIPT_ATTACHMENTS.
+ * Empty (the default) attaches nothing.
+ */
+function resolveAttachmentFormats(requested) {
+    const raw = requested ?? process.env.TRANSCRIPT_ATTACHMENTS ?? '';
+    const list = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map((f) => String(f).trim().toLowerCase())
+        .filter((f) => f && f !== 'none');
+    const unknown = list.filter((f) => !TRANSCRIPT_FILE_FORMATS.includes(f));
+    if (unknown.length) {
+        throw new Error(`Invalid transcript attachment format(s): ${unknown.join(', ')}. Expected: ${TRANSCRIPT_FILE_FORMATS.join(', ')}`);
+    }
+    return [...new Set(list)];
+}
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+/**
+ * Seconds -> "HH:MM:SS,mmm" (SRT) or "HH:MM:SS.mmm" (VTT).
+ */
+function formatTimestamp(seconds, separator = ',') {
+    const totalMs = Math.max(0, Math.round((Number(seconds) || 0) * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Cues from the transcription result. Providers that return plain text only get a single cue spanning the recording.
+ */
+function toCues(result) {
+    const segments = (result.segments || []).filter((s) => (s.text || '').trim());
+    if (segments.length) {
+        return segments.map((s) => ({ start: s.start, end: s.end, text: `${s.speaker ? `${s.speaker}: ` : ''}${s.text.trim()}` }));
+    }
+    return [{ start: 0, end: result.duration || 0, text: (result.text || '').trim() }];
+}
+
+function buildTxt(cues) {
+    return cues.map((c) => `[${formatTimestamp(c.start, '.').slice(0, 8)}] ${c.text}`).join('\n') + '\n';
+}
+
+function buildSrt(cues) {
+    return cues.map((c, i) => `${i + 1}\n${formatTimestamp(c.start)} --> ${formatTimestamp(c.end)}\n${c.text}\n`).join('\n');
+}
+
+function buildVtt(cues) {
+    return `WEBVTT\n\n${cues.map((c) => `${formatTimestamp(c.start, '.')} --> ${formatTimestamp(c.end, '.')}\n${c.text}\n`).join('\n')}`;
+}
+
+const BUILDERS = { txt: buildTxt, srt: buildSrt, vtt: buildVtt };
+
+/**
+ * Build the requested files for one transcription result ({ text, segments, duration }).
+ * Returns [{ fileName, format, contentType, content }].
+ */
+function buildTranscriptFiles(result, formats, baseName) {
+    const cues = toCues(result);
+    return formats.map((format) => ({
+        fileName: `${baseName}.${format}`,
+        format,
+        contentType: CONTENT_TYPES[format],
+        content: BUILDERS[format](cues),
+    }));
+}
+
+module.exports = { buildTranscriptFiles, resolveAttachmentFormats, formatTimestamp, buildSrt, buildVtt, buildTxt, TRANSCRIPT_FILE_FORMATS };
@@ -0,0 +1,177 @@
+const fs = require('fs');
+
+const { getChunkingConfig, splitAudioFileIfNeeded, mergeChunkTranscripts } = require('./chunking');
+const { getTranscriptionProvider } = require('./providers');
+const { splitSpeakerChannels, mergeSpeakerSegments } = require('./channels');
+const { mapWithConcurrency } = require('./utils');
+const { createLogger } = require('./logger');
+const { recordTranscribedAudio } = require('./metrics');
+
+const log = createLogger('transcription');
+
+const TRANSCRIPTION_MODES = ['translate', 'transcribe', 'both'];
+
+// Whisper reports the detected language by name; Zoho fields and reports want ISO 639-1 codes
+const LANGUAGE_CODES = {
+    english: 'en', hindi: 'hi', bengali: 'bn', marathi: 'mr', tamil: 'ta', telugu: 'te', kannada: 'kn',
+    malayalam: 'ml', gujarati: 'gu', punjabi: 'pa', urdu: 'ur', nepali: 'ne', sindhi: 'sd', assamese: 'as',
+    sinhala: 'si', arabic: 'ar', persian: 'fa', chinese: 'zh', japanese: 'ja', korean: 'ko', french: 'fr',
+    german: 'de', spanish: 'es', portuguese: 'pt', italian: 'it', russian: 'ru', indonesian: 'id', malay: 'ms',
+    thai: 'th', vietnamese: 'vi', turkish: 'tr', dutch: 'nl', swahili: 'sw',
+};
+
+function toLanguageCode(language) {
+    if (!language) return null;
+    const value = String(language).trim().toLowerCase();
+    if (/^[a-z]{2,3}$/.test(value)) return value;
+    return LANGUAGE_CODES[value] || value;
+}
+
+/**
+ * Resolve the transcription mode from the request (falls back to TRANSCRIPTION_MODE, default `translate`):
+ * - translate:  English translation only (the original behaviour)
+ * - transcribe: verbatim transcript in the spoken language only
+ * - both:       verbatim transcript and English translation
+ */
+function resolveTranscriptionMode(requested) {
+    const mode = String(requested || process.env.TRANSCRIPTION_MODE || 'translate').trim().toLowerCase();
+    if (!TRANSCRIPTION_MODES.includes(mode)) {
+        throw new Error(`Invalid transcriptionMode '${mode}'. Expected one of: ${TRANSCRIPTION_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+/**
+ * Run one pass over a recording, or over its chunks when splitAudioFileIfNeeded produced some.
+ * Leaves the chunk files in place; the caller removes them once every pass is done.
+ */
+async function runPass(filePath, chunks, { provider, task }) {
+    const runProvider = async (file) => {
+        const result = task === 'transcribe' ? await provider.transcribe(file) : await provider.translate(file);
+        recordTranscribedAudio({ provider: provider.name, model: provider.model, seconds: result.duration });
+        return result;
+    };
+
+    if (!chunks) {
+        const result = await runProvider(filePath);
+        return { ...result, chunkCount: 1, provider: provider.name };
+    }
+
+    const { concurrency } = getChunkingConfig();
+    const results = await mapWithConcurrency(chunks, concurrency, async (chunk, index) => {
+        log.debug('Transcribing chunk', { task, chunk: index + 1, of: chunks.length });
+        try {
+            const result = await runProvider(chunk.path);
+            return { ...chunk, ...result };
+        } catch (e) {
+            e.message = `Chunk ${index + 1}/${chunks.length} (${chunk.start.toFixed(1)}s - ${chunk.end.toFixed(1)}s) failed: ${e.message}`;
+            throw e;
+        }
+    });
+
+    const merged = mergeChunkTranscripts(results);
+    log.info('Merged chunk transcripts', { task, chunks: chunks.length, segmentCount: merged.segments.length });
+    return { ...merged, duration: chunks[chunks.length - 1].end, language: results[0].language, chunkCount: chunks.length, provider: provider.name };
+}
+
+function removeChunks(chunks) {
+    for (const chunk of chunks || []) {
+        try {
+            if (fs.existsSync(chunk.path)) fs.unlinkSync(chunk.path);
+        } catch (e) {
+            log.error('Failed to clean up chunk file', { path: chunk.path, err: e });
+        }
+    }
+}
+
+/**
+ * Run the transcription passes the mode asks for. Returns
+ * { english, original, language, segments, duration, chunkCount } where `english`/`original` are
+ * transcription results (or null when that pass didn't run) and `segments` come from the primary one.
+ * The recording is split once and both passes of `both` read the same chunk files, which are removed
+ * only after both have settled.
+ */
+async function transcribeForMode(filePath, format, requestId, { provider = getTranscriptionProvider(), mode }) {
+    const chunks = splitAudioFileIfNeeded(filePath, format, requestId);
+    let original;
+    let english;
+    try {
+        const settled = await Promise.allSettled([
+            mode === 'translate' ? null : runPass(filePath, chunks, { provider, task: 'transcribe' }),
+            mode === 'transcribe' ? null : runPass(filePath, chunks, { provider, task: 'translate' }),
+        ]);
+        const failed = settled.find((outcome) => outcome.status === 'rejected');
+        if (failed) throw failed.reason;
+        [original, english] = settled.map((outcome) => outcome.value);
+    } finally {
+        removeChunks(chunks);
+    }
+
+    const primary = english || original;
+    return {
+        english,
+        original,
+        language: toLanguageCode(original?.language),
+        segments: primary.segments,
+        duration: primary.duration,
+        chunkCount: primary.chunkCount,
+    };
+}
+
+/**
+ * Transcribe a call recording. When `separateSpeakers` is set and the recording is dual-channel,
+ * each channel is transcribed on its own and the segments are interleaved into an
+ * `Agent:` / `Customer:` labelled transcript. Mono recordings get the plain transcript.
+ * Returns the same shape as transcribeForMode plus `speakerSeparated`; `english`/`original`
+ * are { text, segments } where segments carry a `speaker` when separated.
+ */
+async function transcribeRecording(filePath, format, requestId, { provider, mode, separateSpeakers }) {
+    const channels = separateSpeakers ? await splitSpeakerChannels(filePath, format, requestId) : null;
+    if (!channels) {
+        return { ...(await transcribeForMode(filePath, format, requestId, { provider, mode })), speakerSeparated: false };
+    }
+
+    try {
+        const perChannel = [];
+        for (const channel of channels) {
+            log.debug('Transcribing channel', { speaker: channel.speaker });
+            perChannel.push({ ...channel, result: await transcribeForMode(channel.path, 'wav', requestId, { provider, mode }) });
+        }
+
+        // Providers that return plain text (no segments) still get a label, as one block per speaker
+        const combine = (pass) => {
+            if (!perChannel[0].result[pass]) return null;
+            return mergeSpeakerSegments(perChannel.map(({ speaker, result }) => {
+                const passResult = result[pass];
+                const segments = passResult.segments?.length ? passResult.segments : [{ start: 0, end: passResult.duration || 0, text: passResult.text }];
+                return { speaker, segments };
+            }));
+        };
+        const english = combine('english');
+        const original = combine('original');
+        const primary = english || original;
+
+        // The customer usually speaks the regional language; the agent may answer in English
+        const customer = perChannel.find((c) => c.role === 'customer' && c.result.language) || perChannel.find((c) => c.result.language);
+
+        return {
+            english,
+            original,
+            language: customer?.result.language || null,
+            segments: primary.segments,
+            duration: Math.max(...perChannel.map((c) => c.result.duration || 0)),
+            chunkCount: perChannel.reduce((sum, c) => sum + (c.result.chunkCount || 1), 0),
+            speakerSeparated: true,
+        };
+    } finally {
+        for (const channel of channels) {
+            try {
+                if (fs.existsSync(channel.path)) fs.unlinkSync(channel.path);
+            } catch (e) {
+                log.error('Failed to clean up channel file', { path: channel.path, err: e });
+            }
+        }
+    }
+}
+
+module.exports = { transcribeForMode, transcribeRecording, resolveTranscriptionMode, toLanguageCode, TRANSCRIPTION_MODES };
@@ -0,0 +1,73 @@
+const multer = require('multer');
+const { TOKEN_QUERY_PARAM } = require('./auth');
+const { createLogger } = require('./logger');
+
+const log = createLogger('upload');
+
+const FILE_FIELDS = ['file', 'audio', 'recording'];
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+// Form bodies are kept in memory; a request carries at most one recording
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fieldSize: MAX_UPLOAD_BYTES, fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
+
+/**
+ * Multipart parser for POST /transcribe. A second file or one over the size limit is answered here with a 400
+ * instead of reaching the error handler as a 500.
+ */
+function receiveUpload(req, res, next) {
+    upload.any()(req, res, (error) => {
+        if (!(error instanceof multer.MulterError)) return next(error);
+        const message = error.code === 'LIMIT_FILE_COUNT' ? 'Send one recording per request' : error.message;
+        log.warn('Request rejected: bad upload', { reason: message, code: error.code });
+        res.status(400).json({ error: 'Bad Request', message, code: error.code, requestId: req.requestId });
+    });
+}
+
+/**
+ * Decode base64 audio, bare or as a data: URL. Returns { buffer, contentType }.
+ */
+function decodeBase64Audio(value) {
+    const dataUrl = /^data:([^;,]+)?(?:;[^,]*)?;base64,/i.exec(value);
+    const payload = dataUrl ? value.slice(dataUrl[0].length) : value;
+    if (!/^[A-Za-z0-9+/_=\s-]+$/.test(payload)) throw new Error('`audio` is not valid base64');
+    const buffer = Buffer.from(payload, 'base64');
+    if (!buffer.length) throw new Error('`audio` is empty');
+    return { buffer, contentType: dataUrl?.[1] || '' };
+}
+
+/**
+ * Audio and options for POST /transcribe, from any of:
+ * - multipart/form-data: the file in `file`, `audio` or `recording`, options as form fields
+ * - a raw application/octet-stream or audio/* body: options in the query string (minus the webhook token), the file name in the
+ *   X-File-Name header or `?fileName=`
+ * - JSON: { "audio": "<base64 or data: URL>", "fileName": "...", "contentType": "...", ...options }
+ * Returns { audio: { buffer, fileName, contentType }, fields }. Throws when there is no usable audio.
+ */
+function parseUploadRequest(req) {
+    if (Array.isArray(req.files) && req.files.length) {
+        const file = req.files.find((f) => FILE_FIELDS.includes(f.fieldname)) || req.files[0];
+        if (!file.size) throw new Error(`Uploaded file '${file.originalname}' is empty`);
+        return { audio: { buffer: file.buffer, fileName: file.originalname || '', contentType: file.mimetype || '' }, fields: { ...req.body } };
+    }
+
+    if (Buffer.isBuffer(req.body)) {
+        if (!req.body.length) throw new Error('Request body is empty');
+        const fileName = req.get('x-file-name') || req.query.fileName || '';
+        // The webhook token must not travel on into job payloads and dead-letter entries
+        const { [TOKEN_QUERY_PARAM]: token, ...fields } = req.query;
+        return { audio: { buffer: req.body, fileName, contentType: req.get('content-type') || '' }, fields };
+    }
+
+    if (req.body && typeof req.body.audio === 'string') {
+        const { audio, fileName, contentType, ...fields } = req.body;
+        const decoded = decodeBase64Audio(audio.trim());
+        return { audio: { buffer: decoded.buffer, fileName: fileName || '', contentType: contentType || decoded.contentType }, fields };
+    }
+
+    throw new Error('No audio found. Send a multipart file (field `file`), an application/octet-stream or audio/* body, or JSON with base64 `audio`.');
+}
+
+module.exports = { upload, receiveUpload, parseUploadRequest };
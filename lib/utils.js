@@ -0,0 +1,50 @@
+/**
+ * Interpret webhook-style booleans ("true", "1", "yes", true). Zoho sends
+ * every parameter as a string, so `force=false` must not be truthy.
+ */
+function parseBoolean(value, defaultValue = false) {
+    if (value === undefined || value === null || value === '') return defaultValue;
+    if (typeof value === 'boolean') return value;
+    return ['true', '1', 'yes', 'on'].includes(String(value).trim().toLowerCase());
+}
+
+function generateId(prefix) {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+}
+
+/**
+ * Map over items with at most `limit` calls in flight. Results keep the input order;
+ * the first rejection rejects the whole call.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+    return results;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Returns an async function that resolves no more often than `perMinute` times a minute
+ * (calls are spaced evenly). A falsy rate means no limit.
+ */
+function createRateLimiter(perMinute) {
+    if (!perMinute || perMinute <= 0) return async () => {};
+    const intervalMs = 60000 / perMinute;
+    let nextSlot = 0;
+    return async () => {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot);
+        nextSlot = slot + intervalMs;
+        if (slot > now) await sleep(slot - now);
+    };
+}
+
+module.exports = { parseBoolean, generateId, mapWithConcurrency, sleep, createRateLimiter };
@@ -1,102 +1,218 @@
-const axios = require('axios');
 
-let zohoAuth = {
-    accessToken: null,
-    expiryTime: null,
-};
+const { getTenant } = require('./tenants');
+const { loadStoredToken, saveStoredToken, removeStoredToken } = require('./tokenStore');
+const { sleep } = require('./utils');
+const { ProcessingError } = require('./failures');
+const { createHttpClient } = require('./http');
+const { createLogger } = require('./logger');
+
+const log = createLogger('zoho');
+const zohoHttp = createHttpClient('zoho');
+
+// Tenant name -> { accessToken, expiryTime }. Every function below takes an optional tenant
+// (from lib/tenants) and falls back to the default one, so single-org setups don't have to pass it.
+const zohoAuth = new Map();
+// Tenant name -> pending refresh, so concurrent callers share one call to the token endpoint
+const refreshing = new Map();
+// Tenant name -> { until, reason } while refreshes are paused after the token endpoint kept rejecting us
+const refreshCooldown = new Map();
 
 /**
- * Clear cached access token (useful when token is invalid)
+ * Clear the cached access token (useful when token is invalid). With `failedToken`, only that token is
+ * dropped: if another caller has already replaced it, the newer token is kept.
  */
-function clearZohoAccessToken() {
-    console.log('Clearing cached Zoho access token...');
-    zohoAuth = {
-        accessToken: null,
-        expiryTime: null,
-    };
+function clearZohoAccessToken(tenant = getTenant(), failedToken = null) {
+    if (failedToken && zohoAuth.get(tenant.name)?.accessToken !== failedToken) {
+        log.debug('Failed access token was already replaced. Keeping the current one', { tenant: tenant.name });
+        return;
+    }
+    log.info('Clearing cached Zoho access token', { tenant: tenant.name });
+    zohoAuth.delete(tenant.name);
+    removeStoredToken(tenant, failedToken);
 }
 
 /**
- * Zoho CRM API v2 base URL. Uses ZOHO_API_DOMAIN; if it's only
- * https://www.zohoapis.com (or .in, .eu), appends /crm/v2.
- * Correct: https://www.zohoapis.com/crm/v2
+ * Zoho CRM API base URL for the tenant's API domain (ZOHO_API_DOMAIN for the default tenant);
+ * if it's only https://www.zohoapis.com (or .in, .eu), appends /crm/v8.
+ * Correct: https://www.zohoapis.com/crm/v8
  */
-function getZohoCrmBase() {
-    let base = (process.env.ZOHO_API_DOMAIN || 'https://www.zohoapis.com/crm/v8').replace(/\/$/, '');
+function getZohoCrmBase(tenant = getTenant()) {
+    let base = (tenant.zoho.apiDomain || 'https://www.zohoapis.com/crm/v8').replace(/\/$/, '');
     if (!base.includes('/crm/')) base = base + '/crm/v8';
     return base;
 }
 
-async function getZohoAccessToken(forceRefresh = false) {
-    console.log('Checking for Zoho access token...');
+function getCachedToken(tenant) {
+    if (zohoAuth.has(tenant.name)) return zohoAuth.get(tenant.name);
+    const stored = loadStoredToken(tenant);
+    if (stored) {
+        log.info('Loaded stored Zoho access token', { tenant: tenant.name });
+        zohoAuth.set(tenant.name, stored);
+    }
+    return stored;
+}
+
+async function getZohoAccessToken(forceRefresh = false, tenant = getTenant()) {
 
-    if (!forceRefresh && zohoAuth.accessToken && zohoAuth.expiryTime > Date.now()) {
-        console.log('Token is still valid. Using existing one.');
-        console.log(`Token expires in ${Math.round((zohoAuth.expiryTime - Date.now()) / 1000)} seconds`);
-        return zohoAuth.accessToken;
+    const cached = getCachedToken(tenant);
+    if (!forceRefresh && cached?.accessToken && cached.expiryTime > Date.now()) {
+        log.debug('Using cached Zoho access token', { tenant: tenant.name, expiresInSeconds: Math.round((cached.expiryTime - Date.now()) / 1000) });
+        return cached.accessToken;
+    }
+
+    if (refreshing.has(tenant.name)) {
+        log.debug('Zoho token refresh already in progress. Waiting for it', { tenant: tenant.name });
+        return refreshing.get(tenant.name);
     }
 
     if (forceRefresh) {
-        console.log('Force refreshing token...');
-        clearZohoAccessToken();
+        log.info('Force refreshing Zoho access token', { tenant: tenant.name });
+        clearZohoAccessToken(tenant);
     } else {
-        console.log('Token is expired or missing. Refreshing...');
+        log.info('Zoho access token expired or missing. Refreshing', { tenant: tenant.name });
     }
 
-    try {
-        const accountsUrl = process.env.ZOHO_ACCOUNTS_URL || 'https://accounts.zoho.com';
-        const tokenUrl = `${accountsUrl}/oauth/v2/token`;
-        
-        console.log(`Refreshing token from: ${tokenUrl}`);
-        console.log(`Using client_id: ${process.env.ZOHO_CLIENT_ID ? process.env.ZOHO_CLIENT_ID.substring(0, 10) + '...' : 'MISSING'}`);
-        
-        const response = await axios.post(
-            tokenUrl,
-            null,
-            {
-                params: {
-                    refresh_token: process.env.ZOHO_REFRESH_TOKEN,
-                    client_id: process.env.ZOHO_CLIENT_ID,
-                    client_secret: process.env.ZOHO_CLIENT_SECRET,
-                    grant_type: 'refresh_token',
+    const pending = refreshZohoAccessToken(tenant).finally(() => refreshing.delete(tenant.name));
+    refreshing.set(tenant.name, pending);
+    return pending;
+}
+
+/**
+ * Network errors, 5xx, 429 and Zoho's "too many requests" answer are worth retrying; a bad
+ * refresh token or client is not.
+ */
+function isRetryableRefreshError(error) {
+    const text = JSON.stringify(error.zohoError || error.response?.data || '').toLowerCase();
+    if (text.includes('too many requests') || text.includes('access denied')) return true;
+    if (error.zohoError) return false;
+    if (!error.response) return true;
+    return error.response.status >= 500 || error.response.status === 429;
+}
+
+/**
+ * Call the token endpoint, retrying transient failures with exponential backoff
+ * (ZOHO_TOKEN_REFRESH_RETRIES attempts, starting at ZOHO_TOKEN_REFRESH_BACKOFF_MS). When every attempt is
+ * rate-limited or fails, further refreshes are refused for ZOHO_TOKEN_REFRESH_COOLDOWN_SECONDS instead of
+ * adding to the pile.
+ */
+async function refreshZohoAccessToken(tenant) {
+    const cooldown = refreshCooldown.get(tenant.name);
+    if (cooldown && cooldown.until > Date.now()) {
+        const seconds = Math.ceil((cooldown.until - Date.now()) / 1000);
+        throw new Error(`Failed to get Zoho access token. Refresh paused for ${seconds}s after repeated failures: ${cooldown.reason}`);
+    }
+
+    const maxAttempts = Math.max(1, Number(process.env.ZOHO_TOKEN_REFRESH_RETRIES || 3));
+    const backoffMs = Number(process.env.ZOHO_TOKEN_REFRESH_BACKOFF_MS || 2000);
+    const cooldownMs = Number(process.env.ZOHO_TOKEN_REFRESH_COOLDOWN_SECONDS || 60) * 1000;
+    const { clientId, clientSecret, refreshToken, accountsUrl } = tenant.zoho;
+    const tokenUrl = `${accountsUrl.replace(/\/$/, '')}/oauth/v2/token`;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            log.debug('Requesting Zoho access token', { tenant: tenant.name, url: tokenUrl, attempt, maxAttempts, clientIdConfigured: !!clientId });
+
+            // This loop does its own retrying (see above), so the client only adds the rate limit and breaker
+            const response = await zohoHttp.request(
+                {
+                    method: 'post',
+                    url: tokenUrl,
+                    params: {
+                        refresh_token: refreshToken,
+                        client_id: clientId,
+                        client_secret: clientSecret,
+                        grant_type: 'refresh_token',
+                    },
+                    timeout: 30000,
                 },
+                { bucket: `${tenant.name}:accounts`, retries: 0 }
+            );
+
+            // Zoho answers 200 with { error: "invalid_code" } for a bad refresh token
+            if (!response.data?.access_token) {
+                const error = new Error(`Token endpoint returned ${response.data?.error || 'no access_token'}`);
+                error.zohoError = response.data;
+                throw error;
+            }
+
+            const newAccessToken = response.data.access_token;
+            const expiresIn = response.data.expires_in || 3600;
+            const token = { accessToken: newAccessToken, expiryTime: Date.now() + (expiresIn - 300) * 1000 };
+
+            zohoAuth.set(tenant.name, token);
+            saveStoredToken(tenant, token);
+            refreshCooldown.delete(tenant.name);
+
+            log.info('Refreshed Zoho access token', { tenant: tenant.name, expiresInSeconds: expiresIn });
+            return newAccessToken;
+        } catch (error) {
+            const retryable = isRetryableRefreshError(error);
+            const reason = error.response ? `${error.response.status} ${JSON.stringify(error.response.data)}` : error.zohoError ? JSON.stringify(error.zohoError) : error.message;
+
+            if (!retryable || attempt >= maxAttempts) {
+                log.error('Could not refresh Zoho access token', {
+                    tenant: tenant.name,
+                    status: error.response?.status,
+                    response: error.response?.data || error.zohoError,
+                    err: error.response || error.zohoError ? undefined : error,
+                });
+                if (retryable) refreshCooldown.set(tenant.name, { until: Date.now() + cooldownMs, reason });
+                throw new Error(`Failed to get Zoho access token. ${reason}`);
             }
-        );
-
-        const newAccessToken = response.data.access_token;
-        const expiresIn = response.data.expires_in || 3600;
-        const newExpiryTime = Date.now() + (expiresIn - 300) * 1000;
-
-        zohoAuth = {
-            accessToken: newAccessToken,
-            expiryTime: newExpiryTime,
-        };
-
-        console.log(`✅ Successfully refreshed Zoho access token. Expires in ${expiresIn} seconds.`);
-        return newAccessToken;
-    } catch (error) {
-        console.error('❌ FATAL: Could not refresh Zoho access token');
-        if (error.response) {
-            console.error(`   Status: ${error.response.status}`);
-            console.error(`   Data:`, JSON.stringify(error.response.data, null, 2));
-        } else {
-            console.error(`   Error:`, error.message);
+
+            const delay = backoffMs * 2 ** (attempt - 1) + Math.floor(Math.random() * 250);
+            log.warn('Zoho token refresh failed. Retrying', { tenant: tenant.name, reason, attempt, delayMs: delay });
+            await sleep(delay);
         }
-        throw new Error('Failed to get Zoho access token.');
     }
 }
 
 /**
- * Fetch call record from Zoho CRM using COQL API and extract Voice_Recording__s field
+ * After an authentication failure: drop the token that failed and get a valid one. Concurrent callers
+ * that failed with the same token end up sharing a single refresh.
+ */
+async function renewZohoAccessToken(failedToken, tenant = getTenant()) {
+    clearZohoAccessToken(tenant, failedToken);
+    return getZohoAccessToken(false, tenant);
+}
+
+/**
+ * Fetch a record from Zoho CRM using COQL API and extract its recording field
+ * (`module` default Calls, `recordingField` default Voice_Recording__s)
  */
-async function fetchZohoCallRecord(callRecordId, requestId) {
-    console.log(`📞 [${requestId}] Fetching call record from Zoho CRM using COQL: ${callRecordId}`);
+async function fetchZohoCallRecord(callRecordId, requestId, { module = 'Calls', recordingField = 'Voice_Recording__s', tenant = getTenant() } = {}) {
+    // The id goes into the query as a literal, so anything but a Zoho record id (digits) is refused
+    if (!/^\d+$/.test(String(callRecordId))) {
+        throw new ProcessingError(`Invalid ${module} record ID '${callRecordId}'. Zoho record IDs are numeric.`, { reason: 'rejected' });
+    }
+    log.info('Fetching record from Zoho CRM using COQL', { module, recordId: callRecordId, tenant: tenant.name });
 
-    const accessToken = await getZohoAccessToken();
-    // Extract base domain (remove any /crm/v* paths)
-    let baseUrl = (process.env.ZOHO_API_DOMAIN || 'https://www.zohoapis.com').replace(/\/$/, '');
-    // Remove any existing /crm/v* path to avoid duplication
-    baseUrl = baseUrl.replace(/\/crm\/v\d+.*$/, '');
+    let accessToken = await getZohoAccessToken(false, tenant);
+    let authRetried = false;
+    // One COQL request; an authentication failure is retried once with a fresh token, as in runCoqlQuery
+    const postCoql = async (coqlUrl, data) => {
+        while (true) {
+            try {
+                return await zohoHttp.request({
+                    method: 'post',
+                    url: coqlUrl,
+                    data,
+                    headers: {
+                        Authorization: `Zoho-oauthtoken ${accessToken}`,
+                        'Content-Type': 'application/json',
+                    },
+                    timeout: 30000,
+                }, { bucket: tenant.name, idempotent: true });
+            } catch (error) {
+                if (authRetried || !isZohoAuthError(error.response?.data)) throw error;
+                authRetried = true;
+                log.warn('COQL authentication failure. Retrying with a fresh token', { tenant: tenant.name });
+                accessToken = await renewZohoAccessToken(accessToken, tenant);
+            }
+        }
+    };
+    // Base domain without any /crm/v* path, to avoid duplication
+    const baseUrl = getZohoApiBase(tenant);
     // Try v8 first (since regular API uses v8), then v2 as fallback
     const apiVersions = ['v8', 'v2'];
     
@@ -104,68 +220,61 @@ async function fetchZohoCallRecord(callRecordId, requestId) {
     
     for (const version of apiVersions) {
         const coqlUrl = `${baseUrl}/crm/${version}/coql`;
-        console.log(`🔗 [${requestId}] Trying COQL URL: ${coqlUrl}`);
+        log.debug('Trying COQL URL', { coqlUrl });
     
         // Try different field name formats - COQL might need the field without __s or with different format
         // First try with SELECT * to get all fields, then try specific field names
-        const fieldVariations = [
+        const fieldVariations = [...new Set([
             '*',  // Select all fields first
-            'Voice_Recording__s',  // Original format
-            'Voice_Recording',     // Without __s suffix
-        ];
+            recordingField,  // Original format
+            recordingField.replace(/__s$/, ''),     // Without __s suffix
+        ])];
         
         for (const fieldName of fieldVariations) {
             const coqlQuery = {
-                select_query: `SELECT ${fieldName} FROM Calls WHERE id = '${callRecordId}'`
+                select_query: `SELECT ${fieldName} FROM ${module} WHERE id = '${callRecordId}'`
             };
 
-            console.log(`📝 [${requestId}] Trying COQL Query with field: ${fieldName}`);
-            console.log(`📝 [${requestId}] Full Query: ${coqlQuery.select_query}`);
+            log.debug('Trying COQL query', { field: fieldName, query: coqlQuery.select_query });
 
         try {
-            const response = await axios.post(coqlUrl, coqlQuery, {
-                headers: {
-                    Authorization: `Zoho-oauthtoken ${accessToken}`,
-                    'Content-Type': 'application/json',
-                },
-                timeout: 30000,
-            });
+            const response = await postCoql(coqlUrl, coqlQuery);
 
-            console.log(`📥 [${requestId}] Response status: ${response.status}`);
-            console.log(`📥 [${requestId}] Response data keys:`, Object.keys(response.data || {}));
+            log.debug('COQL response received', { status: response.status, keys: Object.keys(response.data || {}) });
 
             if (!response.data?.data || response.data.data.length === 0) {
-                console.error(`❌ [${requestId}] Full response:`, JSON.stringify(response.data, null, 2));
-                throw new Error(`No data found in Zoho COQL response for Call Record ID: ${callRecordId}`);
+                log.error('COQL response has no data', { status: response.status, info: response.data?.info });
+                throw new Error(`No data found in Zoho COQL response for ${module} record ID: ${callRecordId}`);
             }
 
             const callRecord = response.data.data[0];
-            console.log(`📋 [${requestId}] Call record fields:`, Object.keys(callRecord).join(', '));
+            log.debug('Record fields', { module, fields: Object.keys(callRecord) });
             
-            // Try to find the voice recording field with different possible names
-            const voiceRecording = callRecord.Voice_Recording__s || 
-                                  callRecord.voice_recording__s || 
-                                  callRecord.Voice_Recording ||
-                                  callRecord.voice_recording ||
+            // Try to find the recording field with different possible names
+            const baseName = recordingField.replace(/__s$/, '');
+            const voiceRecording = callRecord[recordingField] || 
+                                  callRecord[recordingField.toLowerCase()] || 
+                                  callRecord[baseName] ||
+                                  callRecord[baseName.toLowerCase()] ||
                                   Object.values(callRecord).find(val => typeof val === 'string' && val.includes('phonebridge'));
 
             if (!voiceRecording) {
-                console.error(`❌ [${requestId}] Full call record:`, JSON.stringify(callRecord, null, 2));
-                throw new Error(`Voice_Recording__s field not found or is null in call record ${callRecordId}. Available fields: ${Object.keys(callRecord).join(', ')}`);
+                log.error('Recording field missing on record', { module, recordingField, fields: Object.keys(callRecord) });
+                throw new ProcessingError(`${recordingField} field not found or is null in ${module} record ${callRecordId}. Available fields: ${Object.keys(callRecord).join(', ')}`, { reason: 'no_recording' });
             }
 
-            console.log(`✅ [${requestId}] Successfully fetched Voice_Recording__s from Zoho: ${voiceRecording}`);
+            log.info('Fetched recording field from Zoho', { recordingField, recording: voiceRecording });
             return voiceRecording;
             } catch (error) {
                 lastError = error;
                 // If it's an INVALID_QUERY error, try next field variation
                 if (error.response?.data?.code === 'INVALID_QUERY') {
-                    console.log(`⚠️ [${requestId}] Field name '${fieldName}' is invalid, trying next variation...`);
+                    log.debug('COQL field name is invalid. Trying next variation', { field: fieldName });
                     continue;
                 }
                 // If it's an API_NOT_SUPPORTED error, try next API version
                 if (error.response?.data?.code === 'API_NOT_SUPPORTED') {
-                    console.log(`⚠️ [${requestId}] API version ${version} not supported, trying next version...`);
+                    log.debug('COQL API version not supported. Trying next version', { version });
                     break; // Break out of field loop to try next API version
                 }
                 // For other errors, break out of both loops
@@ -183,11 +292,10 @@ async function fetchZohoCallRecord(callRecordId, requestId) {
     
     // If we get here, all field variations and API versions failed
     if (lastError) {
-        console.error(`❌ [${requestId}] Failed to fetch Zoho call record via COQL:`, lastError.message);
+        log.error('Failed to fetch Zoho record via COQL', { module, status: lastError.response?.status, response: lastError.response?.data, err: lastError });
         if (lastError.response) {
             const zohoError = lastError.response.data;
             const status = lastError.response.status;
-            console.error(`Zoho COQL API Error (${status}):`, JSON.stringify(zohoError, null, 2));
 
             let errorMessage = `Zoho COQL API returned ${status} error`;
             if (zohoError && typeof zohoError === 'object') {
@@ -199,12 +307,260 @@ async function fetchZohoCallRecord(callRecordId, requestId) {
             } else {
                 errorMessage += ` - ${lastError.message}`;
             }
-            throw new Error(errorMessage);
+            throw new Error(errorMessage, { cause: lastError });
         }
-        throw new Error(`Failed to fetch call record from Zoho via COQL: ${lastError.message}`);
+        throw new Error(`Failed to fetch call record from Zoho via COQL: ${lastError.message}`, { cause: lastError });
     }
     
-    throw new Error(`All field name variations failed for Voice_Recording__s in call record ${callRecordId}`);
+    throw new Error(`All field name variations failed for ${recordingField} in ${module} record ${callRecordId}`);
+}
+
+/**
+ * Base URL for COQL without any /crm/v* path (the API domain may or may not include one).
+ */
+function getZohoApiBase(tenant = getTenant()) {
+    return (tenant.zoho.apiDomain || 'https://www.zohoapis.com').replace(/\/$/, '').replace(/\/crm\/v\d+.*$/, '');
 }
 
-module.exports = { getZohoAccessToken, getZohoCrmBase, fetchZohoCallRecord, clearZohoAccessToken };
+/**
+ * Run a COQL select query and return { data, info }. An empty result is not an error.
+ * Tries v8 first and falls back to v2 (same as fetchZohoCallRecord); retries once on auth failure.
+ */
+async function runCoqlQuery(selectQuery, requestId, tenant = getTenant()) {
+    let accessToken = await getZohoAccessToken(false, tenant);
+    let authRetried = false;
+
+    for (const version of ['v8', 'v2']) {
+        const coqlUrl = `${getZohoApiBase(tenant)}/crm/${version}/coql`;
+        while (true) {
+            try {
+                // COQL is a read, so a timed-out POST is safe to repeat
+                const response = await zohoHttp.request({
+                    method: 'post',
+                    url: coqlUrl,
+                    data: { select_query: selectQuery },
+                    headers: { Authorization: `Zoho-oauthtoken ${accessToken}`, 'Content-Type': 'application/json' },
+                    timeout: 30000,
+                }, { bucket: tenant.name, idempotent: true });
+                // Zoho answers 204 No Content when nothing matches
+                return { data: response.data?.data || [], info: response.data?.info || { more_records: false, count: 0 } };
+            } catch (error) {
+                const code = error.response?.data?.code;
+                if (code === 'API_NOT_SUPPORTED') {
+                    log.debug('COQL API version not supported. Trying next version', { version });
+                    break;
+                }
+                if (!authRetried && isZohoAuthError(error.response?.data)) {
+                    authRetried = true;
+                    log.warn('COQL authentication failure. Retrying with a fresh token', { tenant: tenant.name });
+                    accessToken = await renewZohoAccessToken(accessToken, tenant);
+                    continue;
+                }
+                const details = error.response ? ` (${error.response.status}${code ? `, ${code}` : ''}): ${error.response.data?.message || error.message}` : `: ${error.message}`;
+                throw new Error(`Zoho COQL query failed${details}`);
+            }
+        }
+    }
+    throw new Error('Zoho COQL API is not supported on any known API version');
+}
+
+/**
+ * Parse a Zoho error body (handles Buffer, string, or object).
+ */
+function parseZohoErrorData(errorData) {
+    if (Buffer.isBuffer(errorData)) {
+        try {
+            return JSON.parse(errorData.toString());
+        } catch {
+            return { raw: errorData.toString() };
+        }
+    }
+    if (typeof errorData === 'string') {
+        try {
+            return JSON.parse(errorData);
+        } catch {
+            return { message: errorData };
+        }
+    }
+    return errorData || {};
+}
+
+function isZohoAuthError(errorData) {
+    const parsed = parseZohoErrorData(errorData);
+    const errorStr = JSON.stringify(parsed).toLowerCase();
+    return errorStr.includes('authentication') || errorStr.includes('auth_failure') || parsed.code === 'AUTHENTICATION_FAILURE';
+}
+
+/**
+ * Optional fields named in a Zoho error (details.api_name, or mentioned anywhere in the error body).
+ */
+function findRejectedFields(errorData, optionalFields) {
+    const parsed = parseZohoErrorData(errorData);
+    const errorStr = JSON.stringify(parsed).toLowerCase();
+    const apiNames = [parsed, ...(parsed.data || [])].map((e) => e?.details?.api_name?.toLowerCase()).filter(Boolean);
+    return optionalFields.filter((field) => apiNames.includes(field.toLowerCase()) || errorStr.includes(field.toLowerCase()));
+}
+
+/**
+ * Update a single record. Fields listed in `optionalFields` are nice-to-have: if Zoho rejects one
+ * (e.g. the org doesn't have that custom field) it is dropped and the update retried without it.
+ * Authentication failures are retried with a fresh token.
+ * Returns { response, droppedFields }.
+ */
+async function updateZohoRecord(moduleApiName, recordId, fields, { requestId, optionalFields = [], tenant = getTenant() } = {}) {
+    const zohoUpdateUrl = `${getZohoCrmBase(tenant)}/${moduleApiName}/${recordId}`;
+    // Zoho CRM API requires 'id' field in the payload for updates
+    const record = { id: recordId, ...fields };
+    const droppedFields = [];
+
+    log.info('Updating Zoho CRM record', {
+        module: moduleApiName,
+        recordId,
+        url: zohoUpdateUrl,
+        fieldLengths: Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, String(v ?? '').length])),
+    });
+
+    let accessToken = await getZohoAccessToken(false, tenant);
+    let authRetries = 0;
+    const maxAuthRetries = 2;
+
+    while (true) {
+        try {
+            const zohoResponse = await zohoHttp.request({
+                method: 'put',
+                url: zohoUpdateUrl,
+                data: { data: [record] },
+                headers: { Authorization: `Zoho-oauthtoken ${accessToken}`, 'Content-Type': 'application/json' },
+            }, { bucket: tenant.name });
+            log.debug('Zoho update response', { status: zohoResponse.status, response: zohoResponse.data });
+            return { response: zohoResponse, droppedFields };
+        } catch (zErr) {
+            const errorData = zErr.response?.data;
+            const parsedError = parseZohoErrorData(errorData);
+
+            log.warn('Zoho update failed', { status: zErr.response?.status, response: parsedError, err: zErr });
+
+            if (isZohoAuthError(errorData) && authRetries < maxAuthRetries) {
+                authRetries++;
+                log.warn('Authentication failure. Retrying with a fresh access token', { attempt: authRetries, tenant: tenant.name });
+                accessToken = await renewZohoAccessToken(accessToken, tenant);
+                continue;
+            }
+
+            const remainingOptional = optionalFields.filter((f) => f in record);
+            const rejected = findRejectedFields(errorData, remainingOptional);
+            if (rejected.length) {
+                log.warn('Zoho rejected optional fields. Retrying without them', { rejected });
+                for (const field of rejected) delete record[field];
+                droppedFields.push(...rejected);
+                continue;
+            }
+
+            throw zErr;
+        }
+    }
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * What updateZohoRecord would send, without sending it (dry runs). Returns { method, url, body, recordFound, diff },
+ * where `diff` compares each field with the record's current value. `inRecord: false` marks fields the record
+ * doesn't have, which usually means the org has no field by that API name.
+ */
+async function previewZohoUpdate(moduleApiName, recordId, fields, { requestId, tenant = getTenant() } = {}) {
+    const url = `${getZohoCrmBase(tenant)}/${moduleApiName}/${recordId}`;
+    const current = await fetchZohoRecord(moduleApiName, recordId, requestId, tenant);
+    const diff = Object.entries(fields).map(([field, proposed]) => ({
+        field,
+        current: current?.[field] ?? null,
+        proposed,
+        changed: !sameValue(current?.[field], proposed),
+        inRecord: !!current && field in current,
+    }));
+    log.info('Dry run: Zoho update not sent', { module: moduleApiName, recordId, changed: diff.filter((d) => d.changed).map((d) => d.field) });
+    return { method: 'PUT', url, body: { data: [{ id: recordId, ...fields }] }, recordFound: !!current, diff };
+}
+
+/**
+ * Send a request to the CRM API, retrying once with a fresh token on authentication failure.
+ */
+async function zohoRequest(method, url, data, requestId, tenant) {
+    let accessToken = await getZohoAccessToken(false, tenant);
+    for (let attempt = 1; ; attempt++) {
+        try {
+            // Idempotency follows the method: a note or attachment POST is not repeated after a timeout
+            return await zohoHttp.request({
+                method,
+                url,
+                data,
+                // Multipart bodies get their boundary header from axios
+                headers: { Authorization: `Zoho-oauthtoken ${accessToken}`, ...(data instanceof FormData ? {} : { 'Content-Type': 'application/json' }) },
+                timeout: 30000,
+            }, { bucket: tenant.name });
+        } catch (error) {
+            if (attempt === 1 && isZohoAuthError(error.response?.data)) {
+                log.warn('Authentication failure. Retrying with a fresh access token', { tenant: tenant.name });
+                accessToken = await renewZohoAccessToken(accessToken, tenant);
+                continue;
+            }
+            throw error;
+        }
+    }
+}
+
+/**
+ * Fetch a single record by id (all fields). Returns null if it doesn't exist.
+ */
+async function fetchZohoRecord(moduleApiName, recordId, requestId, tenant = getTenant()) {
+    const response = await zohoRequest('get', `${getZohoCrmBase(tenant)}/${moduleApiName}/${recordId}`, undefined, requestId, tenant);
+    return response.data?.data?.[0] || null;
+}
+
+/**
+ * Attach a Note to a record. Returns the id of the created note.
+ */
+async function createZohoNote(parentModule, parentId, { title, content }, { requestId, tenant = getTenant() } = {}) {
+    const url = `${getZohoCrmBase(tenant)}/${parentModule}/${parentId}/Notes`;
+    log.info('Creating note', { parentModule, parentId, contentLength: String(content || '').length });
+    const response = await zohoRequest('post', url, { data: [{ Note_Title: title, Note_Content: content }] }, requestId, tenant);
+    const result = response.data?.data?.[0];
+    if (result?.status && result.status !== 'success') {
+        throw new Error(`Zoho rejected the note on ${parentModule} ${parentId}: ${result.code || ''} ${result.message || ''}`.trim());
+    }
+    const noteId = result?.details?.id || null;
+    log.info('Note created', { noteId, parentModule, parentId });
+    return noteId;
+}
+
+/**
+ * Upload a file to a record's Attachments. Returns the id of the attachment.
+ */
+async function uploadZohoAttachment(moduleApiName, recordId, { fileName, content, contentType }, { requestId, tenant = getTenant() } = {}) {
+    const url = `${getZohoCrmBase(tenant)}/${moduleApiName}/${recordId}/Attachments`;
+    const form = new FormData();
+    form.append('file', new Blob([content], { type: contentType || 'application/octet-stream' }), fileName);
+
+    log.info('Uploading attachment', { fileName, bytes: Buffer.byteLength(content), module: moduleApiName, recordId });
+    const response = await zohoRequest('post', url, form, requestId, tenant);
+    const result = response.data?.data?.[0];
+    if (result?.status && result.status !== 'success') {
+        throw new Error(`Zoho rejected attachment ${fileName}: ${result.code || ''} ${result.message || ''}`.trim());
+    }
+    return result?.details?.id || null;
+}
+
+module.exports = {
+    getZohoAccessToken,
+    getZohoCrmBase,
+    fetchZohoCallRecord,
+    clearZohoAccessToken,
+    updateZohoRecord,
+    previewZohoUpdate,
+    fetchZohoRecord,
+    createZohoNote,
+    uploadZohoAttachment,
+    renewZohoAccessToken,
+    runCoqlQuery,
+    parseZohoErrorData,
+};
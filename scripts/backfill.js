@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Backfill transcripts for historic Zoho Calls.
+ *
+ *   node scripts/backfill.js --from 2024-01-01 --to 2024-03-31 [--owner <userId>] [--filter "<COQL condition>"]
+ *                            [--concurrency 2] [--rate 20] [--limit 500] [--name q1-2024] [--no-resume] [--count] [--dry-run]
+ *                            [--template collections@3]
+ *
+ * --count only counts matching records. --dry-run processes them without writing to Zoho and reports the fields
+ * that would change. --template analyses every call with that template instead of the one the rules pick.
+ * Re-running with the same --name resumes from the checkpoint.
+ */
+require('dotenv').config();
+
+const { runBackfill } = require('../lib/backfill');
+const { createLogger } = require('../lib/logger');
+
+const log = createLogger('backfill-cli');
+
+const FLAGS = {
+    '--from': 'from',
+    '--to': 'to',
+    '--owner': 'ownerId',
+    '--filter': 'filter',
+    '--module': 'module',
+    '--recording-field': 'recordingField',
+    '--transcript-field': 'transcriptField',
+    '--date-field': 'dateField',
+    '--concurrency': 'concurrency',
+    '--rate': 'ratePerMinute',
+    '--limit': 'limit',
+    '--page-size': 'pageSize',
+    '--name': 'name',
+    '--tenant': 'tenant',
+    '--template': 'analysisTemplate',
+};
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--count') options.countOnly = true;
+        else if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--no-resume') options.resume = false;
+        else if (arg === '--include-transcribed') options.includeTranscribed = true;
+        else if (FLAGS[arg] && argv[i + 1] !== undefined) options[FLAGS[arg]] = argv[++i];
+        else throw new Error(`Unknown or incomplete argument: ${arg}`);
+    }
+    return options;
+}
+
+(async () => {
+    try {
+        const report = await runBackfill(parseArgs(process.argv.slice(2)));
+        console.log(JSON.stringify(report, null, 2));
+        process.exit(report.status === 'interrupted' ? 1 : 0);
+    } catch (error) {
+        log.error('Backfill failed', error);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,119 @@
+const { listen } = require('./helpers');
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeTranscript, validateAnalysis, formatAnalysisText, mapAnalysisToFields, ANALYSIS_SCHEMA } = require('../lib/analysis');
+
+const VALID = {
+    summary: 'The customer agreed to a site visit on Saturday.',
+    customerSentiment: 'positive',
+    agentSentiment: 'Neutral',
+    topics: ['site visit', 'location'],
+    objections: [],
+    nextSteps: '- Send the location\n- Confirm Saturday',
+    outcome: 'follow-up needed',
+};
+
+// Stand-in for the chat completions API: answers each request with the next queued reply and keeps the requests
+let replies = [];
+let requests = [];
+let server;
+
+before(async () => {
+    server = await listen((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+            requests.push(JSON.parse(body));
+            const content = replies.shift() ?? '';
+            res.setHeader('content-type', 'application/json');
+            res.end(JSON.stringify({
+                id: `chatcmpl-${requests.length}`,
+                object: 'chat.completion',
+                created: 0,
+                model: 'gpt-4o-mini',
+                choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 },
+            }));
+        });
+    });
+    process.env.OPENAI_API_KEY = 'sk-test';
+    process.env.OPENAI_BASE_URL = server.url;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    replies = [];
+    requests = [];
+    delete process.env.ANALYSIS_MAX_ATTEMPTS;
+});
+
+test('validateAnalysis normalizes enum case and list strings', () => {
+    const { value, errors } = validateAnalysis(VALID);
+    assert.deepEqual(errors, []);
+    assert.equal(value.customerSentiment, 'Positive');
+    assert.equal(value.outcome, 'Follow-up Needed');
+    assert.deepEqual(value.nextSteps, ['Send the location', 'Confirm Saturday']);
+    assert.equal(value.notes, undefined);
+});
+
+test('validateAnalysis reports every problem', () => {
+    const { value, errors } = validateAnalysis({ ...VALID, summary: ' ', outcome: 'Maybe', topics: [1, 2] });
+    assert.equal(value, null);
+    assert.deepEqual(errors, [
+        '"summary" is required',
+        '"topics" must be an array of strings',
+        '"outcome" must be one of: No Decision, Follow-up Needed, Qualified, Unqualified, Closed Won, Closed Lost (got "Maybe")',
+    ]);
+    assert.deepEqual(validateAnalysis([VALID]).errors, ['Expected a JSON object']);
+});
+
+test('validateAnalysis checks outcomes against the schema it is given', () => {
+    const schema = { ...ANALYSIS_SCHEMA, outcome: { ...ANALYSIS_SCHEMA.outcome, values: ['Promise to Pay', 'Refused'] } };
+    assert.equal(validateAnalysis({ ...VALID, outcome: 'promise to pay' }, schema).value.outcome, 'Promise to Pay');
+    assert.equal(validateAnalysis(VALID, schema).value, null);
+});
+
+test('invalid model output is sent back for repair with the validation errors', async () => {
+    replies = ['Sure! Here is the analysis:', JSON.stringify({ ...VALID, agentSentiment: 'Happy' }), JSON.stringify(VALID)];
+
+    const result = await analyzeTranscript('Agent: Hello. Customer: Saturday works.', { requestId: 'req_test', speakerSeparated: true });
+
+    assert.equal(result.attempts, 3);
+    assert.equal(result.template, 'sales@1');
+    assert.equal(result.analysis.outcome, 'Follow-up Needed');
+    assert.match(result.analysisText, /^Summary: The customer agreed/);
+
+    assert.equal(requests.length, 3);
+    assert.equal(requests[0].response_format.type, 'json_object');
+    assert.match(requests[0].messages[1].content, /"Agent:" is the agent/);
+    const repair = requests[2].messages;
+    assert.equal(repair.length, 6);
+    assert.match(repair[3].content, /not valid JSON/);
+    assert.equal(repair[4].role, 'assistant');
+    assert.match(repair[5].content, /"agentSentiment" must be one of: Negative, Neutral, Positive \(got "Happy"\)/);
+});
+
+test('analysis gives up after ANALYSIS_MAX_ATTEMPTS invalid answers', async () => {
+    process.env.ANALYSIS_MAX_ATTEMPTS = '2';
+    replies = ['{}', '{}', JSON.stringify(VALID)];
+
+    await assert.rejects(analyzeTranscript('Hello', { requestId: 'req_test' }), /failed validation after 2 attempts: "summary" is required/);
+    assert.equal(requests.length, 2);
+});
+
+test('analysis values are mapped to Zoho fields through the field map', () => {
+    const { value } = validateAnalysis(VALID);
+    const fields = mapAnalysisToFields(value, formatAnalysisText(value), {
+        text: 'AI_Analysis',
+        outcome: { field: 'Call_Outcome', values: { 'Follow-up Needed': 'Follow Up' } },
+        nextSteps: { field: 'Next_Steps', type: 'multiselect' },
+        topics: 'Topics',
+    });
+    assert.equal(fields.Call_Outcome, 'Follow Up');
+    assert.deepEqual(fields.Next_Steps, ['Send the location', 'Confirm Saturday']);
+    assert.equal(fields.Topics, 'site visit, location');
+    assert.match(fields.AI_Analysis, /Outcome: Follow-up Needed/);
+});
@@ -0,0 +1,118 @@
+const { makeTempDir } = require('./helpers');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { getAnalysisTemplate, listAnalysisTemplates, parseTemplateRules, selectAnalysisTemplate, templateRulesNeedRecord } = require('../lib/analysisTemplates');
+
+const template = (name, version, extra = {}) => ({
+    name,
+    version,
+    system: 'Respond with a single JSON object only.',
+    prompt: ['Analyze this call.{{speakerNote}}', '{{format}}', '"""{{transcript}}"""'],
+    ...extra,
+});
+
+function writeTemplates(files) {
+    const dir = makeTempDir();
+    for (const [file, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+    return dir;
+}
+
+beforeEach(() => {
+    for (const name of ['ANALYSIS_TEMPLATE', 'ANALYSIS_TEMPLATE_RULES', 'ANALYSIS_TEMPLATE_RULES_FILE']) delete process.env[name];
+});
+
+// Templates are loaded once per process, and only once they all load, so the broken directories come first
+
+test('a broken template file is a configuration error naming the file', () => {
+    const cases = [
+        [{ 'a.json': '{ not json' }, /a.json is not valid JSON/],
+        [{ 'a.json': [] }, /a.json must be a JSON object/],
+        [{ 'a.json': template('bad name', 1) }, /needs a "name" of letters/],
+        [{ 'a.json': template('calls', '') }, /needs a "version"/],
+        [{ 'a.json': template('calls', 1, { system: ['', ' '] }) }, /needs a "system" message/],
+        [{ 'a.json': template('calls', 1, { prompt: 'No transcript here' }) }, /needs a "prompt" containing \{\{transcript\}\}/],
+        [{ 'a.json': template('calls', 1, { prompt: '{{transcript}} {{customer}}' }) }, /unknown placeholder\(s\): customer/],
+        [{ 'a.json': template('calls', 1, { temperature: '0.2' }) }, /"temperature" must be a number/],
+        [{ 'a.json': template('calls', 1, { outcomes: [] }) }, /"outcomes" must be a non-empty array/],
+        [{ 'a.json': template('calls', 1), 'b.json': template('calls', '1') }, /a.json and b.json are both calls@1/],
+    ];
+    for (const [files, message] of cases) {
+        process.env.ANALYSIS_TEMPLATES_DIR = writeTemplates(files);
+        assert.throws(() => getAnalysisTemplate('sales'), message);
+    }
+});
+
+test('templates are found by name (highest version) or name@version', () => {
+    process.env.ANALYSIS_TEMPLATES_DIR = writeTemplates({
+        'collections-2.json': template('collections', 2, { model: 'gpt-4o', outcomes: ['Paid', 'Promise to Pay'] }),
+        'collections-10.json': template('collections', 10),
+        'collections-9.json': template('collections', '9'),
+        'notes.txt': 'not a template',
+    });
+
+    assert.equal(getAnalysisTemplate('collections').id, 'collections@10');
+    const two = getAnalysisTemplate(' collections@2 ');
+    assert.equal(two.model, 'gpt-4o');
+    assert.deepEqual(two.outcomes, ['Paid', 'Promise to Pay']);
+    assert.equal(two.prompt, 'Analyze this call.{{speakerNote}}\n{{format}}\n"""{{transcript}}"""');
+    assert.equal(two.source, 'collections-2.json');
+    assert.equal(getAnalysisTemplate('sales').id, 'sales@1');
+
+    assert.throws(() => getAnalysisTemplate('collections@3'), /Unknown analysis template 'collections@3'. Available: sales@1, collections@10/);
+    assert.throws(() => getAnalysisTemplate('support'), /Unknown analysis template 'support'/);
+    assert.deepEqual(listAnalysisTemplates().map(({ id, model, source }) => [id, model, source]), [
+        ['sales@1', null, 'built-in'],
+        ['collections@10', null, 'collections-10.json'],
+        ['collections@2', 'gpt-4o', 'collections-2.json'],
+        ['collections@9', null, 'collections-9.json'],
+    ]);
+});
+
+test('rules with unknown templates, no template or bad conditions are refused', () => {
+    assert.throws(() => parseTemplateRules({}, 'ANALYSIS_TEMPLATE_RULES'), /ANALYSIS_TEMPLATE_RULES must be a JSON array of rules/);
+    assert.throws(() => parseTemplateRules([{ when: { Call_Type: 'Outbound' } }], 'Rules'), /Rules rule 1 needs a "template"/);
+    assert.throws(() => parseTemplateRules([{ template: 'sales' }, { template: 'support' }], 'Rules'), /Rules rule 2: Unknown analysis template 'support'/);
+    assert.throws(() => parseTemplateRules([{ when: { Subject: { equals: 'x' } }, template: 'sales' }], 'Rules'), /condition for Subject must be a value, a list or \{ "matches"/);
+    assert.throws(() => parseTemplateRules([{ when: { Subject: { matches: '(' } }, template: 'sales' }], 'Rules'), /Rules rule 1 has an invalid pattern for Subject/);
+});
+
+test('the first rule whose conditions all hold on the record picks the template', () => {
+    process.env.ANALYSIS_TEMPLATE_RULES = JSON.stringify([
+        { when: { 'Owner.email': { matches: '@collections\\.example\\.com$' }, Call_Type: ['Outbound', 'Missed'] }, template: 'collections@2' },
+        { when: { What_Id: 'Overdue invoices' }, template: 'collections' },
+        { when: { Tags: 'escalated' }, template: 'collections@9' },
+    ]);
+    const pick = (record, requested) => {
+        const { template, source, rule } = selectAnalysisTemplate({ record, requested });
+        return [template.id, source, rule];
+    };
+
+    assert.deepEqual(pick({ Owner: { email: 'ravi@collections.example.com' }, Call_Type: 'outbound' }), ['collections@2', 'rule', 1]);
+    // Every condition of a rule must hold
+    assert.deepEqual(pick({ Owner: { email: 'ravi@collections.example.com' }, Call_Type: 'Inbound' }), ['sales@1', 'default', undefined]);
+    // A lookup on its own compares its name; lists match on any entry
+    assert.deepEqual(pick({ What_Id: { name: 'overdue invoices', id: '7001' } }), ['collections@10', 'rule', 2]);
+    assert.deepEqual(pick({ Tags: [{ name: 'VIP' }, { name: 'Escalated' }] }), ['collections@9', 'rule', 3]);
+    // A requested template wins over the rules
+    assert.deepEqual(pick({ Tags: 'escalated' }, 'sales'), ['sales@1', 'request', undefined]);
+    // Without a record only rules without conditions can apply
+    assert.deepEqual(pick(undefined), ['sales@1', 'default', undefined]);
+    assert.equal(templateRulesNeedRecord(), true);
+
+    process.env.ANALYSIS_TEMPLATE = 'collections@2';
+    assert.deepEqual(pick({ Tags: 'other' }), ['collections@2', 'default', undefined]);
+});
+
+test('a rule without conditions is a catch-all, and a tenant\'s rules replace the global ones', () => {
+    process.env.ANALYSIS_TEMPLATE_RULES_FILE = path.join(writeTemplates({ 'rules.json': [{ when: { Call_Type: 'Missed' }, template: 'collections@9' }, { template: 'collections@2' }] }), 'rules.json');
+    assert.equal(selectAnalysisTemplate({ record: { Call_Type: 'Missed' } }).template.id, 'collections@9');
+    assert.deepEqual(selectAnalysisTemplate({}), { template: getAnalysisTemplate('collections@2'), source: 'rule', rule: 2 });
+
+    const tenant = { analysisTemplateRules: parseTemplateRules([{ template: 'sales' }], "Tenant 'india' analysisTemplateRules") };
+    assert.equal(selectAnalysisTemplate({ record: { Call_Type: 'Missed' }, tenant }).template.id, 'sales@1');
+    assert.equal(templateRulesNeedRecord(tenant), false);
+});
@@ -0,0 +1,141 @@
+const { listen } = require('./helpers');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+
+const { createWebhookAuth, captureRawBody, buildAllowlist, isIpAllowed } = require('../lib/auth');
+const { parseUploadRequest } = require('../lib/upload');
+
+const SECRET = 'hmac-test-secret';
+
+beforeEach(() => {
+    for (const name of ['WEBHOOK_TOKEN', 'WEBHOOK_TOKEN_HEADER', 'WEBHOOK_HMAC_SECRET', 'WEBHOOK_MAX_SKEW_SECONDS', 'WEBHOOK_IP_ALLOWLIST']) delete process.env[name];
+});
+
+// The auth middleware reads its config when created, so each test builds its app after setting the env
+async function startApp(env) {
+    Object.assign(process.env, env);
+    const app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    const webhookAuth = createWebhookAuth();
+    app.get('/jobs', webhookAuth, (req, res) => res.json({ method: req.authMethod }));
+    app.post('/process-audio', webhookAuth, (req, res) => res.json({ method: req.authMethod }));
+    return listen(app);
+}
+
+const sign = (payload) => `sha256=${crypto.createHmac('sha256', SECRET).update(payload).digest('hex')}`;
+const now = () => String(Math.floor(Date.now() / 1000));
+
+async function call(url, options) {
+    const response = await fetch(url, options);
+    return { status: response.status, body: await response.json() };
+}
+
+test('a shared token is accepted from the header or the query string', async () => {
+    const app = await startApp({ WEBHOOK_TOKEN: 'old-token, new-token' });
+    try {
+        assert.deepEqual(await call(`${app.url}/jobs`, { headers: { 'x-webhook-token': 'new-token' } }), { status: 200, body: { method: 'token' } });
+        assert.equal((await call(`${app.url}/jobs?token=old-token`)).status, 200);
+
+        const wrong = await call(`${app.url}/jobs`, { headers: { 'x-webhook-token': 'guess' } });
+        assert.equal(wrong.status, 401);
+        assert.equal(wrong.body.code, 'INVALID_TOKEN');
+        assert.equal((await call(`${app.url}/jobs`)).body.code, 'MISSING_CREDENTIALS');
+    } finally {
+        await app.close();
+    }
+});
+
+test('an HMAC signature covers the timestamp and raw body, and is only accepted once', async () => {
+    const app = await startApp({ WEBHOOK_HMAC_SECRET: SECRET });
+    try {
+        const body = '{"Call_Record_ID":"5924956000162702001"}';
+        const timestamp = now();
+        const request = () => ({ method: 'POST', body, headers: { 'content-type': 'application/json', 'x-timestamp': timestamp, 'x-signature': sign(`${timestamp}.${body}`) } });
+
+        assert.deepEqual(await call(`${app.url}/process-audio`, request()), { status: 200, body: { method: 'hmac' } });
+        assert.equal((await call(`${app.url}/process-audio`, request())).body.code, 'REPLAYED_REQUEST');
+
+        const tampered = { ...request(), body: '{"Call_Record_ID":"1"}' };
+        assert.equal((await call(`${app.url}/process-audio`, tampered)).body.code, 'INVALID_SIGNATURE');
+    } finally {
+        await app.close();
+    }
+});
+
+test('without any credentials configured requests are let through', async () => {
+    const app = await startApp({});
+    try {
+        assert.deepEqual(await call(`${app.url}/jobs`), { status: 200, body: {} });
+    } finally {
+        await app.close();
+    }
+});
+
+test('requests without a body are signed over the method and URL', async () => {
+    const app = await startApp({ WEBHOOK_HMAC_SECRET: SECRET });
+    try {
+        const timestamp = now();
+        const headers = { 'x-timestamp': timestamp, 'x-signature': sign(`${timestamp}.GET /jobs?status=failed`) };
+
+        assert.deepEqual(await call(`${app.url}/jobs?status=failed`, { headers }), { status: 200, body: { method: 'hmac' } });
+        // The same signature doesn't carry over to another query
+        assert.equal((await call(`${app.url}/jobs?status=queued`, { headers })).body.code, 'INVALID_SIGNATURE');
+    } finally {
+        await app.close();
+    }
+});
+
+test('signatures outside WEBHOOK_MAX_SKEW_SECONDS are rejected', async () => {
+    const app = await startApp({ WEBHOOK_HMAC_SECRET: SECRET, WEBHOOK_MAX_SKEW_SECONDS: '60' });
+    try {
+        const timestamp = String(Math.floor(Date.now() / 1000) - 120);
+        const headers = { 'x-timestamp': timestamp, 'x-signature': sign(`${timestamp}.GET /jobs`) };
+        assert.equal((await call(`${app.url}/jobs`, { headers })).body.code, 'STALE_TIMESTAMP');
+    } finally {
+        await app.close();
+    }
+});
+
+test('either credential works when both are configured, and the IP allowlist applies on top', async () => {
+    const app = await startApp({ WEBHOOK_TOKEN: 'token-1', WEBHOOK_HMAC_SECRET: SECRET, WEBHOOK_IP_ALLOWLIST: '10.0.0.0/8' });
+    try {
+        const denied = await call(`${app.url}/jobs`, { headers: { 'x-webhook-token': 'token-1' } });
+        assert.equal(denied.status, 403);
+        assert.equal(denied.body.code, 'IP_NOT_ALLOWED');
+    } finally {
+        await app.close();
+    }
+
+    const allowed = await startApp({ WEBHOOK_TOKEN: 'token-1', WEBHOOK_HMAC_SECRET: SECRET, WEBHOOK_IP_ALLOWLIST: '127.0.0.1' });
+    try {
+        const timestamp = now();
+        assert.equal((await call(`${allowed.url}/jobs`, { headers: { 'x-timestamp': timestamp, 'x-signature': sign(`${timestamp}.GET /jobs`) } })).body.method, 'hmac');
+        assert.equal((await call(`${allowed.url}/jobs?token=token-1`)).body.method, 'token');
+    } finally {
+        await allowed.close();
+    }
+});
+
+test('allowlist entries match IPv4, IPv4-mapped IPv6 and CIDR ranges', () => {
+    const allowlist = buildAllowlist(['10.1.0.0/16', '2001:db8::1']);
+    assert.equal(isIpAllowed('10.1.2.3', allowlist), true);
+    assert.equal(isIpAllowed('::ffff:10.1.2.3', allowlist), true);
+    assert.equal(isIpAllowed('10.2.0.1', allowlist), false);
+    assert.equal(isIpAllowed('2001:db8::1', allowlist), true);
+    assert.throws(() => buildAllowlist(['not-an-ip']), /Invalid WEBHOOK_IP_ALLOWLIST entry/);
+});
+
+test('the webhook token in the query string is not passed on with raw upload options', () => {
+    const req = {
+        body: Buffer.from('RIFF'),
+        query: { token: 'secret-token', transcriptionMode: 'both', fileName: 'call.wav' },
+        get: (name) => (name === 'content-type' ? 'audio/wav' : undefined),
+    };
+    const { audio, fields } = parseUploadRequest(req);
+    assert.equal(audio.fileName, 'call.wav');
+    assert.equal(fields.token, undefined);
+    assert.equal(fields.transcriptionMode, 'both');
+});
@@ -0,0 +1,116 @@
+require('./helpers');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// lib/backfill takes these from their modules when it loads, so the stand-ins go in first
+const zoho = require('../lib/zoho');
+const processAudio = require('../lib/processAudio');
+const jobs = require('../lib/jobs');
+
+const records = ['101', '102', '103', '104', '105'];
+let queries;
+let processed;
+let outcomes;
+let failPageAfter;
+let failureHandler;
+
+zoho.runCoqlQuery = async (query) => {
+    queries.push(query);
+    if (failPageAfter !== undefined && queries.length > failPageAfter) throw new Error('COQL unavailable');
+    const afterId = (/id > '(\d+)'/.exec(query) || [])[1];
+    const limit = Number(/limit (\d+)$/.exec(query)[1]);
+    return { data: records.filter((id) => !afterId || id > afterId).slice(0, limit).map((id) => ({ id })) };
+};
+processAudio.processAudioRequest = async (request) => {
+    processed.push(request.Call_Record_ID);
+    const outcome = outcomes[request.Call_Record_ID] || 'ok';
+    if (outcome === 'fail') throw new Error(`Download failed for ${request.Call_Record_ID}`);
+    return outcome === 'cached' ? { cached: true } : { message: 'done' };
+};
+jobs.handleFailedRequest = async (...args) => failureHandler(...args);
+
+const { runBackfill, getBackfillReport, normalizeOptions, buildBackfillCriteria } = require('../lib/backfill');
+
+beforeEach(() => {
+    queries = [];
+    processed = [];
+    outcomes = {};
+    failPageAfter = undefined;
+    failureHandler = async () => ({ reason: 'download', nextAttemptAt: null });
+});
+
+const options = (name, extra = {}) => ({ name, pageSize: 2, concurrency: 1, ratePerMinute: 0, ...extra });
+
+test('module and field names that are not Zoho API names are rejected', () => {
+    for (const option of ['module', 'recordingField', 'transcriptField', 'dateField']) {
+        assert.throws(() => normalizeOptions({ [option]: "Description is null or id != '0'" }), new RegExp(`Invalid ${option}`));
+        assert.throws(() => normalizeOptions({ [option]: '1Calls' }), new RegExp(`Invalid ${option}`));
+    }
+    const opts = normalizeOptions({ module: 'Calls', recordingField: 'Voice_Recording__s', transcriptField: 'Call_Transcript', dateField: 'Call_Start_Time' });
+    assert.equal(opts.recordingField, 'Voice_Recording__s');
+    assert.equal(opts.transcriptField, 'Call_Transcript');
+});
+
+test('the criteria select recorded, untranscribed calls in the date range', () => {
+    const opts = normalizeOptions({ from: '2024-01-01', to: '2024-03-31', transcriptField: 'Call_Transcript', ownerId: "7'1" });
+    assert.equal(
+        buildBackfillCriteria(opts),
+        "Voice_Recording__s is not null and Call_Transcript is null and Created_Time between '2024-01-01T00:00:00+00:00' and '2024-03-31T23:59:59+00:00' and Owner = '7\\'1'"
+    );
+    assert.equal(buildBackfillCriteria(normalizeOptions({ includeTranscribed: true })), 'Voice_Recording__s is not null');
+});
+
+test('calls are paged by id and counted by outcome', async () => {
+    outcomes = { 102: 'cached', 104: 'fail' };
+    const report = await runBackfill(options('counts'));
+
+    assert.equal(report.status, 'completed');
+    assert.deepEqual(report.counts, { processed: 5, succeeded: 3, failed: 1, skipped: 1 });
+    assert.deepEqual(report.skipped, [{ id: '102', reason: 'already transcribed (cached)' }]);
+    assert.deepEqual(report.failures.map(({ id, reason }) => [id, reason]), [['104', 'download']]);
+    assert.equal(report.lastId, '105');
+    assert.ok(!/id >/.test(queries[0]));
+    assert.match(queries[1], /and id > '102' order by id asc limit 2$/);
+    assert.deepEqual(getBackfillReport('counts').counts, report.counts);
+
+    // A completed backfill isn't run again under the same name
+    queries = [];
+    assert.equal((await runBackfill(options('counts'))).finishedAt, report.finishedAt);
+    assert.equal(queries.length, 0);
+});
+
+test('an interrupted backfill resumes after the last checkpointed page', async () => {
+    failPageAfter = 1;
+    const interrupted = await runBackfill(options('resume'));
+    assert.equal(interrupted.status, 'interrupted');
+    assert.equal(interrupted.lastId, '102');
+    assert.equal(interrupted.counts.processed, 2);
+
+    failPageAfter = undefined;
+    queries = [];
+    const resumed = await runBackfill(options('resume'));
+    assert.equal(resumed.status, 'completed');
+    assert.match(queries[0], /id > '102'/);
+    assert.deepEqual(resumed.counts, { processed: 5, succeeded: 5, failed: 0, skipped: 0 });
+});
+
+test('calls already counted on an interrupted page are not processed again on resume', async () => {
+    outcomes = { 104: 'fail' };
+    failureHandler = async () => {
+        throw new Error('Failure could not be recorded');
+    };
+    const interrupted = await runBackfill(options('partial'));
+    assert.equal(interrupted.status, 'interrupted');
+    assert.equal(interrupted.lastId, '102');
+    assert.deepEqual(interrupted.pageDone, ['103', '104']);
+    assert.equal(interrupted.counts.processed, 4);
+
+    failureHandler = async () => ({ reason: 'download', nextAttemptAt: null });
+    processed = [];
+    const resumed = await runBackfill(options('partial'));
+    assert.equal(resumed.status, 'completed');
+    assert.deepEqual(processed, ['105']);
+    assert.deepEqual(resumed.counts, { processed: 5, succeeded: 4, failed: 1, skipped: 0 });
+    assert.deepEqual(resumed.pageDone, []);
+});
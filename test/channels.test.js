@@ -0,0 +1,88 @@
+const { makeTempDir, makeMp3 } = require('./helpers');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { splitSpeakerChannels, mergeSpeakerSegments } = require('../lib/channels');
+const { parseWav, buildWav } = require('../lib/chunking');
+
+beforeEach(() => {
+    delete process.env.AGENT_CHANNEL;
+    process.env.FFMPEG_PATH = path.join(__dirname, 'no-such-ffmpeg');
+});
+
+// 16-bit PCM at 8 kHz; `channels` holds one sample function per channel
+function makeWavFrom(seconds, channels) {
+    const fmt = Buffer.alloc(16);
+    fmt.writeUInt16LE(1, 0);
+    fmt.writeUInt16LE(channels.length, 2);
+    fmt.writeUInt32LE(8000, 4);
+    fmt.writeUInt32LE(8000 * 2 * channels.length, 8);
+    fmt.writeUInt16LE(2 * channels.length, 12);
+    fmt.writeUInt16LE(16, 14);
+
+    const frames = seconds * 8000;
+    const pcm = Buffer.alloc(frames * 2 * channels.length);
+    for (let i = 0; i < frames; i++) {
+        channels.forEach((sample, c) => pcm.writeInt16LE(sample(i), (i * channels.length + c) * 2));
+    }
+    return buildWav(fmt, pcm);
+}
+
+const agent = (i) => Math.round(Math.sin(i / 5) * 8000);
+const customer = (i) => Math.round(Math.sin(i / 13) * 6000);
+
+function writeRecording(name, buffer) {
+    const filePath = path.join(makeTempDir(), name);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+}
+
+test('a stereo WAV is split into one mono file per speaker', async () => {
+    // 40 s of 8 kHz stereo is more than one read window, so the seam between windows is covered too
+    const filePath = writeRecording('call.wav', makeWavFrom(40, [agent, customer]));
+    process.env.AGENT_CHANNEL = '1';
+
+    const channels = await splitSpeakerChannels(filePath, 'wav', 'req_test');
+    assert.deepEqual(channels.map(({ channel, role, speaker }) => [channel, role, speaker]), [[0, 'customer', 'Customer'], [1, 'agent', 'Agent']]);
+
+    for (const [channel, sample] of [[0, agent], [1, customer]]) {
+        const data = fs.readFileSync(channels[channel].path);
+        const wav = parseWav(data);
+        assert.equal(wav.fmt.channels, 1);
+        assert.equal(wav.fmt.blockAlign, 2);
+        assert.equal(wav.fmt.byteRate, 16000);
+        assert.equal(wav.duration, 40);
+        for (const i of [0, 1, 262143, 262144, 319999]) assert.equal(data.readInt16LE(wav.dataOffset + i * 2), sample(i));
+    }
+});
+
+test('stereo recordings with the same audio or a silent channel are treated as mono', async () => {
+    for (const [name, channels] of [['same.wav', [agent, agent]], ['silent.wav', [agent, () => 0]]]) {
+        const filePath = writeRecording(name, makeWavFrom(2, channels));
+        assert.equal(await splitSpeakerChannels(filePath, 'wav', 'req_test'), null);
+        assert.deepEqual(fs.readdirSync(path.dirname(filePath)), [name]);
+    }
+});
+
+test('mono recordings are not split', async () => {
+    const filePath = writeRecording('mono.wav', makeWavFrom(2, [agent]));
+    assert.equal(await splitSpeakerChannels(filePath, 'wav', 'req_test'), null);
+});
+
+test('stereo MP3 falls back to the mixed recording when ffmpeg is missing', async () => {
+    const filePath = writeRecording('call.mp3', makeMp3(50));
+    assert.equal(await splitSpeakerChannels(filePath, 'mp3', 'req_test'), null);
+    assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['call.mp3']);
+});
+
+test('mergeSpeakerSegments interleaves speakers by time and joins consecutive turns', () => {
+    const merged = mergeSpeakerSegments([
+        { speaker: 'Agent', segments: [{ start: 0, end: 2, text: ' Hello. ' }, { start: 2, end: 3, text: 'How can I help?' }, { start: 8, end: 9, text: 'Sure.' }] },
+        { speaker: 'Customer', segments: [{ start: 4, end: 7, text: 'I saw the flat.' }, { start: 7.5, end: 7.9, text: '' }] },
+    ]);
+    assert.equal(merged.text, 'Agent: Hello. How can I help?\nCustomer: I saw the flat.\nAgent: Sure.');
+    assert.deepEqual(merged.segments.map((s) => s.speaker), ['Agent', 'Agent', 'Customer', 'Agent']);
+});
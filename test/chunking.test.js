@@ -0,0 +1,136 @@
+const { makeTempDir, makeWav, makeMp3 } = require('./helpers');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { splitAudioFileIfNeeded, mergeChunkTranscripts, parseWav, parseMp3Frames } = require('../lib/chunking');
+
+beforeEach(() => {
+    process.env.TRANSCRIBE_MAX_BYTES = String(10 * 1024 * 1024);
+    process.env.CHUNK_SECONDS = '40';
+    process.env.CHUNK_OVERLAP_SECONDS = '3';
+    process.env.CHUNK_SILENCE_SEARCH_SECONDS = '5';
+    delete process.env.TRANSCRIBE_MAX_SECONDS;
+});
+
+function writeRecording(name, buffer) {
+    const filePath = path.join(makeTempDir(), name);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+}
+
+test('recordings under the limits are not split', () => {
+    const filePath = writeRecording('short.wav', makeWav(5));
+    assert.equal(splitAudioFileIfNeeded(filePath, 'wav', 'req_test'), null);
+});
+
+test('WAV recordings are cut in the quietest window before each target, with overlap', () => {
+    process.env.TRANSCRIBE_MAX_SECONDS = '40';
+    const filePath = writeRecording('long.wav', makeWav(100, { quiet: [[36.5, 37], [70, 70.5]] }));
+
+    const chunks = splitAudioFileIfNeeded(filePath, 'wav', 'req_test');
+    assert.equal(chunks.length, 3);
+
+    const [first, second, third] = chunks;
+    assert.equal(first.start, 0);
+    assert.ok(first.end >= 36.5 && first.end <= 37, `first cut at ${first.end}`);
+    assert.ok(Math.abs(second.start - (first.end - 3)) < 1e-6);
+    assert.ok(second.end >= 70 && second.end <= 70.5, `second cut at ${second.end}`);
+    assert.ok(Math.abs(third.start - (second.end - 3)) < 1e-6);
+    assert.equal(third.end, 100);
+
+    for (const chunk of chunks) {
+        const wav = parseWav(fs.readFileSync(chunk.path));
+        assert.equal(wav.fmt.sampleRate, 8000);
+        assert.ok(Math.abs(wav.duration - (chunk.end - chunk.start)) < 0.01);
+        assert.ok(path.basename(chunk.path).startsWith('long_part'));
+    }
+});
+
+test('WAV chunks stay under TRANSCRIBE_MAX_BYTES', () => {
+    process.env.TRANSCRIBE_MAX_BYTES = '500000';
+    const filePath = writeRecording('big.wav', makeWav(90));
+
+    const chunks = splitAudioFileIfNeeded(filePath, 'wav', 'req_test');
+    assert.ok(chunks.length >= 4);
+    for (const chunk of chunks) assert.ok(fs.statSync(chunk.path).size <= 500000);
+    assert.equal(chunks[chunks.length - 1].end, 90);
+});
+
+test('MP3 recordings are cut on frame boundaries', () => {
+    process.env.CHUNK_SECONDS = '20';
+    process.env.TRANSCRIBE_MAX_SECONDS = '20';
+    const mp3 = makeMp3(2000);
+    const filePath = writeRecording('long.mp3', mp3);
+
+    const { frames, duration } = parseMp3Frames(mp3);
+    assert.equal(frames.length, 2000);
+    assert.ok(Math.abs(duration - 2000 * (1152 / 44100)) < 1e-6);
+
+    const chunks = splitAudioFileIfNeeded(filePath, 'mp3', 'req_test');
+    assert.ok(chunks.length >= 3);
+    for (const chunk of chunks) {
+        const data = fs.readFileSync(chunk.path);
+        assert.equal(data.length % 417, 0);
+        assert.deepEqual([...data.subarray(0, 2)], [0xff, 0xfb]);
+    }
+    assert.ok(Math.abs(chunks[chunks.length - 1].end - duration) < 1e-6);
+});
+
+test('an ID3 tag in front of the first MP3 frame is skipped', () => {
+    const tag = Buffer.alloc(10 + 300);
+    tag.write('ID3', 0, 'ascii');
+    tag[3] = 3;
+    tag[9] = 300 & 0x7f;
+    tag[8] = 300 >> 7;
+
+    const { frames } = parseMp3Frames(Buffer.concat([tag, makeMp3(10)]));
+    assert.equal(frames.length, 10);
+    assert.equal(frames[0].offset, 310);
+});
+
+test('oversized recordings in formats that cannot be split are rejected', () => {
+    process.env.TRANSCRIBE_MAX_BYTES = '1000';
+    const filePath = writeRecording('call.m4a', Buffer.alloc(2000));
+    assert.throws(() => splitAudioFileIfNeeded(filePath, 'm4a', 'req_test'), /can't be split/);
+});
+
+test('mergeChunkTranscripts shifts segments and drops words repeated across the overlap', () => {
+    const merged = mergeChunkTranscripts([
+        {
+            start: 0,
+            end: 40,
+            segments: [
+                { start: 0, end: 30, text: 'Hello, thanks for calling about the flat.' },
+                { start: 30, end: 39.5, text: 'We can visit it on Saturday morning' },
+            ],
+        },
+        {
+            start: 37,
+            end: 70,
+            segments: [
+                { start: 0.5, end: 2.8, text: 'on Saturday morning at ten.' },
+                { start: 3, end: 10, text: 'I will send the location.' },
+            ],
+        },
+    ]);
+
+    assert.equal(merged.text, 'Hello, thanks for calling about the flat. We can visit it on Saturday morning at ten. I will send the location.');
+    assert.deepEqual(
+        merged.segments.map((s) => [s.start, s.end]),
+        [[0, 30], [30, 39.5], [37.5, 39.8], [40, 47]]
+    );
+    assert.equal(merged.segments[2].text, 'at ten.');
+});
+
+test('segments on the far side of the overlap midpoint are left to the neighbouring chunk', () => {
+    const merged = mergeChunkTranscripts([
+        { start: 0, end: 20, segments: [{ start: 0, end: 10, text: 'first part' }, { start: 18, end: 20, text: 'seam words here' }] },
+        { start: 17, end: 40, segments: [{ start: 0, end: 3, text: 'seam words here' }, { start: 5, end: 10, text: 'second part' }] },
+    ]);
+    // Midpoint of the 17-20 overlap is 18.5: the first chunk's 18-20 segment (mid 19) goes, the second's 17-20 (mid 18.5) stays
+    assert.equal(merged.text, 'first part seam words here second part');
+    assert.deepEqual(merged.segments.map((s) => s.start), [0, 17, 22]);
+});
@@ -0,0 +1,84 @@
+const { makeTempDir, makeWav, listen } = require('./helpers');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// lib/http reads the policies once when it loads
+process.env.HTTP_POLICIES = JSON.stringify({ recording: { baseDelayMs: 10, maxDelayMs: 20 } });
+
+const { downloadRecording } = require('../lib/download');
+
+const RECORDING = makeWav(2);
+
+// Serves RECORDING, letting each test decide per request (1-based) how to answer
+async function withHost(respond, fn) {
+    const requests = [];
+    const host = await listen((req, res) => {
+        requests.push(req.headers.range || null);
+        respond(requests.length, req, res);
+    });
+    try {
+        return await fn(`${host.url}/call.wav`, requests);
+    } finally {
+        await host.close();
+    }
+}
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+function sendPartialThenDrop(res) {
+    res.writeHead(200, { 'content-length': RECORDING.length, 'accept-ranges': 'bytes', 'content-type': 'audio/wav' });
+    res.write(RECORDING.subarray(0, 10000));
+    setTimeout(() => res.socket.destroy(), 20);
+}
+
+test('an interrupted download resumes with a Range request', async () => {
+    const filePath = path.join(makeTempDir(), 'call.wav');
+    await withHost((n, req, res) => {
+        if (n === 1) return sendPartialThenDrop(res);
+        const start = Number(/bytes=(\d+)-/.exec(req.headers.range)[1]);
+        res.writeHead(206, { 'content-length': RECORDING.length - start, 'content-range': `bytes ${start}-${RECORDING.length - 1}/${RECORDING.length}` });
+        res.end(RECORDING.subarray(start));
+    }, async (url, requests) => {
+        const result = await downloadRecording(url, filePath);
+        assert.deepEqual(requests, [null, 'bytes=10000-']);
+        assert.equal(result.resumes, 1);
+        assert.equal(result.format, 'wav');
+        assert.equal(result.sha256, sha256(RECORDING));
+        assert.ok(fs.readFileSync(filePath).equals(RECORDING));
+    });
+});
+
+test('a 206 that does not continue at the received byte starts the download over', async () => {
+    const filePath = path.join(makeTempDir(), 'call.wav');
+    await withHost((n, req, res) => {
+        if (n === 1) return sendPartialThenDrop(res);
+        if (n === 2) {
+            const start = 9990;
+            res.writeHead(206, { 'content-length': RECORDING.length - start, 'content-range': `bytes ${start}-${RECORDING.length - 1}/${RECORDING.length}` });
+            return res.end(RECORDING.subarray(start));
+        }
+        res.writeHead(200, { 'content-length': RECORDING.length });
+        res.end(RECORDING);
+    }, async (url, requests) => {
+        const result = await downloadRecording(url, filePath);
+        assert.deepEqual(requests, [null, 'bytes=10000-', null]);
+        assert.equal(result.sha256, sha256(RECORDING));
+        assert.ok(fs.readFileSync(filePath).equals(RECORDING));
+    });
+});
+
+test('an HTML error page is not accepted as a recording', async () => {
+    const filePath = path.join(makeTempDir(), 'call.wav');
+    await withHost((n, req, res) => {
+        res.writeHead(200, { 'content-type': 'text/html' });
+        res.end('<!DOCTYPE html><html><body>Link expired</body></html>');
+    }, async (url, requests) => {
+        await assert.rejects(downloadRecording(url, filePath), { name: 'DownloadError', message: /HTML page instead of audio/ });
+        assert.equal(requests.length, 1);
+        assert.equal(fs.existsSync(filePath), false);
+    });
+});
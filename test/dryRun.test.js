@@ -0,0 +1,107 @@
+const { listen, makeWav } = require('./helpers');
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+// The fake Zoho answers at once; lib/http reads the policies when it loads
+process.env.HTTP_POLICIES = JSON.stringify({ zoho: { ratePerMinute: 0 } });
+
+const { processAudioRequest } = require('../lib/processAudio');
+const { getCachedTranscript, saveCachedTranscript, trackInFlight } = require('../lib/transcriptCache');
+
+const RECORD_ID = '5924956000162702001';
+const wav = makeWav(2);
+const audioHash = crypto.createHash('sha256').update(wav).digest('hex');
+const upload = () => ({ buffer: wav, fileName: 'call.wav', contentType: 'audio/wav' });
+// Everything sent to Zoho except record reads and token refreshes
+const writes = () => requests.filter((r) => r.method !== 'GET' && !r.url.startsWith('/oauth/'));
+
+let server;
+let requests;
+let record;
+
+before(async () => {
+    server = await listen((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, body });
+            res.setHeader('Content-Type', 'application/json');
+            if (req.url.startsWith('/oauth/v2/token')) return res.end(JSON.stringify({ access_token: 'tok', expires_in: 3600 }));
+            res.end(JSON.stringify(req.method === 'GET' ? { data: [record] } : { data: [{ status: 'success', details: {} }] }));
+        });
+    });
+    Object.assign(process.env, {
+        ZOHO_ACCOUNTS_URL: server.url,
+        ZOHO_API_DOMAIN: server.url,
+        ZOHO_CLIENT_ID: 'client',
+        ZOHO_CLIENT_SECRET: 'secret',
+        ZOHO_REFRESH_TOKEN: 'refresh',
+        TRANSCRIPTION_PROVIDER: 'mock',
+        ANALYSIS_ENABLED: 'false',
+    });
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    requests = [];
+    record = { id: RECORD_ID, Description: 'Old notes' };
+});
+
+test('a dry run previews the update against the current record and writes nothing', async () => {
+    const result = await processAudioRequest({ Call_Record_ID: RECORD_ID, dryRun: true }, 'req_test', { upload: upload() });
+
+    assert.equal(result.dryRun, true);
+    assert.match(result.transcript, /site visit/);
+    const { update, attachments, note } = result.preview;
+    assert.equal(update.method, 'PUT');
+    assert.equal(update.url, `${server.url}/crm/v8/Calls/${RECORD_ID}`);
+    assert.equal(update.recordFound, true);
+    assert.deepEqual(update.diff, [{ field: 'Description', current: 'Old notes', proposed: result.transcript, changed: true, inRecord: true }]);
+    assert.deepEqual(attachments, []);
+    assert.equal(note, null);
+
+    // Only the record was read: no status, field, attachment or note write
+    assert.deepEqual(writes(), []);
+    assert.equal(getCachedTranscript(RECORD_ID, audioHash), null);
+});
+
+test('fields the record does not have and the note it would get are shown in the preview', async () => {
+    record = { id: RECORD_ID, $se_module: 'Deals', What_Id: { id: '7001' } };
+    const result = await processAudioRequest({ Call_Record_ID: RECORD_ID, dryRun: true, transcriptDestination: 'both', attachmentFormats: 'srt' }, 'req_test', { upload: upload() });
+
+    const { update, attachments, note } = result.preview;
+    assert.deepEqual(update.diff.map(({ field, changed, inRecord }) => [field, changed, inRecord]), [['Description', true, false]]);
+    assert.deepEqual(attachments.map(({ url, fileName }) => [url, fileName]), [[`${server.url}/crm/v8/Calls/${RECORD_ID}/Attachments`, `transcript_${RECORD_ID}.srt`]]);
+    assert.equal(note.url, `${server.url}/crm/v8/Deals/7001/Notes`);
+    assert.match(note.body.data[0].Note_Content, /site visit/);
+    assert.deepEqual(writes(), []);
+});
+
+test('a dry run ignores a cached result and the real run after it still processes the recording', async () => {
+    saveCachedTranscript(RECORD_ID, audioHash, { transcript: 'cached transcript', analysis: null });
+
+    const dry = await processAudioRequest({ Call_Record_ID: RECORD_ID, dryRun: true }, 'req_dry', { upload: upload() });
+    assert.equal(dry.cached, undefined);
+    assert.match(dry.transcript, /site visit/);
+    assert.equal(getCachedTranscript(RECORD_ID, audioHash).transcript, 'cached transcript');
+
+    const real = await processAudioRequest({ Call_Record_ID: RECORD_ID, force: true }, 'req_real', { upload: upload() });
+    assert.equal(real.dryRun, undefined);
+    assert.ok(writes().some((r) => r.method === 'PUT' && /site visit/.test(r.body)));
+    assert.match(getCachedTranscript(RECORD_ID, audioHash).transcript, /site visit/);
+});
+
+test('a dry run does not wait for or share a run already in progress for the record', async () => {
+    let finish;
+    const running = trackInFlight(RECORD_ID, new Promise((resolve) => { finish = resolve; }));
+
+    const dry = await processAudioRequest({ Call_Record_ID: RECORD_ID, dryRun: true }, 'req_dry', { upload: upload() });
+    assert.equal(dry.dryRun, true);
+    assert.equal(dry.deduplicated, undefined);
+
+    finish({ requestId: 'req_running' });
+    await running;
+});
@@ -0,0 +1,101 @@
+require('./helpers');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const OpenAI = require('openai');
+
+const { ProcessingError, classifyFailure, getRetryPolicy, getRetryDelay } = require('../lib/failures');
+const { DownloadError } = require('../lib/download');
+const { CircuitOpenError } = require('../lib/http');
+const { handleFailedRequest, getJob } = require('../lib/jobs');
+const { listDeadLetters, getDeadLetter } = require('../lib/deadLetter');
+
+beforeEach(() => {
+    delete process.env.RETRY_MAX_ATTEMPTS;
+    delete process.env.RETRY_BACKOFF_SECONDS;
+});
+
+const axiosError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { isAxiosError: true, request: {}, response: { status, data: {} } });
+
+test('failures are classified by the innermost error that says something', () => {
+    const cases = [
+        [new ProcessingError('No recording URL', { reason: 'no_recording' }), 'no_recording', false],
+        [axiosError(429), 'rate_limited', true],
+        [axiosError(502), 'upstream_unavailable', true],
+        [axiosError(400), 'rejected', false],
+        [Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 'network', true],
+        [OpenAI.APIError.generate(503, { error: { message: 'overloaded' } }, 'overloaded', new Headers()), 'upstream_unavailable', true],
+        [new OpenAI.APIConnectionTimeoutError(), 'network', true],
+        [new DownloadError('Recording host returned HTTP 404', { status: 404 }), 'recording_not_ready', true],
+        [new DownloadError('Recording host returned an HTML page instead of audio'), 'invalid_audio', false],
+        [new CircuitOpenError('zoho', Date.now() + 1000), 'upstream_unavailable', true],
+        [new Error('Something unexpected'), 'error', false],
+    ];
+    for (const [error, reason, retryable] of cases) {
+        assert.deepEqual(classifyFailure(error), { reason, retryable }, error.message);
+    }
+});
+
+test('wrapped errors are classified through originalError and cause', () => {
+    const wrapped = new Error('Zoho API request failed');
+    wrapped.originalError = new Error('Attempt failed', { cause: axiosError(429) });
+    assert.deepEqual(classifyFailure(wrapped), { reason: 'rate_limited', retryable: true });
+});
+
+test('the retry schedule repeats its last delay until RETRY_MAX_ATTEMPTS runs have failed', () => {
+    process.env.RETRY_MAX_ATTEMPTS = '4';
+    process.env.RETRY_BACKOFF_SECONDS = '10, 60';
+    const policy = getRetryPolicy();
+    assert.deepEqual(policy, { maxAttempts: 4, delaysMs: [10000, 60000] });
+    assert.deepEqual([1, 2, 3, 4].map((attempts) => getRetryDelay(attempts, policy)), [10000, 60000, 60000, null]);
+});
+
+const failure = (message, cause, recordId) => {
+    const error = new Error(message);
+    error.originalError = cause;
+    error.record = recordId ? { module: 'Calls', recordId } : null;
+    return error;
+};
+
+test('a retryable failure on a record is scheduled as a job', async () => {
+    process.env.RETRY_BACKOFF_SECONDS = '600';
+    const before = Date.now();
+
+    const outcome = await handleFailedRequest({ Call_Record_ID: 'rec-retry' }, 'req_retry', failure('Zoho is down', axiosError(503), 'rec-retry'));
+
+    assert.equal(outcome.status, 'scheduled');
+    assert.equal(outcome.reason, 'upstream_unavailable');
+    assert.ok(new Date(outcome.nextAttemptAt).getTime() >= before + 600000);
+    const job = getJob(outcome.jobId);
+    assert.equal(job.status, 'scheduled');
+    assert.equal(job.recordId, 'rec-retry');
+    assert.deepEqual(listDeadLetters().filter((entry) => entry.recordId === 'rec-retry'), []);
+});
+
+test('retryable failures out of attempts and permanent failures go to the dead-letter list', async () => {
+    process.env.RETRY_MAX_ATTEMPTS = '1';
+
+    const exhausted = await handleFailedRequest({ Call_Record_ID: 'rec-exhausted' }, 'req_exhausted', failure('Zoho is down', axiosError(503), 'rec-exhausted'));
+    assert.deepEqual(exhausted, { reason: 'upstream_unavailable', retryable: true, status: 'failed' });
+
+    const permanent = await handleFailedRequest({ Call_Record_ID: 'rec-permanent' }, 'req_permanent', failure('No recording', new ProcessingError('No recording', { reason: 'no_recording' }), 'rec-permanent'));
+    assert.equal(permanent.status, 'failed');
+
+    const entries = listDeadLetters();
+    const entry = entries.find((e) => e.recordId === 'rec-permanent');
+    assert.equal(entry.reason, 'no_recording');
+    assert.equal(entry.module, 'Calls');
+    assert.equal(entry.request, undefined);
+    assert.deepEqual(getDeadLetter(entry.id).request, { Call_Record_ID: 'rec-permanent' });
+    assert.ok(entries.some((e) => e.recordId === 'rec-exhausted' && e.attempts === 1));
+});
+
+test('recordings without speech and runs without a record are not dead-lettered', async () => {
+    const silent = await handleFailedRequest({ Call_Record_ID: 'rec-silent' }, 'req_silent', failure('No speech', new ProcessingError('No speech', { reason: 'no_speech' }), 'rec-silent'));
+    assert.equal(silent.status, 'failed');
+
+    const upload = await handleFailedRequest({}, 'req_upload', failure('Zoho is down', axiosError(503), null));
+    assert.equal(upload.status, 'failed');
+
+    assert.equal(listDeadLetters().some((e) => ['rec-silent', null].includes(e.recordId)), false);
+});
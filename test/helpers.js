@@ -0,0 +1,79 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Every test file requires this first, so modules that read the env on load see a quiet logger and a scratch DATA_DIR
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-processor-test-'));
+process.on('exit', () => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+function makeTempDir() {
+    return fs.mkdtempSync(path.join(process.env.DATA_DIR, 'tmp-'));
+}
+
+/**
+ * 16-bit mono PCM WAV: a tone, silent during the [start, end) ranges (seconds) in `quiet`.
+ */
+function makeWav(seconds, { sampleRate = 8000, quiet = [] } = {}) {
+    const fmt = Buffer.alloc(16);
+    fmt.writeUInt16LE(1, 0);
+    fmt.writeUInt16LE(1, 2);
+    fmt.writeUInt32LE(sampleRate, 4);
+    fmt.writeUInt32LE(sampleRate * 2, 8);
+    fmt.writeUInt16LE(2, 12);
+    fmt.writeUInt16LE(16, 14);
+
+    const samples = Math.round(seconds * sampleRate);
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        const t = i / sampleRate;
+        const silent = quiet.some(([start, end]) => t >= start && t < end);
+        pcm.writeInt16LE(silent ? 0 : Math.round(Math.sin(i / 5) * 8000), i * 2);
+    }
+
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(4 + 8 + fmt.length + 8 + pcm.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    const chunk = (id, body) => {
+        const head = Buffer.alloc(8);
+        head.write(id, 0, 'ascii');
+        head.writeUInt32LE(body.length, 4);
+        return Buffer.concat([head, body]);
+    };
+    return Buffer.concat([header, chunk('fmt ', fmt), chunk('data', pcm)]);
+}
+
+/**
+ * MPEG-1 Layer III, 128 kbps, 44.1 kHz stereo: 417-byte frames of 1152 samples (~26 ms each).
+ */
+function makeMp3(frameCount) {
+    const frames = [];
+    for (let i = 0; i < frameCount; i++) {
+        const frame = Buffer.alloc(417);
+        frame.set([0xff, 0xfb, 0x90, 0x64]);
+        frame[100] = i % 256;
+        frames.push(frame);
+    }
+    return Buffer.concat(frames);
+}
+
+/**
+ * Listen on a free local port. Resolves to { url, close() }.
+ */
+function listen(handler) {
+    return new Promise((resolve) => {
+        const server = http.createServer(handler).listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise((done) => {
+                    server.close(done);
+                    server.closeAllConnections();
+                }),
+            });
+        });
+    });
+}
+
+module.exports = { makeTempDir, makeWav, makeMp3, listen };
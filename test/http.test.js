@@ -0,0 +1,175 @@
+require('./helpers');
+
+// lib/http reads the policies once when it loads. Short delays keep the retries quick.
+process.env.HTTP_POLICIES = JSON.stringify({
+    default: { baseDelayMs: 1, maxDelayMs: 5 },
+    openai: { ratePerMinute: 60 },
+    limited: { maxRetryAfterMs: 200 },
+    breaker: { retries: 0, breakerThreshold: 2, breakerCooldownMs: 50 },
+    serial: { retries: 0, concurrency: 1 },
+});
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { callWithPolicy, getHttpPolicy, parseHttpPolicies, getRetryAfterMs, getBackoffDelay, CircuitOpenError } = require('../lib/http');
+const { sleep } = require('../lib/utils');
+
+// An axios-style failure with an HTTP status
+function httpError(status, headers = {}, extra = {}) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), { isAxiosError: true, response: { status, headers }, ...extra });
+}
+
+// An attempt that fails with each of `errors` in turn, then answers 'ok'
+function failing(...errors) {
+    const attempt = async () => {
+        attempt.calls++;
+        const error = errors.shift();
+        if (error) throw error;
+        return 'ok';
+    };
+    attempt.calls = 0;
+    return attempt;
+}
+
+test('HTTP_POLICIES is merged over the defaults per service', () => {
+    assert.deepEqual(
+        { ...getHttpPolicy('zoho') },
+        { retries: 3, baseDelayMs: 1, maxDelayMs: 5, maxRetryAfterMs: 60000, ratePerMinute: 100, concurrency: 10, breakerThreshold: 5, breakerCooldownMs: 30000 }
+    );
+    assert.equal(getHttpPolicy('openai').ratePerMinute, 60);
+    assert.equal(getHttpPolicy('openai').retries, 3);
+    assert.equal(getHttpPolicy('some-local-whisper').ratePerMinute, 0);
+});
+
+test('a bad HTTP_POLICIES is a configuration error naming the entry', () => {
+    assert.deepEqual(parseHttpPolicies(''), {});
+    assert.deepEqual(parseHttpPolicies('{"zoho":{"ratePerMinute":0}}'), { zoho: { ratePerMinute: 0 } });
+    assert.throws(() => parseHttpPolicies('{zoho:1}'), /Invalid HTTP_POLICIES: not JSON/);
+    assert.throws(() => parseHttpPolicies('[]'), /expected an object of services/);
+    assert.throws(() => parseHttpPolicies('{"zoho":5}'), /entry 'zoho': expected an object/);
+    assert.throws(() => parseHttpPolicies('{"zoho":{"ratePerMinut":5}}'), /key 'zoho.ratePerMinut'. Expected one of: retries,/);
+    assert.throws(() => parseHttpPolicies('{"openai":{"retries":-1}}'), /value 'openai.retries': -1/);
+    assert.throws(() => parseHttpPolicies('{"openai":{"concurrency":"4"}}'), /value 'openai.concurrency': "4"/);
+});
+
+test('unavailable and rate-limited calls are retried until they succeed or the retries run out', async () => {
+    const recovers = failing(httpError(503), httpError(429));
+    assert.equal(await callWithPolicy('retrying', recovers), 'ok');
+    assert.equal(recovers.calls, 3);
+
+    const down = failing(httpError(503), httpError(503), httpError(503, {}, { message: 'last' }));
+    await assert.rejects(callWithPolicy('retrying', down), /last/);
+    assert.equal(down.calls, 3);
+
+    const override = failing(httpError(503), httpError(503));
+    await assert.rejects(callWithPolicy('retrying', override, { retries: 0 }));
+    assert.equal(override.calls, 1);
+});
+
+test('5xx answers and dropped connections are only retried for idempotent calls', async () => {
+    for (const error of [() => httpError(500), () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })]) {
+        const post = failing(error());
+        await assert.rejects(callWithPolicy('idempotency', post));
+        assert.equal(post.calls, 1);
+
+        const put = failing(error());
+        assert.equal(await callWithPolicy('idempotency', put, { idempotent: true }), 'ok');
+        assert.equal(put.calls, 2);
+    }
+
+    // The request never left, so it is safe to send again whatever it was
+    const refused = failing(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+    assert.equal(await callWithPolicy('idempotency', refused), 'ok');
+});
+
+test('4xx answers and an exhausted OpenAI quota are not retried', async () => {
+    for (const error of [httpError(400), httpError(404), httpError(429, {}, { code: 'insufficient_quota' })]) {
+        const attempt = failing(error);
+        await assert.rejects(callWithPolicy('client-errors', attempt, { idempotent: true }));
+        assert.equal(attempt.calls, 1);
+    }
+});
+
+test('Retry-After replaces the backoff, and a 429 holds the whole service until then', async () => {
+    const started = Date.now();
+    const limited = failing(httpError(429, { 'retry-after': '0.1' }));
+    let otherSentAfter;
+    const other = async () => {
+        otherSentAfter = Date.now() - started;
+        return 'ok';
+    };
+    const [first] = await Promise.all([
+        callWithPolicy('limited', limited),
+        sleep(20).then(() => callWithPolicy('limited', other)),
+    ]);
+    assert.equal(first, 'ok');
+    assert.equal(limited.calls, 2);
+    // The second caller was held by the pause too, not only the one that got the 429
+    assert.ok(otherSentAfter >= 95, `sent after ${otherSentAfter} ms`);
+
+    // A longer wait than maxRetryAfterMs goes back to the caller at once
+    const tooLong = failing(httpError(503, { 'retry-after': '30' }));
+    const before = Date.now();
+    await assert.rejects(callWithPolicy('limited', tooLong));
+    assert.equal(tooLong.calls, 1);
+    assert.ok(Date.now() - before < 100);
+});
+
+test('getRetryAfterMs reads seconds, dates and retry-after-ms', () => {
+    assert.equal(getRetryAfterMs(httpError(429, { 'retry-after': '2' })), 2000);
+    assert.equal(getRetryAfterMs(httpError(429, { 'retry-after-ms': '150', 'retry-after': '2' })), 150);
+    const date = getRetryAfterMs(httpError(429, { 'retry-after': new Date(Date.now() + 5000).toUTCString() }));
+    assert.ok(date > 3000 && date <= 5000);
+    assert.equal(getRetryAfterMs(httpError(429, { 'retry-after': 'soon' })), null);
+    // OpenAI SDK errors carry a Headers object
+    assert.equal(getRetryAfterMs({ status: 429, headers: new Headers({ 'retry-after': '1' }) }), 1000);
+    assert.equal(getRetryAfterMs(httpError(503)), null);
+});
+
+test('the backoff doubles up to maxDelayMs with the upper half jittered', () => {
+    const policy = { baseDelayMs: 100, maxDelayMs: 1000 };
+    for (let i = 0; i < 20; i++) {
+        const [first, third, capped] = [1, 3, 10].map((attempt) => getBackoffDelay(attempt, policy));
+        assert.ok(first >= 50 && first <= 100);
+        assert.ok(third >= 200 && third <= 400);
+        assert.ok(capped >= 500 && capped <= 1000);
+    }
+});
+
+test('the circuit opens after breakerThreshold failures, then one trial call decides whether it closes', async () => {
+    for (let i = 0; i < 2; i++) await assert.rejects(callWithPolicy('breaker', failing(httpError(502))));
+
+    const refused = failing();
+    await assert.rejects(callWithPolicy('breaker', refused), (error) => error instanceof CircuitOpenError && error.service === 'breaker' && error.retryable);
+    assert.equal(refused.calls, 0);
+    // Breakers are kept per bucket
+    assert.equal(await callWithPolicy('breaker', failing(), { bucket: 'other-tenant' }), 'ok');
+
+    // A failed trial opens the circuit for another cooldown
+    await sleep(60);
+    await assert.rejects(callWithPolicy('breaker', failing(httpError(500))), /500/);
+    await assert.rejects(callWithPolicy('breaker', failing()), CircuitOpenError);
+
+    await sleep(60);
+    assert.equal(await callWithPolicy('breaker', failing()), 'ok');
+    assert.equal(await callWithPolicy('breaker', failing()), 'ok');
+});
+
+test('client errors do not count against the breaker', async () => {
+    for (let i = 0; i < 4; i++) await assert.rejects(callWithPolicy('breaker', failing(httpError(404)), { bucket: 'lookups' }));
+    assert.equal(await callWithPolicy('breaker', failing(), { bucket: 'lookups' }), 'ok');
+});
+
+test('concurrency caps the calls in flight', async () => {
+    let active = 0;
+    let peak = 0;
+    const attempt = async () => {
+        peak = Math.max(peak, ++active);
+        await sleep(10);
+        active--;
+        return 'ok';
+    };
+    assert.deepEqual(await Promise.all(Array.from({ length: 4 }, () => callWithPolicy('serial', attempt))), ['ok', 'ok', 'ok', 'ok']);
+    assert.equal(peak, 1);
+});
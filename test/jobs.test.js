@@ -0,0 +1,102 @@
+require('./helpers');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { sleep } = require('../lib/utils');
+const { writeJson, getDataPath } = require('../lib/store');
+
+// lib/jobs takes processAudioRequest when it loads; swap in a stand-in that follows the request's `behaviour`
+const processAudio = require('../lib/processAudio');
+processAudio.processAudioRequest = async (request, requestId, { onStage }) => {
+    onStage('downloading');
+    await sleep(5);
+    onStage('transcribing');
+    if (request.behaviour === 'fail') {
+        const error = new Error('Recording is not audio');
+        error.failure = { reason: 'invalid_audio', retryable: false };
+        error.record = { module: 'Calls', recordId: request.Call_Record_ID };
+        throw error;
+    }
+    return { recordId: request.Call_Record_ID, transcript: 'x'.repeat(10000), requestId };
+};
+
+const { initJobQueue, enqueueJob, getJob, listJobs } = require('../lib/jobs');
+
+async function waitFor(jobId, statuses = ['succeeded', 'failed']) {
+    for (let i = 0; i < 200; i++) {
+        const job = getJob(jobId);
+        if (statuses.includes(job.status)) return job;
+        await sleep(10);
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+}
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 3600000).toISOString();
+
+// Runs first: the queue is initialized once per process, from whatever jobs.json holds
+test('on startup interrupted jobs are re-queued, old ones pruned and inline results moved out', async () => {
+    const base = { request: {}, error: null, attempts: 1, timings: {}, tenant: null, recordingUrl: null };
+    writeJson('jobs.json', [
+        { ...base, id: 'job_interrupted', requestId: 'req_1', recordId: 'rec-1', request: { Call_Record_ID: 'rec-1' }, status: 'running', stage: 'transcribing', createdAt: hoursAgo(1), startedAt: hoursAgo(1) },
+        { ...base, id: 'job_old', requestId: 'req_2', status: 'succeeded', stage: 'done', createdAt: hoursAgo(100), finishedAt: hoursAgo(99), result: { transcript: 'old' } },
+        { ...base, id: 'job_inline', requestId: 'req_3', status: 'succeeded', stage: 'done', createdAt: hoursAgo(2), finishedAt: hoursAgo(2), result: { transcript: 'kept' } },
+    ]);
+
+    initJobQueue();
+
+    assert.equal(getJob('job_old'), null);
+    assert.deepEqual(getJob('job_inline').result, { transcript: 'kept' });
+
+    const resumed = await waitFor('job_interrupted');
+    assert.equal(resumed.status, 'succeeded');
+    assert.equal(resumed.attempts, 2);
+    assert.equal(resumed.result.recordId, 'rec-1');
+});
+
+test('a job runs through its stages to succeeded, with the result kept out of jobs.json', async () => {
+    const job = enqueueJob({ Call_Record_ID: 'rec-ok' }, 'req_ok');
+    assert.equal(job.attempts, 1);
+
+    const done = await waitFor(job.id);
+    assert.equal(done.status, 'succeeded');
+    assert.equal(done.stage, 'done');
+    assert.ok(done.timings.downloading >= 0 && done.timings.transcribing >= 0);
+    assert.equal(done.result.transcript.length, 10000);
+
+    const stored = JSON.parse(fs.readFileSync(getDataPath('jobs.json'), 'utf8'));
+    assert.ok(stored.every((entry) => entry.result === undefined));
+    assert.ok(fs.existsSync(getDataPath(path.join('job-results', `${job.id}.json`))));
+    assert.equal(listJobs({ recordId: 'rec-ok' })[0].result, undefined);
+});
+
+test('a permanent failure ends the job as failed', async () => {
+    const job = enqueueJob({ Call_Record_ID: 'rec-bad', behaviour: 'fail' }, 'req_bad');
+    const done = await waitFor(job.id);
+    assert.equal(done.status, 'failed');
+    assert.deepEqual(done.error, { message: 'Recording is not audio', stage: 'transcribing', reason: 'invalid_audio', retryable: false });
+    assert.equal(done.result, null);
+});
+
+test('a failure that cannot be settled marks the job failed instead of crashing the process', async () => {
+    let unhandled = null;
+    const onUnhandled = (reason) => (unhandled = reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+        // The tenant is no longer configured, so settling the failure throws
+        const job = enqueueJob({ Call_Record_ID: 'rec-gone', behaviour: 'fail' }, 'req_gone', { tenant: 'removed-org' });
+        const done = await waitFor(job.id);
+        await sleep(20);
+        assert.equal(done.status, 'failed');
+        assert.match(done.error.message, /Unknown tenant 'removed-org'/);
+        assert.equal(unhandled, null);
+    } finally {
+        process.off('unhandledRejection', onUnhandled);
+    }
+});
+
+test('listJobs rejects unknown statuses', () => {
+    assert.throws(() => listJobs({ status: 'done' }), /Invalid status 'done'/);
+});
@@ -0,0 +1,151 @@
+require('./helpers');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// lib/knowlarityWebhook takes these from their modules when it loads, so the stand-ins go in first
+const zoho = require('../lib/zoho');
+const knowlarity = require('../lib/knowlarity');
+const jobs = require('../lib/jobs');
+
+const UUID = '3f2c9a1e-7b4d-4c8e-9f10-2a6b5c4d3e21';
+const OTHER_UUID = '11111111-2222-4333-8444-555555555555';
+
+let records;
+let queries;
+let queued;
+
+zoho.runCoqlQuery = async (query) => {
+    queries.push(query);
+    const uuid = (/like '%([\w-]+)%'/.exec(query) || [])[1];
+    if (uuid) return { data: records.filter((r) => (r.Voice_Recording__s || '').includes(uuid)) };
+    return { data: records.filter((r) => r.Caller_ID) };
+};
+knowlarity.fetchKnowlarityRecordingUrl = async (uuid) => `https://kl-recordings.example.com/fresh/${uuid}.mp3`;
+jobs.enqueueJob = (request, requestId, options) => {
+    const job = { id: `job_${queued.length + 1}`, request, options };
+    queued.push(job);
+    return job;
+};
+
+const { ingestKnowlarityCall, parseKnowlarityCall, listPendingCalls, retryPendingCalls } = require('../lib/knowlarityWebhook');
+const { readJson } = require('../lib/store');
+
+beforeEach(() => {
+    records = [];
+    queries = [];
+    queued = [];
+    delete process.env.KNOWLARITY_PENDING_MAX_HOURS;
+});
+
+const payload = (extra = {}) => ({
+    uuid: UUID,
+    resource_url: `https://kl-recordings.example.com/${UUID}.mp3`,
+    customer_number: '+91 98765 43210',
+    start_time: '2025-01-05 10:00:00',
+    ...extra,
+});
+
+// Make every waiting call due for its next lookup
+function makeDue() {
+    for (const entry of listPendingCalls({ status: 'pending' })) entry.nextAttemptAt = new Date(Date.now() - 1000).toISOString();
+}
+
+test('payload fields are read from JSON or form fields, nested data included', () => {
+    assert.deepEqual(parseKnowlarityCall(payload()), {
+        uuid: UUID,
+        recordingUrl: `https://kl-recordings.example.com/${UUID}.mp3`,
+        customerNumber: '919876543210',
+        startTime: '2025-01-05T04:30:00.000Z',
+    });
+
+    const nested = parseKnowlarityCall({ data: { Call_Recording: `https://kl.example.com/recording/${UUID}?x=1`, Caller_ID: '09876543210', Start_Time: '2025-01-05T10:00:00Z' } });
+    assert.equal(nested.uuid, UUID);
+    assert.equal(nested.customerNumber, '09876543210');
+    assert.equal(nested.startTime, '2025-01-05T10:00:00.000Z');
+});
+
+test('calls without a recording are ignored', async () => {
+    const result = await ingestKnowlarityCall({ uuid: UUID, call_status: 'missed' }, 'req_test');
+    assert.equal(result.status, 'ignored');
+    assert.equal(queries.length, 0);
+});
+
+test('a call is matched by the UUID in the recording field and queued with the payload link', async () => {
+    const uuid = '0a0a0a0a-1b1b-4c2c-8d3d-4e4e4e4e4e4e';
+    records = [{ id: '5001', Voice_Recording__s: `https://phonebridge.example.com/recording/${uuid}` }];
+
+    const result = await ingestKnowlarityCall(payload({ uuid, resource_url: 'https://kl-recordings.example.com/a.mp3' }), 'req_test');
+    assert.deepEqual(result, { status: 'queued', recordId: '5001', matchedBy: 'uuid', jobId: 'job_1', statusUrl: '/jobs/job_1', uuid });
+    assert.equal(queued[0].request.Call_Record_ID, '5001');
+    assert.equal(queued[0].options.recordingUrl, 'https://kl-recordings.example.com/a.mp3');
+});
+
+test('without a UUID match the closest call by number and time wins, skipping records of other calls', async () => {
+    const uuid = '0b0b0b0b-1b1b-4c2c-8d3d-4e4e4e4e4e4e';
+    records = [
+        { id: '6001', Caller_ID: '9876543210', Call_Start_Time: '2025-01-05T10:03:00+05:30' },
+        { id: '6002', Caller_ID: '09876543210', Call_Start_Time: '2025-01-05T10:01:00+05:30' },
+        { id: '6003', Caller_ID: '9876543210', Call_Start_Time: '2025-01-05T10:00:10+05:30', Voice_Recording__s: `https://phonebridge.example.com/recording/${OTHER_UUID}` },
+    ];
+
+    const result = await ingestKnowlarityCall(payload({ uuid }), 'req_test');
+    assert.equal(result.recordId, '6002');
+    assert.equal(result.matchedBy, 'phone_and_time');
+    assert.match(queries[1], /\(Caller_ID like '%9876543210' or Dialled_Number like '%9876543210'\)/);
+    assert.match(queries[1], /Call_Start_Time between '2025-01-05T04:25:00\+00:00' and '2025-01-05T04:35:00\+00:00'/);
+});
+
+test('a redelivered webhook for a matched call returns the queued job instead of queueing it again', async () => {
+    records = [{ id: '7001', Voice_Recording__s: `https://phonebridge.example.com/recording/${UUID}` }];
+    const first = await ingestKnowlarityCall(payload(), 'req_1');
+    assert.equal(first.status, 'queued');
+
+    const again = await ingestKnowlarityCall(payload(), 'req_2');
+    assert.deepEqual(again, { ...first, duplicate: true });
+    assert.equal(queued.length, 1);
+    assert.equal(queries.length, 1);
+
+    const stored = readJson('knowlarity-pending.json').find((entry) => entry.id === UUID);
+    assert.equal(stored.status, 'matched');
+    assert.equal(stored.jobId, first.jobId);
+});
+
+test('an unmatched call waits, is matched on a later pass with a fresh link, and redeliveries then get its job', async () => {
+    const uuid = '0c0c0c0c-1b1b-4c2c-8d3d-4e4e4e4e4e4e';
+    const first = await ingestKnowlarityCall(payload({ uuid }), 'req_1');
+    assert.equal(first.status, 'pending');
+    assert.ok(first.nextAttemptAt);
+    const lookups = queries.length;
+
+    // Redelivered while still waiting: no second lookup
+    const waiting = await ingestKnowlarityCall(payload({ uuid }), 'req_2');
+    assert.equal(waiting.status, 'pending');
+    assert.equal(waiting.attempts, 1);
+    assert.equal(queries.length, lookups);
+
+    records = [{ id: '8001', Voice_Recording__s: `https://phonebridge.example.com/recording/${uuid}` }];
+    makeDue();
+    await retryPendingCalls();
+    assert.equal(queued.length, 1);
+    assert.equal(queued[0].options.recordingUrl, `https://kl-recordings.example.com/fresh/${uuid}.mp3`);
+
+    const again = await ingestKnowlarityCall(payload({ uuid }), 'req_3');
+    assert.equal(again.duplicate, true);
+    assert.equal(again.jobId, queued[0].id);
+    assert.equal(again.recordId, '8001');
+    assert.equal(queued.length, 1);
+});
+
+test('calls still unmatched after KNOWLARITY_PENDING_MAX_HOURS expire', async () => {
+    const uuid = '0d0d0d0d-1b1b-4c2c-8d3d-4e4e4e4e4e4e';
+    await ingestKnowlarityCall(payload({ uuid }), 'req_1');
+    process.env.KNOWLARITY_PENDING_MAX_HOURS = '0';
+    makeDue();
+    await retryPendingCalls();
+
+    const [expired] = listPendingCalls({ status: 'expired' }).filter((entry) => entry.id === uuid);
+    assert.equal(expired.attempts, 2);
+    assert.equal(expired.nextAttemptAt, null);
+    assert.equal(queued.length, 0);
+});
@@ -0,0 +1,62 @@
+require('./helpers');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const metrics = require('../lib/metrics');
+
+// Value of one series in the rendered output, e.g. sample('audio_processor_requests_total{outcome="success",tenant="default"}')
+function sample(series) {
+    const line = metrics.renderMetrics().split('\n').find((l) => l.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+test('counters are rendered per label set with HELP and TYPE lines', () => {
+    metrics.recordRequest('success', 'default');
+    metrics.recordRequest('success', 'default');
+    metrics.recordRequest('failed', 'india');
+
+    const output = metrics.renderMetrics();
+    assert.match(output, /^# HELP audio_processor_requests_total Processed call records by outcome/m);
+    assert.match(output, /^# TYPE audio_processor_requests_total counter$/m);
+    assert.equal(sample('audio_processor_requests_total{outcome="success",tenant="default"}'), 2);
+    assert.equal(sample('audio_processor_requests_total{outcome="failed",tenant="india"}'), 1);
+    assert.match(output, /^process_resident_memory_bytes \d+$/m);
+});
+
+test('label values are escaped', () => {
+    metrics.recordUpstreamError('zoho "eu"\nregion');
+    assert.equal(sample('audio_processor_upstream_errors_total{api="zoho \\"eu\\"\\nregion"}'), 1);
+});
+
+test('stage timings go into cumulative histogram buckets, failed runs included', async () => {
+    await metrics.timeStage('analysis', () => 'done');
+    await assert.rejects(metrics.timeStage('analysis', async () => {
+        throw new Error('model unavailable');
+    }));
+
+    assert.equal(sample('audio_processor_stage_duration_seconds_bucket{stage="analysis",le="0.1"}'), 2);
+    assert.equal(sample('audio_processor_stage_duration_seconds_bucket{stage="analysis",le="+Inf"}'), 2);
+    assert.equal(sample('audio_processor_stage_duration_seconds_count{stage="analysis"}'), 2);
+    assert.ok(sample('audio_processor_stage_duration_seconds_sum{stage="analysis"}') < 0.1);
+});
+
+test('spend is estimated from audio minutes and tokens, with MODEL_PRICES overriding the defaults', () => {
+    metrics.recordTranscribedAudio({ provider: 'openai', model: 'whisper-1', seconds: 120 });
+    assert.equal(sample('audio_processor_audio_seconds_transcribed_total{provider="openai",model="whisper-1"}'), 120);
+    assert.equal(sample('audio_processor_estimated_cost_usd_total{model="whisper-1"}'), 0.012);
+
+    process.env.MODEL_PRICES = JSON.stringify({ 'gpt-4o-mini': { input: 1, output: 2 } });
+    try {
+        metrics.recordTokenUsage('gpt-4o-mini', { prompt_tokens: 1000, completion_tokens: 500 });
+    } finally {
+        delete process.env.MODEL_PRICES;
+    }
+    assert.equal(sample('audio_processor_openai_tokens_total{model="gpt-4o-mini",type="prompt"}'), 1000);
+    assert.equal(sample('audio_processor_openai_tokens_total{model="gpt-4o-mini",type="completion"}'), 500);
+    assert.equal(sample('audio_processor_estimated_cost_usd_total{model="gpt-4o-mini"}'), 0.002);
+
+    // Models without a price are counted but cost nothing
+    metrics.recordTranscribedAudio({ provider: 'local', model: 'whisper-large-v3', seconds: 60 });
+    assert.equal(sample('audio_processor_estimated_cost_usd_total{model="whisper-large-v3"}'), undefined);
+});
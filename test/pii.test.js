@@ -0,0 +1,68 @@
+require('./helpers');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getPiiConfig, redactText, redactTranscription, passesLuhn } = require('../lib/pii');
+
+beforeEach(() => {
+    for (const name of ['PII_ENTITIES', 'PII_MASK_STYLE', 'PII_MASK_STYLES', 'PII_CUSTOM_RULES', 'PII_CUSTOM_RULES_FILE']) delete process.env[name];
+});
+
+test('passesLuhn accepts valid card numbers only', () => {
+    assert.equal(passesLuhn('4111 1111 1111 1111'), true);
+    assert.equal(passesLuhn('5500-0000-0000-0004'), true);
+    assert.equal(passesLuhn('4111 1111 1111 1112'), false);
+});
+
+test('built-in entities are replaced by placeholders and counted', () => {
+    const { text, counts } = redactText(
+        'Mail ravi.k@example.com, call +91 98765 43210, card 4111 1111 1111 1111, Aadhaar 2345 6789 0123, PAN ABCDE1234F.',
+        getPiiConfig(true)
+    );
+    assert.equal(text, 'Mail [EMAIL], call [PHONE], card [CARD], Aadhaar [AADHAAR], PAN [PAN].');
+    assert.deepEqual(counts, { email: 1, phone: 1, card: 1, aadhaar: 1, pan: 1 });
+});
+
+test('a +-prefixed 12-digit number is a phone number, not an Aadhaar number', () => {
+    assert.deepEqual(redactText('Call me on +919876543210', getPiiConfig(true)), { text: 'Call me on [PHONE]', counts: { phone: 1 } });
+});
+
+test('digit runs failing the Luhn check are not cards', () => {
+    const { counts } = redactText('Order 4111 1111 1111 1112 shipped', getPiiConfig(true));
+    assert.equal(counts.card, undefined);
+});
+
+test('overlapping matches go to the earlier rule, custom rules first', () => {
+    process.env.PII_CUSTOM_RULES = JSON.stringify([{ name: 'customer_id', pattern: 'CUST-\\d{10}' }]);
+    const { text, counts } = redactText('Reference CUST-9876543210 and 9876543210', getPiiConfig(true));
+    assert.equal(text, 'Reference [CUSTOMER_ID] and [PHONE]');
+    assert.deepEqual(counts, { customer_id: 1, phone: 1 });
+});
+
+test('mask styles: placeholder, partial and full, per entity', () => {
+    process.env.PII_MASK_STYLE = 'partial';
+    process.env.PII_MASK_STYLES = 'email=full';
+    const { text } = redactText('Mail ravi@example.com or call 98765 43210, UPI ravi@okicici', getPiiConfig(true));
+    assert.equal(text, 'Mail ****@*******.*** or call ***** *3210, UPI r***@okicici');
+});
+
+test('invalid settings are rejected', () => {
+    process.env.PII_ENTITIES = 'email,passport';
+    assert.throws(() => getPiiConfig(true), /Unknown PII_ENTITIES: passport/);
+    delete process.env.PII_ENTITIES;
+    process.env.PII_MASK_STYLE = 'blur';
+    assert.throws(() => getPiiConfig(true), /Invalid PII_MASK_STYLE 'blur'/);
+});
+
+test('both passes, their segments and the primary segments are redacted', () => {
+    const pass = (text) => ({ text, segments: [{ start: 0, end: 2, text }] });
+    const { translation, entities } = redactTranscription(
+        { english: pass('My number is 98765 43210'), original: pass('मेरा नंबर 98765 43210 है'), segments: [] },
+        getPiiConfig(true)
+    );
+    assert.equal(translation.english.text, 'My number is [PHONE]');
+    assert.equal(translation.original.segments[0].text, 'मेरा नंबर [PHONE] है');
+    assert.equal(translation.segments, translation.english.segments);
+    assert.deepEqual(entities, { phone: 2 });
+});
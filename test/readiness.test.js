@@ -0,0 +1,114 @@
+const { listen } = require('./helpers');
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// lib/readiness takes the token function when it loads, so the stand-in goes in first
+const zoho = require('../lib/zoho');
+
+let tokenCalls;
+let tokenResult;
+zoho.getZohoAccessToken = async (forceRefresh, tenant) => {
+    tokenCalls.push(tenant.name);
+    return tokenResult();
+};
+
+const { getReadiness } = require('../lib/readiness');
+
+let openai;
+
+before(async () => {
+    openai = await listen((req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.headers.authorization !== 'Bearer sk-test') {
+            res.statusCode = 401;
+            return res.end(JSON.stringify({ error: { message: 'Incorrect API key provided' } }));
+        }
+        res.end(JSON.stringify({ id: req.url.split('/').pop(), object: 'model' }));
+    });
+    process.env.OPENAI_BASE_URL = `${openai.url}/v1`;
+    process.env.OPENAI_API_KEY = 'sk-test';
+});
+
+after(() => openai.close());
+
+beforeEach(() => {
+    tokenCalls = [];
+    tokenResult = async () => 'tok_1';
+    process.env.READY_CACHE_SECONDS = '0';
+    process.env.READY_MIN_FREE_MB = '0';
+    process.env.KNOWLARITY_API_KEY = 'kn-key';
+    process.env.KNOWLARITY_AUTH_TOKEN = 'kn-token';
+    delete process.env.READY_CHECKS;
+    delete process.env.READY_CHECK_TIMEOUT_MS;
+    delete process.env.ANALYSIS_ENABLED;
+    delete process.env.TRANSCRIPTION_PROVIDER;
+});
+
+test('ready when every dependency answers', async () => {
+    const readiness = await getReadiness();
+    assert.equal(readiness.status, 'ready');
+    assert.equal(readiness.cached, false);
+    assert.deepEqual(Object.keys(readiness.checks), ['zoho', 'knowlarity', 'openai', 'temp']);
+    for (const check of Object.values(readiness.checks)) assert.equal(check.status, 'ok');
+    assert.deepEqual(readiness.checks.zoho.tenants, ['default']);
+    assert.equal(readiness.checks.openai.model, 'gpt-4o-mini');
+    assert.ok(readiness.checks.temp.freeMb > 0);
+});
+
+test('a failing dependency makes the service not ready and says why', async () => {
+    tokenResult = async () => {
+        throw new Error('Failed to get Zoho access token. 400 {"error":"invalid_code"}');
+    };
+    delete process.env.KNOWLARITY_AUTH_TOKEN;
+
+    const readiness = await getReadiness();
+    assert.equal(readiness.status, 'not_ready');
+    assert.equal(readiness.checks.zoho.status, 'fail');
+    assert.match(readiness.checks.zoho.error, /^tenant 'default': Failed to get Zoho access token/);
+    assert.match(readiness.checks.knowlarity.error, /credentials missing for tenant\(s\): default/);
+    assert.equal(readiness.checks.openai.status, 'ok');
+});
+
+test('a check that hangs fails after READY_CHECK_TIMEOUT_MS', async () => {
+    process.env.READY_CHECKS = 'zoho';
+    process.env.READY_CHECK_TIMEOUT_MS = '50';
+    let release;
+    tokenResult = () => new Promise((resolve) => { release = resolve; });
+
+    const readiness = await getReadiness();
+    release('tok_late');
+    assert.equal(readiness.status, 'not_ready');
+    assert.equal(readiness.checks.zoho.error, 'zoho check timed out after 50ms');
+});
+
+test('OpenAI is skipped when neither the analysis nor the default provider uses it', async () => {
+    process.env.READY_CHECKS = 'openai';
+    process.env.ANALYSIS_ENABLED = 'false';
+    process.env.TRANSCRIPTION_PROVIDER = 'mock';
+
+    const readiness = await getReadiness();
+    assert.equal(readiness.status, 'ready');
+    assert.equal(readiness.checks.openai.status, 'skipped');
+});
+
+test('READY_CHECKS rejects unknown check names', async () => {
+    process.env.READY_CHECKS = 'zoho,redis';
+    await assert.rejects(getReadiness(), /Unknown READY_CHECKS: redis/);
+});
+
+test('concurrent probes share one run and the result is cached for READY_CACHE_SECONDS', async () => {
+    process.env.READY_CHECKS = 'zoho';
+
+    const [first, second] = await Promise.all([getReadiness(), getReadiness()]);
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, false);
+    assert.equal(second.checkedAt, first.checkedAt);
+    assert.equal(tokenCalls.length, 1);
+
+    process.env.READY_CACHE_SECONDS = '60';
+    const third = await getReadiness();
+    assert.equal(third.cached, true);
+    assert.equal(third.checkedAt, first.checkedAt);
+    assert.equal(tokenCalls.length, 1);
+});
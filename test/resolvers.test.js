@@ -0,0 +1,88 @@
+const { makeTempDir } = require('./helpers');
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { getRecordingResolvers, selectRecordingResolver } = require('../lib/resolvers');
+const { createDirectResolver } = require('../lib/resolvers/direct');
+
+const SID = `RE${'a'.repeat(32)}`;
+const basic = (user, password) => `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+
+before(() => {
+    // The registry is built once per process, from this file
+    const configPath = path.join(makeTempDir(), 'resolvers.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        resolvers: {
+            nas: { type: 'direct', match: '^https?://recordings\\.example\\.com/', hosts: ['recordings.example.com'], username: 'svc', passwordEnv: 'NAS_PASSWORD' },
+            twilio: { accountSid: 'AC123', apiKeySid: 'SK123', apiKeySecret: 'twilio-secret' },
+        },
+    }));
+    process.env.RECORDING_RESOLVERS_FILE = configPath;
+    process.env.NAS_PASSWORD = 'nas-secret';
+});
+
+test('custom resolvers are tried before the built-ins and the first match wins', () => {
+    assert.deepEqual(getRecordingResolvers().map((r) => r.name), ['nas', 's3', 'twilio', 'exotel', 'knowlarity', 'direct']);
+
+    const pick = (value) => selectRecordingResolver(value).name;
+    assert.equal(pick('https://recordings.example.com/2025/call.mp3'), 'nas');
+    assert.equal(pick('s3://call-recordings/2025/call.mp3'), 's3');
+    assert.equal(pick(SID), 'twilio');
+    assert.equal(pick('https://recordings.exotel.com/acme/call.mp3'), 'exotel');
+    assert.equal(pick('https://phonebridge.zoho.com/recording/3f2c9a1e-7b4d-4c8e-9f10-2a6b5c4d3e21'), 'knowlarity');
+    assert.equal(pick('https://cdn.example.net/call.mp3'), 'direct');
+});
+
+test('a resolver named by the tenant config is used as is', () => {
+    assert.equal(selectRecordingResolver('https://cdn.example.net/call.mp3', { configured: 'nas' }).name, 'nas');
+    assert.throws(() => selectRecordingResolver('https://cdn.example.net/call.mp3', { configured: 'ftp' }), /Unknown recording resolver 'ftp'/);
+});
+
+test('a resolver named by a request is only used when it handles the recording', () => {
+    // Both match a NAS URL; the request may pick the one without credentials
+    assert.equal(selectRecordingResolver('https://recordings.example.com/call.mp3', { requested: 'direct' }).name, 'direct');
+    assert.equal(selectRecordingResolver('https://recordings.example.com/call.mp3', { requested: 'direct', configured: 'nas' }).name, 'direct');
+
+    for (const requested of ['nas', 'twilio', 'exotel', 's3']) {
+        assert.throws(
+            () => selectRecordingResolver('https://attacker.example.net/collect', { requested, configured: 'direct' }),
+            new RegExp(`Recording resolver '${requested}' does not handle this recording`)
+        );
+    }
+    assert.throws(() => selectRecordingResolver(SID, { requested: 'ftp' }), /Unknown recording resolver 'ftp'/);
+});
+
+test('Twilio credentials only go to Twilio over https', async () => {
+    const twilio = selectRecordingResolver(SID);
+    assert.deepEqual(await twilio.resolve(SID), {
+        url: `https://api.twilio.com/2010-04-01/Accounts/AC123/Recordings/${SID}.mp3`,
+        headers: { Authorization: basic('SK123', 'twilio-secret') },
+    });
+
+    // Reached by name from the tenant config with a URL that isn't Twilio's
+    for (const url of ['https://attacker.example.net/Recordings/x.mp3', 'http://api.twilio.com/Recordings/x.mp3', 'https://twilio.com.attacker.example.net/x.mp3']) {
+        assert.deepEqual((await twilio.resolve(url)).headers, {});
+    }
+});
+
+test('a direct resolver sends its credentials only over https to its hosts', async () => {
+    const nas = selectRecordingResolver('https://recordings.example.com/call.mp3');
+    assert.deepEqual((await nas.resolve('https://recordings.example.com/call.mp3')).headers, { Authorization: basic('svc', 'nas-secret') });
+    assert.deepEqual((await nas.resolve('https://RECORDINGS.example.com/call.mp3')).headers, { Authorization: basic('svc', 'nas-secret') });
+    assert.deepEqual((await nas.resolve('http://recordings.example.com/call.mp3')).headers, {});
+    assert.deepEqual((await nas.resolve('https://recordings.example.com.attacker.example.net/call.mp3')).headers, {});
+
+    const plain = selectRecordingResolver('https://cdn.example.net/call.mp3');
+    assert.deepEqual(await plain.resolve('https://cdn.example.net/call.mp3'), { url: 'https://cdn.example.net/call.mp3', headers: {} });
+});
+
+test('a direct resolver with credentials must name its hosts', async () => {
+    assert.throws(() => createDirectResolver({ name: 'nas', username: 'svc', password: 'x' }), /Recording resolver 'nas' sends credentials, so it needs `hosts`/);
+    assert.throws(() => createDirectResolver({ name: 'cdn', headers: { 'x-api-key': 'k' } }), /needs `hosts`/);
+
+    const cdn = createDirectResolver({ name: 'cdn', headers: { 'x-api-key': 'k' }, hosts: 'a.example.com, b.example.com' });
+    assert.deepEqual((await cdn.resolve('https://b.example.com/x.wav')).headers, { 'x-api-key': 'k' });
+});
@@ -0,0 +1,75 @@
+const { makeTempDir } = require('./helpers');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { getTenant, listTenantNames, DEFAULT_TENANT } = require('../lib/tenants');
+
+function writeConfig(config) {
+    const filePath = path.join(makeTempDir(), 'tenants.json');
+    fs.writeFileSync(filePath, JSON.stringify(config));
+    return filePath;
+}
+
+// The registry is loaded once per process, so the tests run in this order: env only, a bad file, then a good one
+
+test('without TENANTS_CONFIG_FILE there is one default tenant built from the env', () => {
+    delete process.env.TENANTS_CONFIG_FILE;
+    process.env.ZOHO_CLIENT_ID = 'env-client';
+    process.env.ZOHO_API_DOMAIN = 'https://www.zohoapis.eu';
+
+    const tenant = getTenant();
+    assert.equal(tenant.name, DEFAULT_TENANT);
+    assert.equal(tenant.zoho.clientId, 'env-client');
+    assert.equal(tenant.zoho.accountsUrl, 'https://accounts.zoho.com');
+    assert.equal(tenant.zoho.apiDomain, 'https://www.zohoapis.eu');
+    assert.equal(getTenant(DEFAULT_TENANT).name, DEFAULT_TENANT);
+    assert.deepEqual(listTenantNames(), [DEFAULT_TENANT]);
+    assert.throws(() => getTenant('india'), /Unknown tenant 'india'. Set TENANTS_CONFIG_FILE/);
+});
+
+test('a tenant with an unknown data center is a configuration error', () => {
+    process.env.TENANTS_CONFIG_FILE = writeConfig({ tenants: { mars: { zoho: { dataCenter: 'mars' } } } });
+    assert.throws(() => getTenant(), /Tenant 'mars' has unknown Zoho dataCenter 'mars'/);
+    process.env.TENANTS_CONFIG_FILE = writeConfig({ default: 'missing', tenants: { india: {} } });
+    assert.throws(() => getTenant(), /default tenant 'missing' is not declared/);
+});
+
+test('tenants get their data center URLs, credentials from env references and their own fields', () => {
+    process.env.ZOHO_IN_SECRET = 'in-secret';
+    process.env.KN_IN_KEY = 'kn-key';
+    process.env.TENANTS_CONFIG_FILE = writeConfig({
+        default: 'india',
+        tenants: {
+            europe: { zoho: { dataCenter: 'EU', clientId: 'eu-client', apiDomain: 'https://eu.example.com' } },
+            india: {
+                zoho: { dataCenter: 'in', clientId: 'in-client', clientSecretEnv: 'ZOHO_IN_SECRET', refreshToken: 'in-refresh' },
+                knowlarity: { apiKeyEnv: 'KN_IN_KEY', authToken: 'kn-token' },
+                fields: { module: 'Leads', transcript: 'Call_Notes' },
+            },
+        },
+    });
+
+    assert.deepEqual(listTenantNames(), ['europe', 'india']);
+
+    const india = getTenant();
+    assert.equal(india.name, 'india');
+    assert.deepEqual(india.zoho, {
+        clientId: 'in-client',
+        clientSecret: 'in-secret',
+        refreshToken: 'in-refresh',
+        accountsUrl: 'https://accounts.zoho.in',
+        apiDomain: 'https://www.zohoapis.in',
+    });
+    assert.deepEqual(india.knowlarity, { baseUrl: undefined, apiKey: 'kn-key', authToken: 'kn-token' });
+    assert.deepEqual(india.fields, { module: 'Leads', transcript: 'Call_Notes' });
+
+    const europe = getTenant('europe');
+    assert.equal(europe.zoho.accountsUrl, 'https://accounts.zoho.eu');
+    assert.equal(europe.zoho.apiDomain, 'https://eu.example.com');
+    assert.deepEqual(europe.fields, {});
+
+    assert.throws(() => getTenant('default'), /Unknown tenant 'default'. Configured: europe, india/);
+});
@@ -0,0 +1,53 @@
+require('./helpers');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadStoredToken, saveStoredToken, removeStoredToken } = require('../lib/tokenStore');
+const { readJson, removeFile } = require('../lib/store');
+
+const tenant = { name: 'india', zoho: { clientId: 'client', refreshToken: 'refresh' } };
+const inAnHour = () => Date.now() + 60 * 60 * 1000;
+
+beforeEach(() => {
+    process.env.ZOHO_TOKEN_STORE_KEY = 'store-key';
+    removeFile('zoho-tokens.json');
+});
+
+test('tokens are stored encrypted and read back for the same credentials', () => {
+    const expiryTime = inAnHour();
+    saveStoredToken(tenant, { accessToken: 'tok_secret', expiryTime });
+
+    assert.ok(!JSON.stringify(readJson('zoho-tokens.json')).includes('tok_secret'));
+    assert.deepEqual(loadStoredToken(tenant), { accessToken: 'tok_secret', expiryTime });
+    assert.equal(loadStoredToken({ ...tenant, name: 'europe' }), null);
+});
+
+test('nothing is stored or read without ZOHO_TOKEN_STORE_KEY', () => {
+    delete process.env.ZOHO_TOKEN_STORE_KEY;
+    saveStoredToken(tenant, { accessToken: 'tok_plain', expiryTime: inAnHour() });
+    assert.equal(readJson('zoho-tokens.json', null), null);
+    assert.equal(loadStoredToken(tenant), null);
+});
+
+test('expired tokens, tokens for other credentials and tokens under another key are ignored', () => {
+    saveStoredToken(tenant, { accessToken: 'tok_old', expiryTime: Date.now() - 1000 });
+    assert.equal(loadStoredToken(tenant), null);
+
+    saveStoredToken(tenant, { accessToken: 'tok_1', expiryTime: inAnHour() });
+    assert.equal(loadStoredToken({ ...tenant, zoho: { clientId: 'client', refreshToken: 'rotated' } }), null);
+
+    process.env.ZOHO_TOKEN_STORE_KEY = 'another-key';
+    assert.equal(loadStoredToken(tenant), null);
+});
+
+test('a stored token is only removed while it is still the one that failed', () => {
+    saveStoredToken(tenant, { accessToken: 'tok_2', expiryTime: inAnHour() });
+
+    // Another instance already replaced tok_1 with tok_2
+    removeStoredToken(tenant, 'tok_1');
+    assert.equal(loadStoredToken(tenant).accessToken, 'tok_2');
+
+    removeStoredToken(tenant, 'tok_2');
+    assert.equal(loadStoredToken(tenant), null);
+});
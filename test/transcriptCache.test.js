@@ -0,0 +1,69 @@
+require('./helpers');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getCachedTranscript, saveCachedTranscript, getInFlight, trackInFlight } = require('../lib/transcriptCache');
+const { readJson, writeJson } = require('../lib/store');
+
+beforeEach(() => {
+    delete process.env.TRANSCRIPT_CACHE_ENABLED;
+    delete process.env.TRANSCRIPT_CACHE_TTL_DAYS;
+});
+
+test('a saved transcript is returned for the same record and recording only', () => {
+    saveCachedTranscript('111', 'hash_a', { transcript: 'hello', analysis: { summary: 'hi' } });
+
+    const hit = getCachedTranscript('111', 'hash_a');
+    assert.equal(hit.transcript, 'hello');
+    assert.deepEqual(hit.analysis, { summary: 'hi' });
+    assert.ok(hit.cachedAt);
+
+    assert.equal(getCachedTranscript('111', 'hash_b'), null);
+    assert.equal(getCachedTranscript('222', 'hash_a'), null);
+});
+
+test('record IDs are made safe for the file name', () => {
+    saveCachedTranscript('acme/../111', 'hash_a', { transcript: 'tenant copy' });
+    assert.equal(readJson('transcript-cache/acme____111_hash_a.json').transcript, 'tenant copy');
+    assert.equal(getCachedTranscript('acme/../111', 'hash_a').transcript, 'tenant copy');
+});
+
+test('entries older than TRANSCRIPT_CACHE_TTL_DAYS are misses and are removed', () => {
+    process.env.TRANSCRIPT_CACHE_TTL_DAYS = '1';
+    writeJson('transcript-cache/333_hash_old.json', { transcript: 'old', cachedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString() });
+
+    assert.equal(getCachedTranscript('333', 'hash_old'), null);
+    assert.equal(readJson('transcript-cache/333_hash_old.json', null), null);
+});
+
+test('TRANSCRIPT_CACHE_ENABLED=false neither reads nor writes the cache', () => {
+    saveCachedTranscript('444', 'hash_a', { transcript: 'kept' });
+    process.env.TRANSCRIPT_CACHE_ENABLED = 'false';
+
+    assert.equal(getCachedTranscript('444', 'hash_a'), null);
+    saveCachedTranscript('555', 'hash_a', { transcript: 'skipped' });
+    assert.equal(readJson('transcript-cache/555_hash_a.json', null), null);
+});
+
+test('a tracked run is shared until it settles', async () => {
+    let finish;
+    const run = trackInFlight('666', new Promise((resolve) => { finish = resolve; }));
+
+    assert.equal(getInFlight('666'), run);
+    assert.equal(getInFlight(666), run);
+    assert.equal(getInFlight('777'), null);
+
+    finish({ requestId: 'req_1' });
+    assert.deepEqual(await getInFlight('666'), { requestId: 'req_1' });
+    await new Promise(setImmediate);
+    assert.equal(getInFlight('666'), null);
+});
+
+test('a failed run is cleared too, so the next request starts a fresh one', async () => {
+    const run = trackInFlight('888', Promise.reject(new Error('download failed')));
+    await assert.rejects(getInFlight('888'), /download failed/);
+    await assert.rejects(run);
+    await new Promise(setImmediate);
+    assert.equal(getInFlight('888'), null);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatTimestamp, buildTxt, buildSrt, buildVtt, buildTranscriptFiles, resolveAttachmentFormats } = require('../lib/transcriptFiles');
+
+const CUES = [
+    { start: 0, end: 2.5, text: 'Agent: Hello, this is Priya.' },
+    { start: 3.2, end: 3725.04, text: 'Customer: Hi.' },
+];
+
+test('formatTimestamp renders SRT and VTT times', () => {
+    assert.equal(formatTimestamp(0), '00:00:00,000');
+    assert.equal(formatTimestamp(3725.04), '01:02:05,040');
+    assert.equal(formatTimestamp(61.9996, '.'), '00:01:02.000');
+    assert.equal(formatTimestamp(-1), '00:00:00,000');
+});
+
+test('buildTxt, buildSrt and buildVtt lay out the cues', () => {
+    assert.equal(buildTxt(CUES), '[00:00:00] Agent: Hello, this is Priya.\n[00:00:03] Customer: Hi.\n');
+    assert.equal(
+        buildSrt(CUES),
+        '1\n00:00:00,000 --> 00:00:02,500\nAgent: Hello, this is Priya.\n\n2\n00:00:03,200 --> 01:02:05,040\nCustomer: Hi.\n'
+    );
+    assert.equal(
+        buildVtt(CUES),
+        'WEBVTT\n\n00:00:00.000 --> 00:00:02.500\nAgent: Hello, this is Priya.\n\n00:00:03.200 --> 01:02:05.040\nCustomer: Hi.\n'
+    );
+});
+
+test('buildTranscriptFiles labels speakers and falls back to one cue without segments', () => {
+    const [srt] = buildTranscriptFiles({ segments: [{ start: 1, end: 2, text: ' Hello ', speaker: 'Agent' }, { start: 2, end: 3, text: ' ' }] }, ['srt'], 'call_123');
+    assert.equal(srt.fileName, 'call_123.srt');
+    assert.equal(srt.contentType, 'application/x-subrip; charset=utf-8');
+    assert.equal(srt.content, '1\n00:00:01,000 --> 00:00:02,000\nAgent: Hello\n');
+
+    const [txt] = buildTranscriptFiles({ text: 'Plain text only', duration: 42 }, ['txt'], 'call_123');
+    assert.equal(txt.content, '[00:00:00] Plain text only\n');
+});
+
+test('attachment formats come from the request or TRANSCRIPT_ATTACHMENTS', () => {
+    assert.deepEqual(resolveAttachmentFormats('SRT, vtt,srt'), ['srt', 'vtt']);
+    assert.deepEqual(resolveAttachmentFormats(['none']), []);
+    assert.throws(() => resolveAttachmentFormats('docx'), /Invalid transcript attachment format\(s\): docx/);
+});
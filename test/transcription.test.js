@@ -0,0 +1,91 @@
+const { makeTempDir, makeWav } = require('./helpers');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { transcribeForMode, resolveTranscriptionMode, toLanguageCode } = require('../lib/transcription');
+const { createMockProvider } = require('../lib/providers/mock');
+
+beforeEach(() => {
+    process.env.TRANSCRIBE_MAX_BYTES = '1000000';
+    process.env.CHUNK_SECONDS = '60';
+    process.env.CHUNK_CONCURRENCY = '2';
+});
+
+// The mock answers instantly; a slower translate pass is what used to expose chunk files deleted under the other pass
+function createSlowTranslateProvider() {
+    const mock = createMockProvider();
+    const calls = { transcribe: [], translate: [] };
+    return {
+        calls,
+        provider: {
+            ...mock,
+            async transcribe(filePath, options) {
+                calls.transcribe.push(path.basename(filePath));
+                return mock.transcribe(filePath, options);
+            },
+            async translate(filePath, options) {
+                calls.translate.push(path.basename(filePath));
+                await new Promise((resolve) => setTimeout(resolve, 30));
+                return mock.translate(filePath, options);
+            },
+        },
+    };
+}
+
+test('mode=both runs both passes over one set of chunks and removes them afterwards', async () => {
+    const dir = makeTempDir();
+    const filePath = path.join(dir, 'call.wav');
+    fs.writeFileSync(filePath, makeWav(150));
+    const { provider, calls } = createSlowTranslateProvider();
+
+    const result = await transcribeForMode(filePath, 'wav', 'req_test', { provider, mode: 'both' });
+
+    assert.ok(result.chunkCount > 1);
+    assert.equal(result.english.chunkCount, result.chunkCount);
+    assert.equal(result.original.chunkCount, result.chunkCount);
+    assert.deepEqual(calls.translate.sort(), calls.transcribe.sort());
+    assert.match(result.english.text, /site visit/);
+    assert.equal(result.language, 'hi');
+    assert.equal(result.segments, result.english.segments);
+    assert.deepEqual(fs.readdirSync(dir), ['call.wav']);
+});
+
+test('chunks are removed when a pass fails', async () => {
+    const dir = makeTempDir();
+    const filePath = path.join(dir, 'call.wav');
+    fs.writeFileSync(filePath, makeWav(150));
+    const { provider } = createSlowTranslateProvider();
+    provider.transcribe = async () => {
+        throw new Error('provider down');
+    };
+
+    await assert.rejects(transcribeForMode(filePath, 'wav', 'req_test', { provider, mode: 'both' }), /Chunk 1\/\d+ .* failed: provider down/);
+    assert.deepEqual(fs.readdirSync(dir), ['call.wav']);
+});
+
+test('single-pass modes leave the other pass empty', async () => {
+    const dir = makeTempDir();
+    const filePath = path.join(dir, 'call.wav');
+    fs.writeFileSync(filePath, makeWav(10));
+    const provider = createMockProvider();
+
+    const translated = await transcribeForMode(filePath, 'wav', 'req_test', { provider, mode: 'translate' });
+    assert.equal(translated.original, null);
+    assert.equal(translated.language, null);
+    assert.equal(translated.chunkCount, 1);
+
+    const transcribed = await transcribeForMode(filePath, 'wav', 'req_test', { provider, mode: 'transcribe' });
+    assert.equal(transcribed.english, null);
+    assert.equal(transcribed.language, 'hi');
+});
+
+test('transcription modes and language names are normalized', () => {
+    assert.equal(resolveTranscriptionMode(' Both '), 'both');
+    assert.throws(() => resolveTranscriptionMode('summarize'), /Invalid transcriptionMode/);
+    assert.equal(toLanguageCode('Hindi'), 'hi');
+    assert.equal(toLanguageCode('ta'), 'ta');
+    assert.equal(toLanguageCode(null), null);
+});
@@ -0,0 +1,79 @@
+const { listen, makeWav } = require('./helpers');
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { receiveUpload, parseUploadRequest } = require('../lib/upload');
+
+let app;
+
+before(async () => {
+    const server = express();
+    server.use(express.json());
+    server.use(express.raw({ type: ['application/octet-stream', 'audio/*'] }));
+    server.post('/transcribe', receiveUpload, (req, res) => {
+        try {
+            const { audio, fields } = parseUploadRequest(req);
+            res.json({ bytes: audio.buffer.length, fileName: audio.fileName, contentType: audio.contentType, fields });
+        } catch (error) {
+            res.status(400).json({ message: error.message });
+        }
+    });
+    app = await listen(server);
+});
+
+after(() => app.close());
+
+async function post(body, headers) {
+    const response = await fetch(`${app.url}/transcribe`, { method: 'POST', body, headers });
+    return { status: response.status, body: await response.json() };
+}
+
+const wav = makeWav(1);
+
+test('a multipart file is read with the other form fields as options', async () => {
+    const form = new FormData();
+    form.append('Call_Record_ID', '5924956000162702001');
+    form.append('audio', new Blob([wav], { type: 'audio/wav' }), 'call.wav');
+
+    assert.deepEqual(await post(form), {
+        status: 200,
+        body: { bytes: wav.length, fileName: 'call.wav', contentType: 'audio/wav', fields: { Call_Record_ID: '5924956000162702001' } },
+    });
+});
+
+test('a second file is rejected with a 400', async () => {
+    const form = new FormData();
+    form.append('file', new Blob([wav], { type: 'audio/wav' }), 'one.wav');
+    form.append('recording', new Blob([wav], { type: 'audio/wav' }), 'two.wav');
+
+    const { status, body } = await post(form);
+    assert.equal(status, 400);
+    assert.equal(body.code, 'LIMIT_FILE_COUNT');
+    assert.equal(body.message, 'Send one recording per request');
+});
+
+test('an empty file is rejected', async () => {
+    const form = new FormData();
+    form.append('file', new Blob([], { type: 'audio/wav' }), 'empty.wav');
+    assert.deepEqual(await post(form), { status: 400, body: { message: "Uploaded file 'empty.wav' is empty" } });
+});
+
+test('a raw body takes its name from X-File-Name and its options from the query string', async () => {
+    const response = await fetch(`${app.url}/transcribe?transcriptionMode=both`, { method: 'POST', body: wav, headers: { 'content-type': 'audio/wav', 'x-file-name': 'call.wav' } });
+    assert.deepEqual(await response.json(), { bytes: wav.length, fileName: 'call.wav', contentType: 'audio/wav', fields: { transcriptionMode: 'both' } });
+});
+
+test('base64 audio is decoded from JSON, bare or as a data: URL', async () => {
+    const headers = { 'content-type': 'application/json' };
+    const bare = await post(JSON.stringify({ audio: wav.toString('base64'), fileName: 'call.wav', language: 'hi' }), headers);
+    assert.deepEqual(bare.body, { bytes: wav.length, fileName: 'call.wav', contentType: '', fields: { language: 'hi' } });
+
+    const dataUrl = await post(JSON.stringify({ audio: `data:audio/wav;base64,${wav.toString('base64')}` }), headers);
+    assert.equal(dataUrl.body.contentType, 'audio/wav');
+    assert.equal(dataUrl.body.bytes, wav.length);
+
+    assert.deepEqual(await post(JSON.stringify({ audio: 'not base64!' }), headers), { status: 400, body: { message: '`audio` is not valid base64' } });
+    assert.match((await post(JSON.stringify({ language: 'hi' }), headers)).body.message, /^No audio found/);
+});
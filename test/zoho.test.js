@@ -0,0 +1,97 @@
+const { listen } = require('./helpers');
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The fake Zoho answers at once; lib/http reads the policies when it loads
+process.env.HTTP_POLICIES = JSON.stringify({ zoho: { ratePerMinute: 0 } });
+
+const { fetchZohoCallRecord, clearZohoAccessToken, getZohoAccessToken, renewZohoAccessToken } = require('../lib/zoho');
+
+let server;
+let tokensIssued;
+let validToken;
+let queries;
+
+before(async () => {
+    server = await listen((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            res.setHeader('Content-Type', 'application/json');
+            if (req.url.startsWith('/oauth/v2/token')) {
+                tokensIssued++;
+                return res.end(JSON.stringify({ access_token: `tok_${tokensIssued}`, expires_in: 3600 }));
+            }
+            if (req.url === '/crm/v8/coql') {
+                queries.push({ token: req.headers.authorization, query: JSON.parse(body).select_query });
+                if (req.headers.authorization !== `Zoho-oauthtoken ${validToken}`) {
+                    res.statusCode = 401;
+                    return res.end(JSON.stringify({ code: 'AUTHENTICATION_FAILURE', message: 'Authentication failed', status: 'error' }));
+                }
+                return res.end(JSON.stringify({ data: [{ id: '111', Voice_Recording__s: 'https://recordings.example.com/111.mp3' }] }));
+            }
+            res.statusCode = 404;
+            res.end('{}');
+        });
+    });
+    process.env.ZOHO_ACCOUNTS_URL = server.url;
+    process.env.ZOHO_API_DOMAIN = server.url;
+    process.env.ZOHO_CLIENT_ID = 'client';
+    process.env.ZOHO_CLIENT_SECRET = 'secret';
+    process.env.ZOHO_REFRESH_TOKEN = 'refresh';
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    clearZohoAccessToken();
+    tokensIssued = 0;
+    validToken = 'tok_1';
+    queries = [];
+});
+
+test('the recording field is read from the record with COQL', async () => {
+    assert.equal(await fetchZohoCallRecord('111', 'req_test'), 'https://recordings.example.com/111.mp3');
+    assert.deepEqual(queries.map((q) => q.query), ["SELECT * FROM Calls WHERE id = '111'"]);
+});
+
+test('record IDs that are not numeric are refused before a query is built', async () => {
+    for (const id of ["111' or id != '0", '111 ', 'abc', '']) {
+        await assert.rejects(fetchZohoCallRecord(id, 'req_test'), (error) => error.name === 'ProcessingError' && error.reason === 'rejected' && /numeric/.test(error.message));
+    }
+    assert.equal(queries.length, 0);
+});
+
+test('an authentication failure is retried once with a fresh token', async () => {
+    // The first token is issued, then revoked on the Zoho side
+    validToken = 'tok_2';
+    assert.equal(await fetchZohoCallRecord('111', 'req_test'), 'https://recordings.example.com/111.mp3');
+    assert.deepEqual(queries.map((q) => q.token), ['Zoho-oauthtoken tok_1', 'Zoho-oauthtoken tok_2']);
+    assert.equal(tokensIssued, 2);
+});
+
+test('a token that keeps failing is not refreshed again', async () => {
+    validToken = 'never';
+    await assert.rejects(fetchZohoCallRecord('111', 'req_test'), /401/);
+    assert.equal(tokensIssued, 2);
+    assert.equal(queries.length, 2);
+});
+
+test('concurrent callers share one token refresh', async () => {
+    const tokens = await Promise.all(Array.from({ length: 5 }, () => getZohoAccessToken()));
+    assert.deepEqual(new Set(tokens), new Set(['tok_1']));
+    assert.equal(tokensIssued, 1);
+    assert.equal(await getZohoAccessToken(), 'tok_1');
+    assert.equal(tokensIssued, 1);
+});
+
+test('callers renewing the same failed token share one refresh, and a replaced token is kept', async () => {
+    await getZohoAccessToken();
+    const renewed = await Promise.all([renewZohoAccessToken('tok_1'), renewZohoAccessToken('tok_1')]);
+    assert.deepEqual(renewed, ['tok_2', 'tok_2']);
+
+    // A late caller still holding tok_1 gets the current token instead of forcing another refresh
+    assert.equal(await renewZohoAccessToken('tok_1'), 'tok_2');
+    assert.equal(tokensIssued, 2);
+});